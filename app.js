@@ -9,6 +9,12 @@ import xylophone from './xylophone.js';
 import inputHandler from './input-handler.js';
 import visualFeedback from './visual-feedback.js';
 import controls from './controls.js';
+import scheduler from './scheduler.js';
+import barRenderer from './bar-renderer.js';
+import keyMapEditor from './key-map-editor.js';
+import looper from './looper.js';
+import looperPanel from './looper-panel.js';
+import pianoRoll from './piano-roll.js';
 
 class XylophoneApp {
     constructor() {
@@ -29,12 +35,21 @@ class XylophoneApp {
             // Get audio notice element
             this.audioNotice = document.getElementById('audio-notice');
             
-            // Initialize visual feedback first (no audio context needed)
+            // Render the bars from the note table first; the other modules cache them
+            const barsSuccess = barRenderer.initialize();
+            if (!barsSuccess) {
+                throw new Error('Failed to render xylophone bars');
+            }
+            
+            // Initialize visual feedback (no audio context needed)
             const visualSuccess = visualFeedback.initialize();
             if (!visualSuccess) {
                 throw new Error('Failed to initialize visual feedback');
             }
             
+            // Label bars from the generated note table (later renders relabel through `barsChanged`)
+            visualFeedback.updateBarLabels(xylophone.getAllNotes());
+            
             // Initialize input handler (no audio context needed)
             const inputSuccess = inputHandler.initialize();
             if (!inputSuccess) {
@@ -44,6 +59,16 @@ class XylophoneApp {
             // Initialize controls (no audio context needed initially)
             controls.initialize(); // Optional, won't throw if elements missing
             
+            // Restore saved key bindings and set up the key map editor (optional)
+            keyMapEditor.initialize();
+            
+            // Set up the looper and its panel (optional)
+            looper.initialize();
+            looperPanel.initialize();
+            
+            // Set up the piano roll editor for recordings (optional)
+            pianoRoll.initialize();
+            
             // Attempt to initialize audio context
             // This may fail due to autoplay policy requiring user gesture
             const audioSuccess = await this.initializeAudio();
@@ -239,7 +264,9 @@ class XylophoneApp {
             initialized: this.isInitialized,
             audioReady: audioEngine.isReady(),
             audioState: audioEngine.getState(),
+            synthesis: audioEngine.getSynthesisMode(),
             activeNotes: xylophone.getActiveNoteCount(),
+            voices: xylophone.getVoiceStats(),
             activeBars: visualFeedback.getActiveBarCount(),
             recording: controls.isCurrentlyRecording(),
             playing: controls.isCurrentlyPlaying()
@@ -253,6 +280,7 @@ class XylophoneApp {
         console.log('Resetting application...');
         
         // Stop all audio
+        xylophone.stopSequence();
         xylophone.stopAllNotes();
         
         // Reset visual feedback
@@ -261,6 +289,9 @@ class XylophoneApp {
         // Reset controls
         controls.reset();
         
+        // Delete the loop
+        looper.clear();
+        
         console.log('Application reset complete');
     }
 
@@ -274,6 +305,13 @@ class XylophoneApp {
         inputHandler.dispose();
         visualFeedback.dispose();
         controls.dispose();
+        keyMapEditor.dispose();
+        looperPanel.dispose();
+        looper.dispose();
+        pianoRoll.dispose();
+        barRenderer.dispose();
+        xylophone.stopSequence();
+        scheduler.reset();
         await audioEngine.dispose();
         
         this.isInitialized = false;
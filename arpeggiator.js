@@ -0,0 +1,368 @@
+/**
+ * Arpeggiator Module
+ * Cycles through the held bars at the metronome's tempo and a set rate, on the audio clock
+ * Patterns: up, down, up-down, random or as played, over one to four octaves, with an optional latch
+ * Octave copies are the held bars transposed up, so the range does not depend on the bars above them
+ * Steps are handed to an output callback (see InputHandler), so they sound, light up and record like struck bars
+ */
+
+import xylophone from './xylophone.js';
+import scheduler from './scheduler.js';
+import metronome from './metronome.js';
+
+// Step lengths in beats
+const RATES = {
+    '1/8':   { label: '1/8',          beats: 1 / 2 },
+    '1/8T':  { label: '1/8 triplet',  beats: 1 / 3 },
+    '1/16':  { label: '1/16',         beats: 1 / 4 },
+    '1/16T': { label: '1/16 triplet', beats: 1 / 6 }
+};
+
+const PATTERNS = {
+    'up':        { label: 'Up' },
+    'down':      { label: 'Down' },
+    'up-down':   { label: 'Up-Down' },
+    'random':    { label: 'Random' },
+    'as-played': { label: 'As Played' }
+};
+
+class Arpeggiator {
+    constructor() {
+        this.enabled = false;
+        this.pattern = 'up';
+        this.rate = '1/16';
+        this.octaves = 1;
+        this.maxOctaves = 4;
+        this.latch = false;
+        
+        // Bars in the arpeggio, in the order they were played: { source, notes, velocity }
+        // where source is the struck bar and notes the bars it adds (more than one in chord mode)
+        this.held = [];
+        
+        // Struck bars that are physically held down; with latch on, the arpeggio outlives them
+        this.pressed = new Set();
+        
+        // Position in the pattern and time of the next step (audio clock)
+        this.stepIndex = 0;
+        this.nextStepTime = null;
+        this.isRunning = false;
+        
+        // Receives each step as (noteIndex, velocity, time, semitones)
+        this.output = null;
+        
+        // Scheduler group for the arpeggio's steps
+        this.group = 'arpeggiator';
+    }
+
+    /**
+     * Set the function that plays each step
+     * @param {Function} output - Called as output(noteIndex, velocity, time, semitones), where
+     *                            semitones transposes octave copies above the struck bar
+     */
+    setOutput(output) {
+        this.output = output;
+    }
+
+    /**
+     * Add a struck bar to the arpeggio
+     * With latch on, the first bar struck after every key was released starts a new arpeggio
+     * @param {number} source - Index of the struck bar
+     * @param {Array<number>} notes - Bars it adds (the struck bar, or its chord)
+     * @param {number} velocity - Strike strength (0-1), used for every step from these bars
+     */
+    noteOn(source, notes, velocity) {
+        if (this.latch && this.pressed.size === 0) {
+            this.held = [];
+        }
+        
+        this.pressed.add(source);
+        this.held = this.held.filter(entry => entry.source !== source);
+        this.held.push({ source, notes: [...notes], velocity });
+        
+        if (!this.isRunning) {
+            this.start();
+        }
+    }
+
+    /**
+     * Release a struck bar
+     * Without latch its notes leave the arpeggio, which stops when nothing is held
+     * @param {number} source - Index of the released bar
+     */
+    noteOff(source) {
+        this.pressed.delete(source);
+        
+        if (this.latch) {
+            return;
+        }
+        
+        this.held = this.held.filter(entry => entry.source !== source);
+        if (this.held.length === 0) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Release every struck bar, as if each was let go
+     */
+    releaseAll() {
+        [...this.pressed].forEach(source => this.noteOff(source));
+    }
+
+    /**
+     * Start stepping through the held bars
+     * @returns {boolean} Success status (false if audio is not initialized)
+     */
+    start() {
+        const startTime = scheduler.getStartTime();
+        if (startTime === null) {
+            console.warn('Audio engine not initialized');
+            return false;
+        }
+        
+        this.isRunning = true;
+        this.stepIndex = 0;
+        this.nextStepTime = startTime;
+        this.scheduleStep();
+        return true;
+    }
+
+    /**
+     * Stop the arpeggio; steps already sounding ring on
+     */
+    stop() {
+        scheduler.cancelGroup(this.group);
+        this.isRunning = false;
+        this.nextStepTime = null;
+    }
+
+    /**
+     * Queue the next step on the audio clock
+     */
+    scheduleStep() {
+        scheduler.schedule(this.nextStepTime, (time) => {
+            this.playStep(time);
+        }, this.group);
+    }
+
+    /**
+     * Play one step and queue the next
+     * @param {number} time - Audio context time of the step
+     */
+    playStep(time) {
+        const sequence = this.getSequence();
+        if (sequence.length === 0) {
+            this.stop();
+            return;
+        }
+        
+        let step;
+        if (this.pattern === 'random') {
+            step = sequence[Math.floor(Math.random() * sequence.length)];
+        } else {
+            step = sequence[this.stepIndex % sequence.length];
+        }
+        this.stepIndex++;
+        
+        if (this.output) {
+            this.output(step.noteIndex, step.velocity, time, step.semitones);
+        }
+        
+        this.nextStepTime = time + this.getStepDuration();
+        this.scheduleStep();
+    }
+
+    /**
+     * Build the order the held bars are played in, over the octave range
+     * Octave copies play the same bars transposed up by whole octaves
+     * @returns {Array} Steps as { noteIndex, velocity, semitones }
+     */
+    getSequence() {
+        const notes = xylophone.getAllNotes();
+        const steps = [];
+        
+        this.held.forEach(entry => {
+            entry.notes.forEach(noteIndex => {
+                if (notes[noteIndex] && !steps.some(step => step.noteIndex === noteIndex)) {
+                    steps.push({ noteIndex, velocity: entry.velocity });
+                }
+            });
+        });
+        
+        if (this.pattern !== 'as-played') {
+            steps.sort((a, b) => notes[a.noteIndex].midi - notes[b.noteIndex].midi);
+        }
+        
+        const sequence = [];
+        for (let octave = 0; octave < this.octaves; octave++) {
+            steps.forEach(step => {
+                sequence.push({ ...step, semitones: octave * 12 });
+            });
+        }
+        
+        if (this.pattern === 'down') {
+            return sequence.reverse();
+        }
+        if (this.pattern === 'up-down') {
+            // Turn around without repeating the top and bottom notes
+            return [...sequence, ...sequence.slice(1, -1).reverse()];
+        }
+        return sequence;
+    }
+
+    /**
+     * Get the time between steps, following tempo changes from the next step
+     * @returns {number} Seconds
+     */
+    getStepDuration() {
+        return (60 / metronome.getTempo()) * RATES[this.rate].beats;
+    }
+
+    /**
+     * Enable or disable the arpeggiator
+     * Disabling it stops the arpeggio and forgets the held bars
+     * @param {boolean} enabled - True to arpeggiate held bars
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        
+        if (!this.enabled) {
+            this.stop();
+            this.held = [];
+            this.pressed.clear();
+        }
+        
+        console.log(`Arpeggiator ${this.enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Check whether the arpeggiator is on
+     * @returns {boolean} True if held bars are arpeggiated
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Select the pattern
+     * @param {string} pattern - Pattern key (see getPatterns())
+     * @returns {boolean} Success status
+     */
+    setPattern(pattern) {
+        if (!Object.prototype.hasOwnProperty.call(PATTERNS, pattern)) {
+            console.warn(`Unknown arpeggiator pattern: ${pattern}`);
+            return false;
+        }
+        
+        this.pattern = pattern;
+        this.stepIndex = 0;
+        return true;
+    }
+
+    /**
+     * Get the pattern
+     * @returns {string} Pattern key
+     */
+    getPattern() {
+        return this.pattern;
+    }
+
+    /**
+     * Select the step rate
+     * @param {string} rate - Rate key such as '1/16' or '1/8T' (see getRates())
+     * @returns {boolean} Success status
+     */
+    setRate(rate) {
+        if (!Object.prototype.hasOwnProperty.call(RATES, rate)) {
+            console.warn(`Unknown arpeggiator rate: ${rate}`);
+            return false;
+        }
+        
+        this.rate = rate;
+        return true;
+    }
+
+    /**
+     * Get the step rate
+     * @returns {string} Rate key
+     */
+    getRate() {
+        return this.rate;
+    }
+
+    /**
+     * Set how many octaves the arpeggio climbs
+     * @param {number} octaves - Octave range (1-4)
+     * @returns {boolean} Success status
+     */
+    setOctaves(octaves) {
+        if (!Number.isInteger(octaves) || octaves < 1 || octaves > this.maxOctaves) {
+            console.warn(`Invalid octave range, must be between 1 and ${this.maxOctaves}`);
+            return false;
+        }
+        
+        this.octaves = octaves;
+        return true;
+    }
+
+    /**
+     * Get the octave range
+     * @returns {number} Octaves
+     */
+    getOctaves() {
+        return this.octaves;
+    }
+
+    /**
+     * Enable or disable latch: with latch on, the arpeggio keeps playing after the keys are released
+     * Turning latch off keeps only the bars still held down
+     * @param {boolean} latch - True to latch
+     */
+    setLatch(latch) {
+        this.latch = !!latch;
+        
+        if (!this.latch) {
+            this.held = this.held.filter(entry => this.pressed.has(entry.source));
+            if (this.held.length === 0) {
+                this.stop();
+            }
+        }
+    }
+
+    /**
+     * Check whether latch is on
+     * @returns {boolean} True if the arpeggio is latched
+     */
+    isLatched() {
+        return this.latch;
+    }
+
+    /**
+     * List patterns
+     * @returns {Array} Array of {id, label} objects
+     */
+    getPatterns() {
+        return Object.entries(PATTERNS).map(([id, pattern]) => ({ id, label: pattern.label }));
+    }
+
+    /**
+     * List step rates
+     * @returns {Array} Array of {id, label} objects
+     */
+    getRates() {
+        return Object.entries(RATES).map(([id, rate]) => ({ id, label: rate.label }));
+    }
+
+    /**
+     * Stop the arpeggio and forget held bars
+     */
+    reset() {
+        this.stop();
+        this.held = [];
+        this.pressed.clear();
+        this.stepIndex = 0;
+    }
+}
+
+// Export singleton instance
+export default new Arpeggiator();
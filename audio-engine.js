@@ -1,26 +1,84 @@
 /**
  * Audio Engine Module
- * Manages Web Audio API interactions, oscillator creation, and ADSR envelope synthesis
+ * Manages Web Audio API interactions and modal "struck bar" voice synthesis
+ * Voices render in an AudioWorklet (synth-processor.js), with a node graph per voice as fallback
  * Provides low-latency audio generation for xylophone tones
  */
 
+import ModalVoice from './modal-voice.js';
+import WorkletVoice from './worklet-voice.js';
+import EffectsChain from './effects-chain.js';
+import voiceManager from './voice-manager.js';
+import instruments from './instruments.js';
+
 class AudioEngine {
     constructor() {
         this.audioContext = null;
         this.masterGain = null;
+        this.effects = null;
+        this.limiter = null;
+        this.analysers = [];         // Master bus taps, one per channel (left, right)
         this.isInitialized = false;
-        this.activeOscillators = new Set();
-        
-        // ADSR envelope parameters for xylophone-like percussive sound
-        this.envelope = {
-            attack: 0.005,      // Very fast attack (5ms) for percussive strike
-            decay: 0.1,         // Quick decay to sustain level
-            sustain: 0.3,       // Lower sustain level for natural decay
-            release: 1.2        // Longer release for resonance tail
+        
+        // Brickwall limiter before the destination: fast compressor, then a soft clipper
+        // that catches anything the compressor's attack lets through
+        this.limiterSettings = {
+            threshold: -3,      // dBFS where limiting starts
+            release: 0.1,       // seconds
+            ceiling: 0.98       // Absolute output ceiling (linear)
+        };
+        
+        // Metering on the master bus (tapped before the limiter, so clipping is still visible)
+        this.meterFftSize = 2048;
+        this.meterBuffer = null;
+        this.clipThreshold = 1.0;    // Linear peak counted as a clip (0 dBFS)
+        this.clipLatched = false;
+        this.meterFloorDb = -100;    // Level reported for silence
+        
+        // Effects settings are kept here so they survive before/after the live chain exists
+        this.effectsPreset = 'studio';
+        this.effectsSettings = EffectsChain.presets[this.effectsPreset];
+        this.effectsTempo = 120;
+        
+        // Shared white noise used for the mallet transient
+        this.noiseBuffer = null;
+        this.noiseDuration = 0.1; // seconds
+        
+        // Current instrument preset; its timbre and envelope can be tweaked afterwards
+        const preset = instruments.get(instruments.defaultInstrument);
+        this.instrument = preset.id;
+        
+        // Voice envelope - partials decay on their own, this only shapes start and end
+        this.envelope = preset.envelope;
+        
+        // Modal timbre: partial ratios/gains/decays and mallet noise character
+        this.timbre = {
+            partials: preset.partials,
+            mallet: preset.mallet
+        };
+        
+        // Per-instrument buses between voices and effects (carry extras like tremolo)
+        this.instrumentBuses = new Map();
+        
+        // Bar placement: bars spread low (left) to high (right) by their position (-1 to 1)
+        this.stereoWidth = 0.7;           // 0 = every bar centered, 1 = end bars hard left/right
+        
+        // 3D spatial mode: each voice goes through an HRTF PannerNode, bars laid out in front of the listener
+        this.spatial = {
+            enabled: false,
+            spread: 1.0,      // meters from the center to each end of the instrument
+            distance: 1.0     // meters from the listener to the instrument
         };
+        this.listenerPosition = { x: 0, y: 0, z: 0 };
+        
+        // AudioWorklet synthesis: one processor node per instrument renders all its voices
+        // Falls back to a node graph per voice (ModalVoice) where worklets are unavailable
+        this.useWorklet = true;
+        this.workletReady = false;
+        this.synthNodes = new Map();      // instrumentId -> AudioWorkletNode
+        this.workletVoices = new Map();   // voice id -> WorkletVoice
+        this.nextVoiceId = 1;
         
-        // Oscillator configuration
-        this.oscillatorType = 'sine'; // Sine wave for pure, bell-like tone
         this.defaultVolume = 0.7;     // Default master volume (0-1)
     }
 
@@ -47,7 +105,37 @@ class AudioEngine {
             // Create master gain node for volume control
             this.masterGain = this.audioContext.createGain();
             this.masterGain.gain.value = this.defaultVolume;
-            this.masterGain.connect(this.audioContext.destination);
+            
+            // Master gain -> limiter -> destination, with an analyser per channel tapped from the master gain
+            this.limiter = this.createLimiter(this.audioContext);
+            this.masterGain.connect(this.limiter.input);
+            this.limiter.output.connect(this.audioContext.destination);
+            
+            // An analyser downmixes its input to mono, which would read hard-panned notes about 6 dB low,
+            // so the channels are split and each gets its own
+            const meterSplitter = this.audioContext.createChannelSplitter(2);
+            this.masterGain.connect(meterSplitter);
+            this.analysers = [0, 1].map(channel => {
+                const analyser = this.audioContext.createAnalyser();
+                analyser.fftSize = this.meterFftSize;
+                analyser.smoothingTimeConstant = 0;
+                meterSplitter.connect(analyser, channel);
+                return analyser;
+            });
+            this.meterBuffer = new Float32Array(this.meterFftSize);
+            
+            // Insert effects between voices and master gain
+            this.effects = this.createEffectsChain(this.audioContext);
+            this.effects.connect(this.masterGain);
+            
+            // Pre-render noise once for all mallet transients
+            this.noiseBuffer = this.createNoiseBuffer(this.audioContext);
+            
+            // Spatial mode listener
+            this.applyListenerPosition(this.audioContext);
+            
+            // Prefer worklet synthesis; playNote() falls back to node graph voices without it
+            this.workletReady = await this.loadSynthWorklet();
             
             // Resume context if suspended (autoplay policy)
             if (this.audioContext.state === 'suspended') {
@@ -65,14 +153,95 @@ class AudioEngine {
         }
     }
 
+    /**
+     * Load the synth processor into the audio worklet
+     * @returns {Promise<boolean>} True if worklet synthesis is available
+     */
+    async loadSynthWorklet() {
+        if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+            console.log('AudioWorklet not supported, using node graph synthesis');
+            return false;
+        }
+        
+        try {
+            await this.audioContext.audioWorklet.addModule(new URL('./synth-processor.js', import.meta.url));
+            console.log('AudioWorklet synthesis enabled');
+            return true;
+        } catch (error) {
+            console.warn('Could not load synth worklet, using node graph synthesis:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Create the brickwall limiter used on the master bus
+     * Works in any context, so offline rendering gets the same clip protection
+     * @param {BaseAudioContext} context - Context to build the limiter in
+     * @returns {Object} Limiter with `input`, `output` and `compressor` nodes (not yet connected)
+     */
+    createLimiter(context) {
+        const { threshold, release, ceiling } = this.limiterSettings;
+        
+        const compressor = context.createDynamicsCompressor();
+        compressor.threshold.value = threshold;
+        compressor.knee.value = 0;
+        compressor.ratio.value = 20;
+        compressor.attack.value = 0.001;
+        compressor.release.value = release;
+        
+        // Linear up to 90% of the ceiling, then bends smoothly into the ceiling
+        const clipper = context.createWaveShaper();
+        const samples = 4097;   // Odd, so the middle sample is exactly zero
+        const curve = new Float32Array(samples);
+        const knee = ceiling * 0.9;
+        for (let i = 0; i < samples; i++) {
+            const x = (i / (samples - 1)) * 2 - 1;
+            const magnitude = Math.abs(x);
+            const shaped = magnitude <= knee
+                ? magnitude
+                : knee + (ceiling - knee) * Math.tanh((magnitude - knee) / (ceiling - knee));
+            curve[i] = Math.sign(x) * shaped;
+        }
+        clipper.curve = curve;
+        clipper.oversample = '4x';
+        
+        compressor.connect(clipper);
+        
+        return { input: compressor, output: clipper, compressor };
+    }
+
+    /**
+     * Create a mono white noise buffer
+     * @param {BaseAudioContext} context - Context to create the buffer in
+     * @returns {AudioBuffer} Noise buffer
+     */
+    createNoiseBuffer(context) {
+        const length = Math.ceil(context.sampleRate * this.noiseDuration);
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        
+        return buffer;
+    }
+
     /**
      * Play a note with specified frequency
-     * Creates oscillator with ADSR envelope for percussive xylophone tone
+     * Creates a modal voice (inharmonic partials plus mallet noise) for a struck-bar tone
      * @param {number} frequency - Frequency in Hz
      * @param {number} duration - Note duration in seconds (default: 2.0)
-     * @returns {boolean} Success status
+     * @param {number} velocity - Strike strength (0-1, default: 1.0)
+     * @param {Object} options - Optional settings
+     * @param {number} options.time - Context time to strike at (default: now)
+     * @param {*} options.key - Voice key (bar index) used for same-bar choking
+     * @param {*} options.noteId - Id to damp the note by later (see releaseNote())
+     * @param {string} options.instrument - Instrument preset to play with (default: current)
+     * @param {number} options.position - Bar position across the instrument (-1 lowest to 1 highest, default: 0)
+     * @returns {boolean} Success status (false if the note was dropped)
      */
-    playNote(frequency, duration = 2.0) {
+    playNote(frequency, duration = 2.0, velocity = 1.0, options = {}) {
         if (!this.isInitialized || !this.audioContext) {
             console.warn('Audio engine not initialized');
             return false;
@@ -80,61 +249,668 @@ class AudioEngine {
 
         try {
             const now = this.audioContext.currentTime;
+            const startTime = options.time !== undefined ? Math.max(now, options.time) : now;
+            const key = options.key !== undefined ? options.key : null;
             
-            // Create oscillator for tone generation
-            const oscillator = this.audioContext.createOscillator();
-            oscillator.type = this.oscillatorType;
-            oscillator.frequency.value = frequency;
-            
-            // Create gain node for ADSR envelope
-            const gainNode = this.audioContext.createGain();
-            gainNode.gain.value = 0; // Start at zero
-            
-            // Connect audio graph: oscillator -> gain -> master gain -> destination
-            oscillator.connect(gainNode);
-            gainNode.connect(this.masterGain);
-            
-            // Apply ADSR envelope
-            const attackEnd = now + this.envelope.attack;
-            const decayEnd = attackEnd + this.envelope.decay;
-            const releaseStart = now + duration;
-            const releaseEnd = releaseStart + this.envelope.release;
-            
-            // Attack: ramp up to peak volume
-            gainNode.gain.setValueAtTime(0, now);
-            gainNode.gain.linearRampToValueAtTime(1.0, attackEnd);
+            // Make room for the voice, stealing one if the polyphony limit is reached
+            if (!voiceManager.allocate(key, startTime)) {
+                return false;
+            }
             
-            // Decay: ramp down to sustain level
-            gainNode.gain.linearRampToValueAtTime(this.envelope.sustain, decayEnd);
+            // Voice -> instrument bus -> effects -> master gain -> destination
+            const instrumentId = options.instrument || this.instrument;
+            const position = options.position !== undefined ? options.position : 0;
+            const voice = this.createLiveVoice(frequency, velocity, instrumentId, position);
             
-            // Sustain: hold at sustain level until release
-            gainNode.gain.setValueAtTime(this.envelope.sustain, releaseStart);
+            // Track active voice and clean up once it has rung out
+            voiceManager.register(voice, key, startTime, options.noteId !== undefined ? options.noteId : null);
+            voice.onended = () => {
+                voiceManager.unregister(voice);
+            };
             
-            // Release: ramp down to zero
-            gainNode.gain.linearRampToValueAtTime(0, releaseEnd);
+            voice.start(startTime, duration);
             
-            // Start oscillator
-            oscillator.start(now);
+            return true;
             
-            // Stop oscillator after release completes
-            oscillator.stop(releaseEnd);
+        } catch (error) {
+            console.error('Error playing note:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Damp a note started with a note id: its voice fades out quickly instead of ringing on
+     * @param {*} noteId - Id passed to playNote()
+     * @param {number} fadeTime - Fade length in seconds (default: 0.1)
+     * @param {number} time - Context time to start the fade (default: now)
+     * @returns {boolean} True if a sounding voice was damped
+     */
+    releaseNote(noteId, fadeTime = 0.1, time = null) {
+        if (!this.isInitialized || !this.audioContext) {
+            return false;
+        }
+        
+        const now = this.audioContext.currentTime;
+        return voiceManager.releaseNote(noteId, time !== null ? Math.max(now, time) : now, fadeTime);
+    }
+
+    /**
+     * Play a metronome click: a short sine blip straight into the master gain
+     * Clicks skip the instrument buses and effects and take no voice, so they never steal notes
+     * @param {number} time - Context time of the click
+     * @param {boolean} accent - True for a downbeat (higher and louder)
+     * @param {number} level - Click level (0-1, default: 0.5)
+     * @returns {boolean} Success status
+     */
+    playClick(time, accent = false, level = 0.5) {
+        if (!this.isInitialized || !this.audioContext) {
+            return false;
+        }
+        
+        try {
+            const context = this.audioContext;
+            const startTime = Math.max(context.currentTime, time);
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
             
-            // Track active oscillator
-            this.activeOscillators.add(oscillator);
+            oscillator.type = 'sine';
+            oscillator.frequency.value = accent ? 1600 : 1000;
+            gain.gain.setValueAtTime(level * (accent ? 1.0 : 0.6), startTime);
+            gain.gain.exponentialRampToValueAtTime(0.0001, startTime + 0.05);
             
-            // Clean up after oscillator stops
+            oscillator.connect(gain);
+            gain.connect(this.masterGain);
             oscillator.onended = () => {
                 oscillator.disconnect();
-                gainNode.disconnect();
-                this.activeOscillators.delete(oscillator);
+                gain.disconnect();
             };
             
+            oscillator.start(startTime);
+            oscillator.stop(startTime + 0.06);
             return true;
-            
+        
         } catch (error) {
-            console.error('Error playing note:', error);
+            console.error('Error playing click:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Create a connected voice for live playback
+     * Uses the synth worklet when available, otherwise a node graph voice
+     * @param {number} frequency - Frequency in Hz
+     * @param {number} velocity - Strike strength (0-1)
+     * @param {string} instrumentId - Instrument preset
+     * @param {number} position - Bar position (-1 to 1)
+     * @returns {WorkletVoice|ModalVoice} Unstarted voice
+     */
+    createLiveVoice(frequency, velocity, instrumentId, position = 0) {
+        if (this.getSynthesisMode() === 'worklet') {
+            const id = this.nextVoiceId++;
+            const voice = new WorkletVoice(this.getSynthNode(instrumentId), {
+                id: id,
+                frequency: frequency,
+                ...this.getSound(instrumentId),
+                velocity: Math.max(0, Math.min(1, velocity)),
+                pan: this.getPan(position)
+            });
+            this.workletVoices.set(id, voice);
+            return voice;
+        }
+        
+        const voice = this.createVoice(this.audioContext, frequency, velocity, this.noiseBuffer, instrumentId, position);
+        voice.connect(this.getInstrumentBus(instrumentId).input);
+        return voice;
+    }
+
+    /**
+     * Get the timbre and envelope an instrument's voices are built with
+     * The current instrument uses the live (possibly tweaked) timbre; others use their preset
+     * @param {string} instrumentId - Instrument preset (default: current)
+     * @returns {Object} { timbre, envelope }
+     */
+    getSound(instrumentId = null) {
+        if (instrumentId && instrumentId !== this.instrument) {
+            const preset = instruments.get(instrumentId);
+            if (preset) {
+                return {
+                    timbre: { partials: preset.partials, mallet: preset.mallet },
+                    envelope: preset.envelope
+                };
+            }
+            console.warn(`Unknown instrument: ${instrumentId}, using ${this.instrument}`);
+        }
+        
+        return { timbre: this.timbre, envelope: this.envelope };
+    }
+
+    /**
+     * Create a node graph voice with the timbre and envelope of an instrument
+     * Works in any context, so offline rendering uses exactly the fallback voice graph
+     * @param {BaseAudioContext} context - Context to build the voice in
+     * @param {number} frequency - Frequency in Hz
+     * @param {number} velocity - Strike strength (0-1)
+     * @param {AudioBuffer} noiseBuffer - Noise buffer created in the same context
+     * @param {string} instrumentId - Instrument preset (default: current)
+     * @param {number} position - Bar position (-1 to 1, default: 0)
+     * @returns {ModalVoice} Unstarted voice
+     */
+    createVoice(context, frequency, velocity, noiseBuffer, instrumentId = null, position = 0) {
+        const { timbre, envelope } = this.getSound(instrumentId);
+        
+        return new ModalVoice(context, {
+            frequency: frequency,
+            timbre: timbre,
+            envelope: envelope,
+            noiseBuffer: noiseBuffer,
+            velocity: Math.max(0, Math.min(1, velocity)),
+            panner: this.createPanner(context, position)
+        });
+    }
+
+    /**
+     * Create the panner that places one voice
+     * Stereo mode uses a StereoPannerNode scaled by the stereo width; spatial mode an
+     * HRTF PannerNode with the bar laid out in front of the listener
+     * @param {BaseAudioContext} context - Context to build the panner in
+     * @param {number} position - Bar position (-1 to 1)
+     * @returns {AudioNode|null} Panner, or null if the context has none
+     */
+    createPanner(context, position) {
+        if (this.spatial.enabled && typeof context.createPanner === 'function') {
+            const panner = context.createPanner();
+            panner.panningModel = 'HRTF';
+            panner.distanceModel = 'inverse';
+            panner.refDistance = this.spatial.distance;
+            
+            const x = position * this.spatial.spread;
+            const z = -this.spatial.distance;
+            if (panner.positionX) {
+                panner.positionX.value = x;
+                panner.positionY.value = 0;
+                panner.positionZ.value = z;
+            } else {
+                panner.setPosition(x, 0, z);
+            }
+            return panner;
+        }
+        
+        if (typeof context.createStereoPanner === 'function') {
+            const panner = context.createStereoPanner();
+            panner.pan.value = this.getPan(position);
+            return panner;
+        }
+        
+        return null;
+    }
+
+    /**
+     * Get the stereo pan for a bar position
+     * @param {number} position - Bar position (-1 to 1)
+     * @returns {number} Pan (-1 to 1) scaled by the stereo width
+     */
+    getPan(position) {
+        return Math.max(-1, Math.min(1, position)) * this.stereoWidth;
+    }
+
+    /**
+     * Move a context's listener to the configured listener position
+     * @param {BaseAudioContext} context - Context whose listener to move
+     */
+    applyListenerPosition(context) {
+        const listener = context.listener;
+        if (!listener) {
+            return;
+        }
+        
+        const { x, y, z } = this.listenerPosition;
+        if (listener.positionX) {
+            const now = context.currentTime;
+            listener.positionX.setValueAtTime(x, now);
+            listener.positionY.setValueAtTime(y, now);
+            listener.positionZ.setValueAtTime(z, now);
+        } else {
+            listener.setPosition(x, y, z);
+        }
+    }
+
+    /**
+     * Set how far bars spread across the stereo field
+     * @param {number} width - 0 (mono, centered) to 1 (end bars hard left/right)
+     */
+    setStereoWidth(width) {
+        if (width >= 0 && width <= 1) {
+            this.stereoWidth = width;
+        } else {
+            console.warn('Invalid stereo width, must be between 0 and 1');
+        }
+    }
+
+    /**
+     * Get stereo width
+     * @returns {number} Width (0-1)
+     */
+    getStereoWidth() {
+        return this.stereoWidth;
+    }
+
+    /**
+     * Enable or disable 3D spatial mode (HRTF, best on headphones)
+     * Spatial voices need a PannerNode each, so new notes use node graph synthesis while enabled
+     * @param {boolean} enabled - True for spatial mode, false for stereo panning
+     */
+    setSpatialMode(enabled) {
+        this.spatial.enabled = Boolean(enabled);
+    }
+
+    /**
+     * Check whether 3D spatial mode is enabled
+     * @returns {boolean} True if enabled
+     */
+    isSpatialMode() {
+        return this.spatial.enabled;
+    }
+
+    /**
+     * Set the listener position used by spatial mode
+     * The instrument sits `spatial.distance` meters in front of the origin (negative z)
+     * @param {Object} position - { x, y, z } in meters, each between -10 and 10 (omitted axes keep their value)
+     * @returns {boolean} Success status
+     */
+    setListenerPosition(position) {
+        const next = { ...this.listenerPosition, ...position };
+        const valid = ['x', 'y', 'z'].every(axis =>
+            typeof next[axis] === 'number' && next[axis] >= -10 && next[axis] <= 10
+        );
+        
+        if (!valid) {
+            console.warn('Invalid listener position, each axis must be between -10 and 10 meters');
             return false;
         }
+        
+        this.listenerPosition = next;
+        if (this.audioContext) {
+            this.applyListenerPosition(this.audioContext);
+        }
+        return true;
+    }
+
+    /**
+     * Get the listener position used by spatial mode
+     * @returns {Object} { x, y, z } in meters
+     */
+    getListenerPosition() {
+        return { ...this.listenerPosition };
+    }
+
+    /**
+     * Get (or lazily create) the synth worklet node for an instrument
+     * @param {string} instrumentId - Instrument preset
+     * @returns {AudioWorkletNode} Node connected to the instrument's bus
+     */
+    getSynthNode(instrumentId) {
+        let node = this.synthNodes.get(instrumentId);
+        
+        if (!node) {
+            node = new AudioWorkletNode(this.audioContext, 'synth-processor', {
+                numberOfInputs: 0,
+                numberOfOutputs: 1,
+                outputChannelCount: [2]
+            });
+            
+            node.port.onmessage = (event) => this.handleSynthMessage(event.data);
+            node.onprocessorerror = () => this.handleSynthError(node);
+            node.connect(this.getInstrumentBus(instrumentId).input);
+            
+            this.synthNodes.set(instrumentId, node);
+        }
+        
+        return node;
+    }
+
+    /**
+     * Handle a message from a synth worklet node
+     * @param {Object} message - { type: 'ended', ids }
+     */
+    handleSynthMessage(message) {
+        if (message.type !== 'ended') {
+            return;
+        }
+        
+        message.ids.forEach(id => {
+            const voice = this.workletVoices.get(id);
+            if (voice) {
+                this.workletVoices.delete(id);
+                voice.dispose();
+            }
+        });
+    }
+
+    /**
+     * Switch to node graph synthesis after a synth processor has crashed
+     * @param {AudioWorkletNode} node - Failed node
+     */
+    handleSynthError(node) {
+        console.error('Synth worklet failed, falling back to node graph synthesis');
+        this.workletReady = false;
+        
+        // The node will never report its voices as ended, so release them here
+        this.workletVoices.forEach((voice, id) => {
+            if (voice.node === node) {
+                this.workletVoices.delete(id);
+                voice.dispose();
+            }
+        });
+    }
+
+    /**
+     * Enable or disable worklet synthesis
+     * Disabling forces node graph voices for new notes (ringing voices finish as they are)
+     * @param {boolean} enabled - True to use the worklet when available
+     */
+    setWorkletEnabled(enabled) {
+        this.useWorklet = Boolean(enabled);
+    }
+
+    /**
+     * Get the synthesis path used for new live notes
+     * Spatial mode always uses the node graph, which gives every voice its own PannerNode
+     * @returns {string} 'worklet' or 'graph'
+     */
+    getSynthesisMode() {
+        return this.useWorklet && this.workletReady && !this.spatial.enabled ? 'worklet' : 'graph';
+    }
+
+    /**
+     * Create the bus an instrument's voices are summed into
+     * Instruments with a tremolo motor get a shared LFO on the bus gain, so every
+     * ringing bar pulses in phase as on a real vibraphone
+     * @param {BaseAudioContext} context - Context to build the bus in
+     * @param {string} instrumentId - Instrument preset
+     * @returns {Object} Bus with `input` node and `nodes` to release on dispose (not yet connected)
+     */
+    createInstrumentBus(context, instrumentId) {
+        const preset = instruments.get(instrumentId);
+        const tremolo = preset ? preset.tremolo : null;
+        
+        const input = context.createGain();
+        const bus = { input, nodes: [input], sources: [] };
+        
+        if (tremolo && tremolo.depth > 0) {
+            // Gain swings between 1 - depth and 1 at the motor rate
+            input.gain.value = 1 - tremolo.depth / 2;
+            
+            const lfo = context.createOscillator();
+            lfo.type = 'sine';
+            lfo.frequency.value = tremolo.rate;
+            
+            const lfoDepth = context.createGain();
+            lfoDepth.gain.value = tremolo.depth / 2;
+            
+            lfo.connect(lfoDepth);
+            lfoDepth.connect(input.gain);
+            lfo.start(0);
+            
+            bus.nodes.push(lfoDepth);
+            bus.sources.push(lfo);
+        }
+        
+        return bus;
+    }
+
+    /**
+     * Get (or lazily create) the live bus for an instrument
+     * @param {string} instrumentId - Instrument preset
+     * @returns {Object} Bus connected to the effects input
+     */
+    getInstrumentBus(instrumentId) {
+        let bus = this.instrumentBuses.get(instrumentId);
+        
+        if (!bus) {
+            bus = this.createInstrumentBus(this.audioContext, instrumentId);
+            bus.input.connect(this.effects.input);
+            this.instrumentBuses.set(instrumentId, bus);
+        }
+        
+        return bus;
+    }
+
+    /**
+     * Release the nodes of an instrument bus
+     * @param {Object} bus - Bus created by createInstrumentBus()
+     */
+    disposeInstrumentBus(bus) {
+        bus.sources.forEach(source => {
+            try {
+                source.stop();
+            } catch (error) {
+                // Already stopped
+            }
+        });
+        bus.sources.concat(bus.nodes).forEach(node => node.disconnect());
+    }
+
+    /**
+     * Switch to an instrument preset
+     * Replaces the current timbre and envelope with the preset's
+     * @param {string} instrumentId - Preset key (see instruments.list())
+     * @returns {boolean} Success status
+     */
+    setInstrument(instrumentId) {
+        const preset = instruments.get(instrumentId);
+        if (!preset) {
+            console.warn(`Unknown instrument: ${instrumentId}`);
+            return false;
+        }
+        
+        this.instrument = preset.id;
+        this.envelope = preset.envelope;
+        this.timbre = {
+            partials: preset.partials,
+            mallet: preset.mallet
+        };
+        
+        console.log(`Instrument set to ${preset.label}`);
+        return true;
+    }
+
+    /**
+     * Get the current instrument preset key
+     * @returns {string} Preset key
+     */
+    getInstrument() {
+        return this.instrument;
+    }
+
+    /**
+     * Create an effects chain with the current settings
+     * Works in any context, so offline rendering uses the same chain as live playback
+     * @param {BaseAudioContext} context - Context to build the chain in
+     * @returns {EffectsChain} Effects chain (not yet connected)
+     */
+    createEffectsChain(context) {
+        const chain = new EffectsChain(context, this.effectsSettings);
+        chain.setTempo(this.effectsTempo);
+        return chain;
+    }
+
+    /**
+     * Apply a named effects preset
+     * @param {string} presetName - Preset key (see EffectsChain.presets)
+     * @returns {boolean} Success status
+     */
+    setEffectsPreset(presetName) {
+        const preset = EffectsChain.presets[presetName];
+        if (!preset) {
+            console.warn(`Unknown effects preset: ${presetName}`);
+            return false;
+        }
+        
+        this.effectsPreset = presetName;
+        
+        if (this.effects) {
+            this.effects.applyPreset(presetName);
+            this.effectsSettings = this.effects.getSettings();
+        } else {
+            this.effectsSettings = preset;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Get the name of the last applied effects preset
+     * @returns {string} Preset key
+     */
+    getEffectsPreset() {
+        return this.effectsPreset;
+    }
+
+    /**
+     * Update one effect (bypass, wet/dry mix or effect parameters)
+     * @param {string} effectName - 'eq', 'compressor', 'delay' or 'reverb'
+     * @param {Object} params - Partial settings, e.g. { enabled: false } or { mix: 0.3 }
+     * @returns {boolean} Success status
+     */
+    setEffect(effectName, params) {
+        // Without a live chain, keep the settings for when it is created
+        if (!this.effects) {
+            if (!this.effectsSettings[effectName]) {
+                console.warn(`Unknown effect: ${effectName}`);
+                return false;
+            }
+            this.effectsSettings = {
+                ...this.effectsSettings,
+                [effectName]: { ...this.effectsSettings[effectName], ...params }
+            };
+            return true;
+        }
+        
+        const success = this.effects.setEffect(effectName, params);
+        if (success) {
+            this.effectsSettings = this.effects.getSettings();
+        }
+        return success;
+    }
+
+    /**
+     * Get current effects settings
+     * @returns {Object} Settings keyed by effect name
+     */
+    getEffectsSettings() {
+        if (this.effects) {
+            return this.effects.getSettings();
+        }
+        
+        const copy = {};
+        Object.keys(this.effectsSettings).forEach(name => {
+            if (typeof this.effectsSettings[name] === 'object') {
+                copy[name] = { ...this.effectsSettings[name] };
+            }
+        });
+        return copy;
+    }
+
+    /**
+     * Set tempo used by tempo-synced effects
+     * @param {number} bpm - Beats per minute
+     */
+    setEffectsTempo(bpm) {
+        if (bpm >= 20 && bpm <= 300) {
+            this.effectsTempo = bpm;
+            if (this.effects) {
+                this.effects.setTempo(bpm);
+            }
+        } else {
+            console.warn('Invalid tempo, must be between 20 and 300 BPM');
+        }
+    }
+
+    /**
+     * Set timbre parameters
+     * Partials and mallet settings are merged over the current timbre; nothing changes if either is invalid
+     * @param {Object} timbre - Timbre with optional `partials` and `mallet`
+     * @returns {boolean} Success status
+     */
+    setTimbre(timbre) {
+        if (!timbre || typeof timbre !== 'object') {
+            console.warn('Invalid timbre');
+            return false;
+        }
+        
+        if (timbre.partials !== undefined) {
+            const valid = Array.isArray(timbre.partials) &&
+                timbre.partials.length > 0 &&
+                timbre.partials.every(partial =>
+                    partial.ratio > 0 && partial.gain >= 0 && partial.decay > 0
+                );
+            
+            if (!valid) {
+                console.warn('Invalid partials, each needs ratio > 0, gain >= 0 and decay > 0');
+                return false;
+            }
+        }
+        
+        // The mallet noise is cut from the shared noise buffer, so it can last no longer than that
+        let mallet = null;
+        if (timbre.mallet !== undefined) {
+            mallet = { ...this.timbre.mallet, ...(timbre.mallet || {}) };
+            const valid = mallet.gain >= 0 &&
+                mallet.duration > 0 && mallet.duration <= this.noiseDuration &&
+                mallet.q > 0 &&
+                mallet.filterFrequency > 0;
+            
+            if (!valid) {
+                console.warn(`Invalid mallet, needs gain >= 0, 0 < duration <= ${this.noiseDuration}, q > 0 ` +
+                    'and filterFrequency > 0');
+                return false;
+            }
+        }
+        
+        if (timbre.partials !== undefined) {
+            this.timbre.partials = timbre.partials.map(partial => ({ ...partial }));
+        }
+        if (mallet) {
+            this.timbre.mallet = mallet;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Get current timbre parameters
+     * @returns {Object} Copy of partials and mallet settings
+     */
+    getTimbre() {
+        return {
+            partials: this.timbre.partials.map(partial => ({ ...partial })),
+            mallet: { ...this.timbre.mallet }
+        };
+    }
+
+    /**
+     * Get how long an instrument's voices ring: the longest decay of their partials
+     * @param {string} instrumentId - Instrument preset (default: current)
+     * @returns {number} Seconds
+     */
+    getRingTime(instrumentId = null) {
+        const partials = instrumentId && instrumentId !== this.instrument && instruments.has(instrumentId)
+            ? instruments.get(instrumentId).partials
+            : this.timbre.partials;
+        
+        return Math.max(...partials.map(partial => partial.decay));
+    }
+
+    /**
+     * Get the envelope used for an instrument's voices
+     * @param {string} instrumentId - Instrument preset (default: current)
+     * @returns {Object} Copy of attack and release settings
+     */
+    getEnvelope(instrumentId = null) {
+        if (instrumentId && instrumentId !== this.instrument && instruments.has(instrumentId)) {
+            return instruments.get(instrumentId).envelope;
+        }
+        return { ...this.envelope };
     }
 
     /**
@@ -166,6 +942,81 @@ class AudioEngine {
         return this.masterGain.gain.value;
     }
 
+    /**
+     * Get an analyser tapped from the master bus
+     * Visualizers can read it directly (time-domain or frequency data)
+     * @param {number} channel - 0 for left, 1 for right (default: 0)
+     * @returns {AnalyserNode|null} Analyser, or null if audio is not initialized
+     */
+    getAnalyser(channel = 0) {
+        return this.analysers[channel] || null;
+    }
+
+    /**
+     * Read current output levels from the master bus
+     * Levels are those of the louder channel; a peak at or above 0 dBFS in either channel
+     * latches the clip flag until resetClip()
+     * @returns {Object} { peak, rms, peakDb, rmsDb, clipped, reduction } - linear levels,
+     *                   dBFS levels and limiter gain reduction in dB
+     */
+    getMeterData() {
+        if (this.analysers.length === 0) {
+            return {
+                peak: 0,
+                rms: 0,
+                peakDb: this.meterFloorDb,
+                rmsDb: this.meterFloorDb,
+                clipped: this.clipLatched,
+                reduction: 0
+            };
+        }
+        
+        let peak = 0;
+        let rms = 0;
+        this.analysers.forEach(analyser => {
+            analyser.getFloatTimeDomainData(this.meterBuffer);
+        
+            let sumOfSquares = 0;
+            for (let i = 0; i < this.meterBuffer.length; i++) {
+                const sample = this.meterBuffer[i];
+                peak = Math.max(peak, Math.abs(sample));
+                sumOfSquares += sample * sample;
+            }
+            rms = Math.max(rms, Math.sqrt(sumOfSquares / this.meterBuffer.length));
+        });
+        
+        if (peak >= this.clipThreshold) {
+            this.clipLatched = true;
+        }
+        
+        return {
+            peak: peak,
+            rms: rms,
+            peakDb: this.toDecibels(peak),
+            rmsDb: this.toDecibels(rms),
+            clipped: this.clipLatched,
+            reduction: this.limiter ? this.limiter.compressor.reduction : 0
+        };
+    }
+
+    /**
+     * Convert a linear level to dBFS
+     * @param {number} level - Linear level
+     * @returns {number} Level in dB, floored at meterFloorDb
+     */
+    toDecibels(level) {
+        return level > 0
+            ? Math.max(this.meterFloorDb, 20 * Math.log10(level))
+            : this.meterFloorDb;
+    }
+
+    /**
+     * Clear the latched clip indicator
+     */
+    resetClip() {
+        this.clipLatched = false;
+    }
+
     /**
      * Stop all currently playing notes
      */
@@ -176,17 +1027,8 @@ class AudioEngine {
 
         const now = this.audioContext.currentTime;
         
-        // Stop all active oscillators with quick fade out
-        this.activeOscillators.forEach(oscillator => {
-            try {
-                oscillator.stop(now + 0.05); // 50ms fade out
-            } catch (error) {
-                // Oscillator may already be stopped
-                console.debug('Error stopping oscillator:', error);
-            }
-        });
-        
-        this.activeOscillators.clear();
+        // Stop all active voices with quick fade out
+        voiceManager.releaseAll(now, 0.05); // 50ms fade out
     }
 
     /**
@@ -233,10 +1075,10 @@ class AudioEngine {
 
     /**
      * Get number of currently playing notes
-     * @returns {number} Active oscillator count
+     * @returns {number} Active voice count
      */
     getActiveNoteCount() {
-        return this.activeOscillators.size;
+        return voiceManager.getActiveCount();
     }
 
     /**
@@ -251,11 +1093,32 @@ class AudioEngine {
             // Stop all active notes
             this.stopAllNotes();
             
+            // Release synth nodes, instrument buses and effects nodes
+            this.synthNodes.forEach(node => {
+                node.port.onmessage = null;
+                node.disconnect();
+            });
+            this.synthNodes.clear();
+            this.workletVoices.clear();
+            this.workletReady = false;
+            
+            this.instrumentBuses.forEach(bus => this.disposeInstrumentBus(bus));
+            this.instrumentBuses.clear();
+            
+            if (this.effects) {
+                this.effects.dispose();
+            }
+            
             // Close audio context
             await this.audioContext.close();
             
             this.audioContext = null;
             this.masterGain = null;
+            this.limiter = null;
+            this.analysers = [];
+            this.meterBuffer = null;
+            this.effects = null;
+            this.noiseBuffer = null;
             this.isInitialized = false;
             
             console.log('Audio engine disposed');
@@ -0,0 +1,201 @@
+/**
+ * Bar Renderer Module
+ * Builds the bars from the note table: the natural row, and the raised accidental row in chromatic mode
+ * Bars are graduated like a real instrument, shorter as they rise in pitch
+ * Dispatches `barsChanged` after every render so input handling and visual feedback can re-cache bars
+ */
+
+import xylophone from './xylophone.js';
+
+class BarRenderer {
+    constructor() {
+        // Containers for the natural and accidental rows
+        this.naturalRow = null;
+        this.accidentalRow = null;
+        
+        // Number of bar colors defined in styles.css (--bar-color-0 ...)
+        this.colorCount = 11;
+        
+        // Above this many natural bars the rows switch to a compact layout
+        this.compactBarCount = 15;
+        
+        // Re-renders when the note table or the key bindings change
+        this.scaleChangedHandler = null;
+        this.keyMapChangedHandler = null;
+        
+        this.isInitialized = false;
+    }
+
+    /**
+     * Initialize the renderer and draw the current layout
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        this.naturalRow = document.getElementById('xylophone');
+        this.accidentalRow = document.getElementById('accidental-row');
+        
+        if (!this.naturalRow) {
+            console.error('Xylophone container not found');
+            return false;
+        }
+        
+        if (!this.accidentalRow) {
+            console.warn('Accidental row not found, chromatic bars will not be shown');
+        }
+        
+        this.scaleChangedHandler = () => this.render();
+        document.addEventListener('scaleChanged', this.scaleChangedHandler);
+        
+        this.keyMapChangedHandler = () => this.render();
+        document.addEventListener('keyMapChanged', this.keyMapChangedHandler);
+        
+        this.isInitialized = true;
+        this.render();
+        
+        console.log('Bar renderer initialized');
+        return true;
+    }
+
+    /**
+     * Rebuild both rows from the note table and announce the new bars
+     */
+    render() {
+        const notes = xylophone.getAllNotes();
+        const naturals = notes.filter(note => !note.accidental);
+        const compact = naturals.length > this.compactBarCount;
+        
+        // Bar lengths are relative to the lowest natural bar
+        const lowest = Math.min(...naturals.map(note => note.midi));
+        
+        if (this.naturalRow) {
+            this.naturalRow.innerHTML = '';
+            this.naturalRow.classList.toggle('compact', compact);
+            
+            naturals.forEach((note, index) => {
+                const bar = this.createBar(note, index, lowest);
+                bar.style.setProperty('--bar-color', `var(--bar-color-${index % this.colorCount})`);
+                this.naturalRow.appendChild(bar);
+            });
+        }
+        
+        if (this.accidentalRow) {
+            this.accidentalRow.innerHTML = '';
+            this.accidentalRow.classList.toggle('compact', compact);
+            
+            const accidentals = notes
+                .map((note, index) => ({ note, index }))
+                .filter(({ note }) => note.accidental);
+            
+            // One slot per natural bar keeps the row aligned with the bars below;
+            // bars in slot i are drawn over the gap between natural bars i and i + 1,
+            // side by side when a three-semitone gap holds two
+            if (accidentals.length > 0) {
+                for (let slot = 0; slot < naturals.length; slot++) {
+                    const cell = document.createElement('div');
+                    cell.className = 'accidental-slot';
+                    
+                    const entries = accidentals.filter(({ note }) => note.slot === slot);
+                    if (entries.length > 0) {
+                        cell.classList.toggle('split', entries.length > 1);
+                        cell.style.setProperty('--bar-scale', this.getBarScale(entries[0].note, lowest));
+                        entries.forEach(entry => {
+                            cell.appendChild(this.createBar(entry.note, entry.index, lowest));
+                        });
+                    }
+                    
+                    this.accidentalRow.appendChild(cell);
+                }
+            }
+        }
+        
+        document.dispatchEvent(new CustomEvent('barsChanged', {
+            detail: { notes: notes }
+        }));
+    }
+
+    /**
+     * Get a bar's length relative to the lowest bar
+     * A free bar's pitch rises with the inverse square of its length, so length halves every two octaves
+     * @param {Object} note - Note object with `midi`
+     * @param {number} lowest - MIDI note of the lowest natural bar
+     * @returns {number} Scale factor (1 for the lowest bar)
+     */
+    getBarScale(note, lowest) {
+        return Math.pow(2, -(note.midi - lowest) / 24);
+    }
+
+    /**
+     * Create a bar element
+     * Note labels are filled in by visual feedback (see VisualFeedback.updateBarLabels)
+     * @param {Object} note - Note object from the note table
+     * @param {number} noteIndex - Index of the note
+     * @param {number} lowest - MIDI note of the lowest natural bar
+     * @returns {HTMLElement} Bar element
+     */
+    createBar(note, noteIndex, lowest) {
+        const key = xylophone.getKeyForNote(noteIndex);
+        
+        const bar = document.createElement('div');
+        bar.className = note.accidental ? 'bar accidental' : 'bar';
+        bar.style.setProperty('--bar-scale', this.getBarScale(note, lowest));
+        bar.dataset.note = String(noteIndex);
+        bar.tabIndex = 0;
+        bar.setAttribute('role', 'button');
+        bar.setAttribute('aria-label', `Note ${note.displayName}`);
+        
+        const noteLabel = document.createElement('span');
+        noteLabel.className = 'note-label';
+        bar.appendChild(noteLabel);
+        
+        if (key) {
+            bar.dataset.key = key;
+            
+            const keyLabel = document.createElement('span');
+            keyLabel.className = 'key-label';
+            keyLabel.textContent = xylophone.getKeyLabel(key);
+            bar.appendChild(keyLabel);
+        }
+        
+        return bar;
+    }
+
+    /**
+     * Get every bar element, natural and accidental, indexed by note index
+     * @returns {Array<HTMLElement>} Bar elements in note table order
+     */
+    getBarElements() {
+        return Array.from(document.querySelectorAll('.bar'))
+            .sort((a, b) => Number(a.dataset.note) - Number(b.dataset.note));
+    }
+
+    /**
+     * Clean up listeners and remove rendered bars
+     */
+    dispose() {
+        if (this.scaleChangedHandler) {
+            document.removeEventListener('scaleChanged', this.scaleChangedHandler);
+            this.scaleChangedHandler = null;
+        }
+        
+        if (this.keyMapChangedHandler) {
+            document.removeEventListener('keyMapChanged', this.keyMapChangedHandler);
+            this.keyMapChangedHandler = null;
+        }
+        
+        if (this.naturalRow) {
+            this.naturalRow.innerHTML = '';
+            this.naturalRow = null;
+        }
+        
+        if (this.accidentalRow) {
+            this.accidentalRow.innerHTML = '';
+            this.accidentalRow = null;
+        }
+        
+        this.isInitialized = false;
+        console.log('Bar renderer disposed');
+    }
+}
+
+// Export singleton instance
+export default new BarRenderer();
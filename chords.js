@@ -0,0 +1,176 @@
+/**
+ * Chords Module
+ * Chord mode: one strike on a natural bar sounds the chord built on that scale degree
+ * Chords stack notes of the current scale (every other bar for thirds), so they are always diatonic
+ * Accidental bars still play single notes
+ */
+
+import xylophone from './xylophone.js';
+import scales from './scales.js';
+
+// Chord tones as scale steps above the root; 'octave' adds the root an octave up
+const CHORD_TYPES = {
+    'triad':   { label: 'Triad',   steps: [0, 2, 4] },
+    'seventh': { label: 'Seventh', steps: [0, 2, 4, 6] },
+    'sus2':    { label: 'Sus2',    steps: [0, 1, 4] },
+    'sus4':    { label: 'Sus4',    steps: [0, 3, 4] },
+    'power':   { label: 'Power',   steps: [0, 4, 'octave'] }
+};
+
+// Spread voicing lifts the second chord tone (the third, or the suspended note) an octave
+const VOICINGS = {
+    'close':  { label: 'Close' },
+    'spread': { label: 'Spread' }
+};
+
+class Chords {
+    constructor() {
+        this.enabled = false;
+        this.chordType = 'triad';
+        this.voicing = 'close';
+        
+        // Delay between chord notes, lowest first (0 strikes them together)
+        this.strum = 0;         // ms
+        this.maxStrum = 100;    // ms
+    }
+
+    /**
+     * Get the bars to strike for a strike on one bar
+     * Chord tones past the top bar drop an octave; tones that still do not fit are left out
+     * @param {number} noteIndex - Index of the struck bar
+     * @returns {Array<number>} Note indices from lowest to highest (just the struck bar when chord
+     *                          mode is off or the bar is an accidental)
+     */
+    getChordNotes(noteIndex) {
+        const note = xylophone.getNoteInfo(noteIndex);
+        if (!this.enabled || !note || note.accidental) {
+            return [noteIndex];
+        }
+        
+        const naturalCount = xylophone.getBarCount();
+        const octave = scales.getDegreeCount(xylophone.getScale().mode);
+        
+        let steps = CHORD_TYPES[this.chordType].steps.map(step => (step === 'octave' ? octave : step));
+        if (this.voicing === 'spread') {
+            steps = steps.map((step, index) => (index === 1 ? step + octave : step));
+        }
+        
+        const indices = [];
+        steps.forEach(step => {
+            let index = noteIndex + step;
+            if (index >= naturalCount) {
+                index -= octave;
+            }
+            if (index >= 0 && index < naturalCount && !indices.includes(index)) {
+                indices.push(index);
+            }
+        });
+        
+        return indices.sort((a, b) => a - b);
+    }
+
+    /**
+     * Enable or disable chord mode
+     * @param {boolean} enabled - True to play chords
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        console.log(`Chord mode ${this.enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Check whether chord mode is on
+     * @returns {boolean} True if strikes play chords
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Select the chord type
+     * @param {string} chordType - Chord type key (see getChordTypes())
+     * @returns {boolean} Success status
+     */
+    setChordType(chordType) {
+        if (!Object.prototype.hasOwnProperty.call(CHORD_TYPES, chordType)) {
+            console.warn(`Unknown chord type: ${chordType}`);
+            return false;
+        }
+        
+        this.chordType = chordType;
+        return true;
+    }
+
+    /**
+     * Get the chord type
+     * @returns {string} Chord type key
+     */
+    getChordType() {
+        return this.chordType;
+    }
+
+    /**
+     * Select the voicing
+     * @param {string} voicing - 'close' or 'spread'
+     * @returns {boolean} Success status
+     */
+    setVoicing(voicing) {
+        if (!Object.prototype.hasOwnProperty.call(VOICINGS, voicing)) {
+            console.warn(`Unknown voicing: ${voicing}`);
+            return false;
+        }
+        
+        this.voicing = voicing;
+        return true;
+    }
+
+    /**
+     * Get the voicing
+     * @returns {string} Voicing key
+     */
+    getVoicing() {
+        return this.voicing;
+    }
+
+    /**
+     * Set the delay between chord notes
+     * @param {number} strum - Milliseconds (0 to maxStrum)
+     * @returns {boolean} Success status
+     */
+    setStrum(strum) {
+        if (!Number.isFinite(strum) || strum < 0 || strum > this.maxStrum) {
+            console.warn(`Invalid strum, must be between 0 and ${this.maxStrum}ms`);
+            return false;
+        }
+        
+        this.strum = strum;
+        return true;
+    }
+
+    /**
+     * Get the delay between chord notes
+     * @returns {number} Milliseconds
+     */
+    getStrum() {
+        return this.strum;
+    }
+
+    /**
+     * List chord types
+     * @returns {Array} Array of {id, label} objects
+     */
+    getChordTypes() {
+        return Object.entries(CHORD_TYPES).map(([id, type]) => ({ id, label: type.label }));
+    }
+
+    /**
+     * List voicings
+     * @returns {Array} Array of {id, label} objects
+     */
+    getVoicings() {
+        return Object.entries(VOICINGS).map(([id, voicing]) => ({ id, label: voicing.label }));
+    }
+}
+
+// Export singleton instance
+export default new Chords();
@@ -7,6 +7,14 @@
 import audioEngine from './audio-engine.js';
 import xylophone from './xylophone.js';
 import inputHandler from './input-handler.js';
+import visualFeedback from './visual-feedback.js';
+import scheduler from './scheduler.js';
+import offlineRenderer from './offline-renderer.js';
+import chords from './chords.js';
+import arpeggiator from './arpeggiator.js';
+import metronome from './metronome.js';
+import quantizer from './quantize.js';
+import EffectsChain from './effects-chain.js';
 
 class Controls {
     constructor() {
@@ -20,13 +28,147 @@ class Controls {
         this.clearBtn = null;
         this.recordingStatus = null;
         
+        // Effects control elements
+        this.effectsPresetSelect = null;
+        this.effectControls = {};
+        
+        // Meter elements
+        this.meterElement = null;
+        this.meterPeak = null;
+        this.meterRms = null;
+        this.meterValue = null;
+        this.clipIndicator = null;
+        
+        // Meter display state
+        this.meterFrame = null;
+        this.meterFloorDb = -60;      // Left end of the meter scale
+        this.meterHotDb = -6;         // Peaks above this turn the meter amber
+        this.peakFallRate = 24;       // Displayed peak falls back at this many dB per second
+        this.displayedPeakDb = -Infinity;
+        this.lastMeterTime = 0;
+        
+        // Instrument control elements
+        this.instrumentSelect = null;
+        
+        // Scale control elements
+        this.scaleTonicSelect = null;
+        this.scaleModeSelect = null;
+        this.chromaticToggle = null;
+        this.barCountSelect = null;
+        this.namingSystemSelect = null;
+        
+        // Tuning control elements
+        this.referencePitchSelect = null;
+        this.temperamentSelect = null;
+        this.scalaFileInput = null;
+        this.scalaClearBtn = null;
+        this.tuningValue = null;
+        this.showCentsToggle = null;
+        
+        // Transpose control elements
+        this.octaveDownBtn = null;
+        this.octaveUpBtn = null;
+        this.octaveValue = null;
+        this.transposeInput = null;
+        this.soundingRange = null;
+        
+        // Sustain and damping control elements
+        this.sustainBtn = null;
+        this.dampTimeSlider = null;
+        this.dampTimeValue = null;
+        
+        // Velocity curve picker
+        this.velocityCurveSelect = null;
+        
+        // Chord mode control elements
+        this.chordToggle = null;
+        this.chordTypeSelect = null;
+        this.chordVoicingSelect = null;
+        this.chordStrumSlider = null;
+        this.chordStrumValue = null;
+        
+        // Arpeggiator control elements
+        this.arpToggle = null;
+        this.arpPatternSelect = null;
+        this.arpRateSelect = null;
+        this.arpOctavesSelect = null;
+        this.arpLatchToggle = null;
+        
+        // Metronome control elements
+        this.metronomeToggle = null;
+        this.tempoInput = null;
+        this.tapTempoBtn = null;
+        this.timeSignatureSelect = null;
+        this.countInSelect = null;
+        this.beatIndicator = null;
+        
+        // Quantize control elements
+        this.quantizeGridSelect = null;
+        this.quantizeStrengthSlider = null;
+        this.quantizeStrengthValue = null;
+        this.quantizeSwingSlider = null;
+        this.quantizeSwingValue = null;
+        this.quantizeHumanizeSlider = null;
+        this.quantizeHumanizeValue = null;
+        this.quantizeAuditionBtn = null;
+        this.quantizeApplyBtn = null;
+        this.quantizeUndoBtn = null;
+        
+        // Overdub and punch-in control elements
+        this.overdubBtn = null;
+        this.punchToggle = null;
+        this.punchInInput = null;
+        this.punchOutInput = null;
+        this.punchMarkInBtn = null;
+        this.punchMarkOutBtn = null;
+        
+        // Stereo and spatial control elements
+        this.stereoWidthSlider = null;
+        this.stereoWidthValue = null;
+        this.spatialToggle = null;
+        this.listenerXSlider = null;
+        this.listenerZSlider = null;
+        this.listenerValue = null;
+        
+        // Export control elements
+        this.exportBtn = null;
+        this.exportSampleRate = null;
+        this.exportBitDepth = null;
+        this.exportTail = null;
+        
         // Recording state
         this.isRecording = false;
         this.isPlaying = false;
         this.recordedSequence = [];
         this.recordingStartTime = 0;
-        this.maxRecordingLength = 100; // Maximum notes in sequence
-        this.playbackTimeout = null;
+        this.recordingInstrument = null; // Instrument the recording plays back with
+        this.recordingTempo = null; // { bpm, beatsPerBar, beatUnit } the recording was made at
+        this.originalSequence = null; // The take as recorded, kept while it is quantized so quantizing can be undone
+        this.countInBars = 0; // Bars of count-in before recording starts (0 for none)
+        this.isCountingIn = false;
+        this.pendingNotes = new Map(); // Recorded notes still held: noteId -> note, given a duration on release
+        this.sequenceFormatVersion = 2; // Exported JSON format (1: a bare note array, 2: {version, instrument, tempo, notes})
+        
+        // Recording limits: a take stops at either one, with a warning as it gets close
+        this.maxRecordingTime = 30 * 60 * 1000; // ms
+        this.maxRecordingNotes = 20000; // Notes in the recording, overdubs included (bounds memory)
+        this.recordingWarningRatio = 0.9; // Warn at this share of either limit
+        this.recordingLimitWarned = false;
+        this.recordingWarningTimer = null;
+        this.recordingLimitTimer = null;
+        
+        // Overdub and punch-in state
+        this.overdubArmed = false; // Notes played along with playback are added to the recording
+        this.overdubNotes = []; // Notes overdubbed on the current pass, merged in when playback stops
+        this.isAuditioning = false; // Playing a preview (a quantize audition), which is never overdubbed
+        this.playbackStartTime = null; // Audio clock time of the playback's start, which overdub delays count from
+        this.punchEnabled = false; // Overdub only between the punch points, replacing the notes there
+        this.punchIn = 0; // ms
+        this.punchOut = 4000; // ms
+        
+        // Scheduled playback state
+        this.playbackGroup = 'controls-playback';
+        this.playbackResolve = null;
         
         // Event listeners storage
         this.listeners = [];
@@ -48,6 +190,75 @@ class Controls {
         this.playBtn = document.getElementById('play-btn');
         this.clearBtn = document.getElementById('clear-btn');
         this.recordingStatus = document.getElementById('recording-status');
+        this.meterElement = document.getElementById('output-meter');
+        this.meterPeak = document.getElementById('meter-peak');
+        this.meterRms = document.getElementById('meter-rms');
+        this.meterValue = document.getElementById('meter-value');
+        this.clipIndicator = document.getElementById('clip-indicator');
+        this.instrumentSelect = document.getElementById('instrument-select');
+        this.scaleTonicSelect = document.getElementById('scale-tonic');
+        this.scaleModeSelect = document.getElementById('scale-mode');
+        this.chromaticToggle = document.getElementById('chromatic-mode');
+        this.barCountSelect = document.getElementById('bar-count');
+        this.namingSystemSelect = document.getElementById('naming-system');
+        this.referencePitchSelect = document.getElementById('reference-pitch');
+        this.temperamentSelect = document.getElementById('temperament');
+        this.scalaFileInput = document.getElementById('scala-file');
+        this.scalaClearBtn = document.getElementById('scala-clear');
+        this.tuningValue = document.getElementById('tuning-value');
+        this.showCentsToggle = document.getElementById('show-cents');
+        this.octaveDownBtn = document.getElementById('octave-down');
+        this.octaveUpBtn = document.getElementById('octave-up');
+        this.octaveValue = document.getElementById('octave-value');
+        this.transposeInput = document.getElementById('transpose');
+        this.soundingRange = document.getElementById('sounding-range');
+        this.sustainBtn = document.getElementById('sustain-toggle');
+        this.dampTimeSlider = document.getElementById('damp-time');
+        this.dampTimeValue = document.getElementById('damp-time-value');
+        this.velocityCurveSelect = document.getElementById('velocity-curve');
+        this.chordToggle = document.getElementById('chord-mode');
+        this.chordTypeSelect = document.getElementById('chord-type');
+        this.chordVoicingSelect = document.getElementById('chord-voicing');
+        this.chordStrumSlider = document.getElementById('chord-strum');
+        this.chordStrumValue = document.getElementById('chord-strum-value');
+        this.arpToggle = document.getElementById('arp-mode');
+        this.arpPatternSelect = document.getElementById('arp-pattern');
+        this.arpRateSelect = document.getElementById('arp-rate');
+        this.arpOctavesSelect = document.getElementById('arp-octaves');
+        this.arpLatchToggle = document.getElementById('arp-latch');
+        this.metronomeToggle = document.getElementById('metronome-toggle');
+        this.tempoInput = document.getElementById('tempo');
+        this.tapTempoBtn = document.getElementById('tap-tempo');
+        this.timeSignatureSelect = document.getElementById('time-signature');
+        this.countInSelect = document.getElementById('count-in');
+        this.beatIndicator = document.getElementById('beat-indicator');
+        this.quantizeGridSelect = document.getElementById('quantize-grid');
+        this.quantizeStrengthSlider = document.getElementById('quantize-strength');
+        this.quantizeStrengthValue = document.getElementById('quantize-strength-value');
+        this.quantizeSwingSlider = document.getElementById('quantize-swing');
+        this.quantizeSwingValue = document.getElementById('quantize-swing-value');
+        this.quantizeHumanizeSlider = document.getElementById('quantize-humanize');
+        this.quantizeHumanizeValue = document.getElementById('quantize-humanize-value');
+        this.quantizeAuditionBtn = document.getElementById('quantize-audition');
+        this.quantizeApplyBtn = document.getElementById('quantize-apply');
+        this.quantizeUndoBtn = document.getElementById('quantize-undo');
+        this.overdubBtn = document.getElementById('overdub-btn');
+        this.punchToggle = document.getElementById('punch-toggle');
+        this.punchInInput = document.getElementById('punch-in');
+        this.punchOutInput = document.getElementById('punch-out');
+        this.punchMarkInBtn = document.getElementById('punch-mark-in');
+        this.punchMarkOutBtn = document.getElementById('punch-mark-out');
+        this.stereoWidthSlider = document.getElementById('stereo-width');
+        this.stereoWidthValue = document.getElementById('stereo-width-value');
+        this.spatialToggle = document.getElementById('spatial-mode');
+        this.listenerXSlider = document.getElementById('listener-x');
+        this.listenerZSlider = document.getElementById('listener-z');
+        this.listenerValue = document.getElementById('listener-value');
+        this.effectsPresetSelect = document.getElementById('effects-preset');
+        this.exportBtn = document.getElementById('export-wav-btn');
+        this.exportSampleRate = document.getElementById('export-sample-rate');
+        this.exportBitDepth = document.getElementById('export-bit-depth');
+        this.exportTail = document.getElementById('export-tail');
         
         // Check if control elements exist
         if (!this.volumeSlider || !this.recordBtn) {
@@ -58,119 +269,1620 @@ class Controls {
         // Set up volume control
         this.setupVolumeControl();
         
+        // Set up output meters (optional)
+        this.setupMeterControls();
+        
         // Set up recording controls
         this.setupRecordingControls();
         
+        // Set up metronome, tempo and count-in (optional)
+        this.setupMetronomeControls();
+        
+        // Set up quantize, swing and humanize (optional)
+        this.setupQuantizeControls();
+        
+        // Set up overdub and punch-in (optional)
+        this.setupOverdubControls();
+        
+        // Set up instrument picker (optional)
+        this.setupInstrumentControls();
+        
+        // Set up key and mode pickers (optional)
+        this.setupScaleControls();
+        
+        // Set up reference pitch, temperament and Scala import (optional)
+        this.setupTuningControls();
+        
+        // Set up octave shift and transpose (optional)
+        this.setupTransposeControls();
+        
+        // Set up sustain pedal and damping (optional)
+        this.setupSustainControls();
+        
+        // Set up velocity curve picker (optional)
+        this.setupVelocityControls();
+        
+        // Set up chord mode (optional)
+        this.setupChordControls();
+        
+        // Set up arpeggiator (optional)
+        this.setupArpeggiatorControls();
+        
+        // Set up stereo width and spatial mode (optional)
+        this.setupStereoControls();
+        
+        // Set up effects controls (optional)
+        this.setupEffectsControls();
+        
+        // Set up WAV export (optional)
+        this.setupExportControls();
+        
         // Listen for note played events
         this.setupNoteListener();
         
-        this.isInitialized = true;
-        console.log('Controls initialized');
-        return true;
+        this.isInitialized = true;
+        console.log('Controls initialized');
+        return true;
+    }
+
+    /**
+     * Set up volume control slider and display
+     */
+    setupVolumeControl() {
+        // Set initial volume from audio engine
+        const currentVolume = audioEngine.getVolume();
+        this.volumeSlider.value = Math.round(currentVolume * 100);
+        this.updateVolumeDisplay(currentVolume * 100);
+        
+        // Volume slider input handler
+        const volumeInputHandler = (event) => {
+            const volumePercent = parseInt(event.target.value, 10);
+            const volumeDecimal = volumePercent / 100;
+            
+            // Update audio engine volume
+            audioEngine.setVolume(volumeDecimal);
+            
+            // Update display
+            this.updateVolumeDisplay(volumePercent);
+        };
+        
+        this.volumeSlider.addEventListener('input', volumeInputHandler);
+        
+        // Store listener for cleanup
+        this.listeners.push({
+            element: this.volumeSlider,
+            event: 'input',
+            handler: volumeInputHandler
+        });
+    }
+
+    /**
+     * Update volume display text
+     * @param {number} volumePercent - Volume percentage (0-100)
+     */
+    updateVolumeDisplay(volumePercent) {
+        if (this.volumeValue) {
+            this.volumeValue.textContent = `${volumePercent}%`;
+        }
+    }
+
+    /**
+     * Set up peak/RMS meters and the latching clip indicator
+     */
+    setupMeterControls() {
+        if (!this.meterElement || !this.meterPeak || !this.meterRms) {
+            return;
+        }
+        
+        if (this.clipIndicator) {
+            const clipHandler = () => {
+                audioEngine.resetClip();
+                this.clipIndicator.classList.remove('clipped');
+            };
+            
+            this.clipIndicator.addEventListener('click', clipHandler);
+            this.listeners.push({ element: this.clipIndicator, event: 'click', handler: clipHandler });
+        }
+        
+        this.startMetering();
+    }
+
+    /**
+     * Start the meter animation loop
+     */
+    startMetering() {
+        if (this.meterFrame !== null) {
+            return;
+        }
+        
+        const tick = (timestamp) => {
+            this.updateMeters(timestamp);
+            this.meterFrame = requestAnimationFrame(tick);
+        };
+        this.meterFrame = requestAnimationFrame(tick);
+    }
+
+    /**
+     * Stop the meter animation loop
+     */
+    stopMetering() {
+        if (this.meterFrame !== null) {
+            cancelAnimationFrame(this.meterFrame);
+            this.meterFrame = null;
+        }
+    }
+
+    /**
+     * Read levels from the audio engine and redraw the meters
+     * @param {number} timestamp - Animation frame time in milliseconds
+     */
+    updateMeters(timestamp) {
+        const data = audioEngine.getMeterData();
+        
+        // Peak jumps up instantly and falls back slowly so short strikes stay readable
+        const elapsed = this.lastMeterTime ? (timestamp - this.lastMeterTime) / 1000 : 0;
+        this.lastMeterTime = timestamp;
+        this.displayedPeakDb = Math.max(data.peakDb, this.displayedPeakDb - this.peakFallRate * elapsed);
+        
+        this.meterRms.style.width = `${this.dbToMeterPercent(data.rmsDb)}%`;
+        this.meterPeak.style.width = `${this.dbToMeterPercent(this.displayedPeakDb)}%`;
+        this.meterElement.classList.toggle('hot', this.displayedPeakDb > this.meterHotDb);
+        
+        if (this.meterValue) {
+            this.meterValue.textContent = this.displayedPeakDb > this.meterFloorDb
+                ? `${this.displayedPeakDb.toFixed(1)} dB`
+                : '-∞ dB';
+        }
+        
+        if (this.clipIndicator) {
+            this.clipIndicator.classList.toggle('clipped', data.clipped);
+        }
+    }
+
+    /**
+     * Map a dBFS level onto the meter scale
+     * @param {number} db - Level in dBFS
+     * @returns {number} Bar width in percent (0-100)
+     */
+    dbToMeterPercent(db) {
+        const percent = (db - this.meterFloorDb) / -this.meterFloorDb * 100;
+        return Math.max(0, Math.min(100, percent));
+    }
+
+    /**
+     * Set up recording control buttons
+     */
+    setupRecordingControls() {
+        // Record button handler
+        const recordHandler = () => {
+            if (this.isRecording) {
+                this.stopRecording();
+            } else if (this.isCountingIn) {
+                this.cancelCountIn();
+            } else {
+                this.startRecording();
+            }
+        };
+        
+        // Play button handler
+        const playHandler = () => {
+            if (this.isPlaying) {
+                this.stopPlayback();
+            } else {
+                this.playRecording();
+            }
+        };
+        
+        // Clear button handler
+        const clearHandler = () => {
+            this.clearRecording();
+        };
+        
+        this.recordBtn.addEventListener('click', recordHandler);
+        this.playBtn.addEventListener('click', playHandler);
+        this.clearBtn.addEventListener('click', clearHandler);
+        
+        // Store listeners for cleanup
+        this.listeners.push(
+            { element: this.recordBtn, event: 'click', handler: recordHandler },
+            { element: this.playBtn, event: 'click', handler: playHandler },
+            { element: this.clearBtn, event: 'click', handler: clearHandler }
+        );
+    }
+
+    /**
+     * Set up instrument preset selector
+     */
+    setupInstrumentControls() {
+        if (!this.instrumentSelect) {
+            return;
+        }
+        
+        xylophone.getInstruments().forEach(({ id, label }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            this.instrumentSelect.appendChild(option);
+        });
+        this.instrumentSelect.value = xylophone.getInstrument();
+        
+        const instrumentHandler = (event) => {
+            xylophone.setInstrument(event.target.value);
+        };
+        
+        // Keep the picker in sync when the instrument is changed elsewhere
+        const instrumentChangedHandler = (event) => {
+            this.instrumentSelect.value = event.detail.instrument.id;
+        };
+        
+        this.instrumentSelect.addEventListener('change', instrumentHandler);
+        document.addEventListener('instrumentChanged', instrumentChangedHandler);
+        this.listeners.push(
+            { element: this.instrumentSelect, event: 'change', handler: instrumentHandler },
+            { element: document, event: 'instrumentChanged', handler: instrumentChangedHandler }
+        );
+    }
+
+    /**
+     * Set up tonic and mode selectors, the bar count selector and the chromatic toggle
+     */
+    setupScaleControls() {
+        if (this.barCountSelect) {
+            xylophone.getBarCountPresets().forEach(count => {
+                const option = document.createElement('option');
+                option.value = String(count);
+                option.textContent = `${count} bars`;
+                this.barCountSelect.appendChild(option);
+            });
+            this.barCountSelect.value = String(xylophone.getBarCount());
+            
+            const barCountHandler = (event) => {
+                xylophone.setBarCount(parseInt(event.target.value, 10));
+            };
+            
+            const barCountChangedHandler = (event) => {
+                this.barCountSelect.value = String(event.detail.barCount);
+            };
+            
+            this.barCountSelect.addEventListener('change', barCountHandler);
+            document.addEventListener('scaleChanged', barCountChangedHandler);
+            this.listeners.push(
+                { element: this.barCountSelect, event: 'change', handler: barCountHandler },
+                { element: document, event: 'scaleChanged', handler: barCountChangedHandler }
+            );
+        }
+        
+        if (this.chromaticToggle) {
+            this.chromaticToggle.checked = xylophone.isChromatic();
+            
+            const chromaticHandler = (event) => {
+                xylophone.setChromatic(event.target.checked);
+            };
+            
+            this.chromaticToggle.addEventListener('change', chromaticHandler);
+            this.listeners.push({ element: this.chromaticToggle, event: 'change', handler: chromaticHandler });
+        }
+        
+        if (this.namingSystemSelect) {
+            xylophone.getNamingSystems().forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                this.namingSystemSelect.appendChild(option);
+            });
+            this.namingSystemSelect.value = xylophone.getNamingSystem();
+            
+            const namingHandler = (event) => {
+                xylophone.setNamingSystem(event.target.value);
+            };
+            
+            const namingChangedHandler = (event) => {
+                this.namingSystemSelect.value = event.detail.naming;
+            };
+            
+            this.namingSystemSelect.addEventListener('change', namingHandler);
+            document.addEventListener('scaleChanged', namingChangedHandler);
+            this.listeners.push(
+                { element: this.namingSystemSelect, event: 'change', handler: namingHandler },
+                { element: document, event: 'scaleChanged', handler: namingChangedHandler }
+            );
+        }
+        
+        if (!this.scaleTonicSelect || !this.scaleModeSelect) {
+            return;
+        }
+        
+        xylophone.getTonics().forEach(tonic => {
+            const option = document.createElement('option');
+            option.value = tonic;
+            option.textContent = tonic;
+            this.scaleTonicSelect.appendChild(option);
+        });
+        
+        xylophone.getModes().forEach(({ id, label }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            this.scaleModeSelect.appendChild(option);
+        });
+        
+        const { tonic, mode } = xylophone.getScale();
+        this.scaleTonicSelect.value = tonic;
+        this.scaleModeSelect.value = mode;
+        
+        const scaleHandler = () => {
+            xylophone.setScale(this.scaleTonicSelect.value, this.scaleModeSelect.value);
+        };
+        
+        // Keep the pickers in sync when the scale is changed elsewhere
+        const scaleChangedHandler = (event) => {
+            this.scaleTonicSelect.value = event.detail.tonic;
+            this.scaleModeSelect.value = event.detail.mode;
+            if (this.chromaticToggle) {
+                this.chromaticToggle.checked = event.detail.chromatic;
+            }
+        };
+        
+        this.scaleTonicSelect.addEventListener('change', scaleHandler);
+        this.scaleModeSelect.addEventListener('change', scaleHandler);
+        document.addEventListener('scaleChanged', scaleChangedHandler);
+        this.listeners.push(
+            { element: this.scaleTonicSelect, event: 'change', handler: scaleHandler },
+            { element: this.scaleModeSelect, event: 'change', handler: scaleHandler },
+            { element: document, event: 'scaleChanged', handler: scaleChangedHandler }
+        );
+    }
+
+    /**
+     * Set up reference pitch and temperament selectors, Scala import and the cents toggle
+     */
+    setupTuningControls() {
+        if (this.referencePitchSelect) {
+            xylophone.getReferencePitches().forEach(frequency => {
+                const option = document.createElement('option');
+                option.value = String(frequency);
+                option.textContent = `A = ${frequency} Hz`;
+                this.referencePitchSelect.appendChild(option);
+            });
+            
+            const referenceHandler = (event) => {
+                xylophone.setReferencePitch(parseFloat(event.target.value));
+            };
+            
+            this.referencePitchSelect.addEventListener('change', referenceHandler);
+            this.listeners.push({ element: this.referencePitchSelect, event: 'change', handler: referenceHandler });
+        }
+        
+        if (this.temperamentSelect) {
+            xylophone.getTemperaments().forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                this.temperamentSelect.appendChild(option);
+            });
+            
+            const temperamentHandler = (event) => {
+                xylophone.setTemperament(event.target.value);
+            };
+            
+            this.temperamentSelect.addEventListener('change', temperamentHandler);
+            this.listeners.push({ element: this.temperamentSelect, event: 'change', handler: temperamentHandler });
+        }
+        
+        if (this.scalaFileInput) {
+            const scalaHandler = async (event) => {
+                await this.importScala(Array.from(event.target.files));
+                
+                // Allow the same files to be picked again
+                event.target.value = '';
+            };
+            
+            this.scalaFileInput.addEventListener('change', scalaHandler);
+            this.listeners.push({ element: this.scalaFileInput, event: 'change', handler: scalaHandler });
+        }
+        
+        if (this.scalaClearBtn) {
+            const clearHandler = () => {
+                xylophone.clearScala();
+            };
+            
+            this.scalaClearBtn.addEventListener('click', clearHandler);
+            this.listeners.push({ element: this.scalaClearBtn, event: 'click', handler: clearHandler });
+        }
+        
+        if (this.showCentsToggle) {
+            this.showCentsToggle.checked = visualFeedback.isShowingCents();
+            
+            const centsHandler = (event) => {
+                visualFeedback.setShowCents(event.target.checked);
+            };
+            
+            this.showCentsToggle.addEventListener('change', centsHandler);
+            this.listeners.push({ element: this.showCentsToggle, event: 'change', handler: centsHandler });
+        }
+        
+        const tuningChangedHandler = (event) => {
+            this.updateTuningDisplay(event.detail.tuning);
+        };
+        
+        document.addEventListener('scaleChanged', tuningChangedHandler);
+        this.listeners.push({ element: document, event: 'scaleChanged', handler: tuningChangedHandler });
+        
+        this.updateTuningDisplay(xylophone.getTuning());
+    }
+
+    /**
+     * Sync tuning controls with the current tuning
+     * @param {Object} state - Tuning state from xylophone.getTuning()
+     */
+    updateTuningDisplay(state) {
+        if (this.referencePitchSelect) {
+            this.referencePitchSelect.value = String(state.referencePitch);
+        }
+        
+        // An imported Scala tuning replaces the temperament until it is cleared
+        if (this.temperamentSelect) {
+            this.temperamentSelect.value = state.temperament;
+            this.temperamentSelect.disabled = state.scala !== null;
+        }
+        
+        if (this.scalaClearBtn) {
+            this.scalaClearBtn.disabled = state.scala === null;
+        }
+        
+        if (this.tuningValue) {
+            this.tuningValue.textContent = state.scala || '';
+        }
+    }
+
+    /**
+     * Load a Scala tuning from picked files
+     * @param {Array<File>} files - One .scl file and optionally one .kbm file
+     * @returns {Promise<boolean>} Success status
+     */
+    async importScala(files) {
+        const sclFile = files.find(file => file.name.toLowerCase().endsWith('.scl'));
+        const kbmFile = files.find(file => file.name.toLowerCase().endsWith('.kbm'));
+        
+        if (!sclFile) {
+            console.warn('No .scl file selected');
+            if (this.tuningValue) {
+                this.tuningValue.textContent = 'Pick a .scl file';
+            }
+            return false;
+        }
+        
+        try {
+            const sclText = await sclFile.text();
+            const kbmText = kbmFile ? await kbmFile.text() : null;
+            
+            if (!xylophone.loadScala(sclText, kbmText)) {
+                if (this.tuningValue) {
+                    this.tuningValue.textContent = 'Invalid Scala file';
+                }
+                return false;
+            }
+            
+            return true;
+        } catch (error) {
+            console.error('Error reading Scala files:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Set up octave shift buttons, the transpose input and the sounding range indicator
+     */
+    setupTransposeControls() {
+        if (this.octaveDownBtn) {
+            const octaveDownHandler = () => {
+                xylophone.shiftOctave(-1);
+            };
+            
+            this.octaveDownBtn.addEventListener('click', octaveDownHandler);
+            this.listeners.push({ element: this.octaveDownBtn, event: 'click', handler: octaveDownHandler });
+        }
+        
+        if (this.octaveUpBtn) {
+            const octaveUpHandler = () => {
+                xylophone.shiftOctave(1);
+            };
+            
+            this.octaveUpBtn.addEventListener('click', octaveUpHandler);
+            this.listeners.push({ element: this.octaveUpBtn, event: 'click', handler: octaveUpHandler });
+        }
+        
+        if (this.transposeInput) {
+            this.transposeInput.min = String(-xylophone.maxTranspose);
+            this.transposeInput.max = String(xylophone.maxTranspose);
+            
+            const transposeHandler = (event) => {
+                // Rejected values snap back to the current transpose
+                if (!xylophone.setTranspose(parseInt(event.target.value, 10))) {
+                    this.updateTransposeDisplay();
+                }
+            };
+            
+            this.transposeInput.addEventListener('change', transposeHandler);
+            this.listeners.push({ element: this.transposeInput, event: 'change', handler: transposeHandler });
+        }
+        
+        // Limits and the sounding range also move with the instrument and the note table,
+        // and the key hints with the key bindings
+        const displayHandler = () => this.updateTransposeDisplay();
+        
+        ['transposeChanged', 'instrumentChanged', 'scaleChanged', 'keyMapChanged'].forEach(eventName => {
+            document.addEventListener(eventName, displayHandler);
+            this.listeners.push({ element: document, event: eventName, handler: displayHandler });
+        });
+        
+        this.updateTransposeDisplay();
+    }
+
+    /**
+     * Sync the octave and transpose controls with the current transposition
+     */
+    updateTransposeDisplay() {
+        const octaveShift = xylophone.getOctaveShift();
+        const transpose = xylophone.getTranspose();
+        const { min, max } = xylophone.getTranspositionLimits();
+        const semitones = xylophone.getTransposition();
+        
+        if (this.octaveValue) {
+            this.octaveValue.textContent = octaveShift > 0 ? `+${octaveShift}` : String(octaveShift);
+        }
+        
+        if (this.octaveDownBtn) {
+            this.octaveDownBtn.disabled = semitones - 12 < min;
+            this.octaveDownBtn.setAttribute('aria-label', this.getOctaveButtonLabel(-1));
+        }
+        
+        if (this.octaveUpBtn) {
+            this.octaveUpBtn.disabled = semitones + 12 > max;
+            this.octaveUpBtn.setAttribute('aria-label', this.getOctaveButtonLabel(1));
+        }
+        
+        if (this.transposeInput) {
+            this.transposeInput.value = String(transpose);
+        }
+        
+        if (this.soundingRange) {
+            const range = xylophone.getSoundingRange();
+            this.soundingRange.textContent = range ? `${range.low}\u2013${range.high}` : '';
+        }
+    }
+
+    /**
+     * Get an octave button's accessible name, with the key that does the same
+     * @param {number} step - -1 for down, 1 for up
+     * @returns {string} Label such as 'Octave down (Z)'
+     */
+    getOctaveButtonLabel(step) {
+        const label = step < 0 ? 'Octave down' : 'Octave up';
+        const octaveKeys = xylophone.getKeyBindings().octave;
+        const key = Object.keys(octaveKeys).find(code => octaveKeys[code] === step);
+        return key ? `${label} (${xylophone.getKeyLabel(key)})` : label;
+    }
+
+    /**
+     * Set up metronome toggle, tempo, tap tempo, time signature, count-in and beat indicator
+     * The tempo field and time signature picker follow tempoChanged, so taps show up as they land
+     */
+    setupMetronomeControls() {
+        if (this.metronomeToggle) {
+            this.metronomeToggle.checked = metronome.isEnabled();
+            
+            const metronomeHandler = (event) => {
+                if (!metronome.setEnabled(event.target.checked)) {
+                    event.target.checked = false;
+                }
+            };
+            
+            this.metronomeToggle.addEventListener('change', metronomeHandler);
+            this.listeners.push({ element: this.metronomeToggle, event: 'change', handler: metronomeHandler });
+        }
+        
+        if (this.tempoInput) {
+            this.tempoInput.min = String(metronome.minBpm);
+            this.tempoInput.max = String(metronome.maxBpm);
+            this.tempoInput.value = String(metronome.getTempo());
+            
+            const tempoHandler = (event) => {
+                // Rejected values snap back to the current tempo
+                if (!metronome.setTempo(parseFloat(event.target.value))) {
+                    event.target.value = String(metronome.getTempo());
+                }
+            };
+            
+            this.tempoInput.addEventListener('change', tempoHandler);
+            this.listeners.push({ element: this.tempoInput, event: 'change', handler: tempoHandler });
+        }
+        
+        if (this.tapTempoBtn) {
+            const tapHandler = () => {
+                metronome.tap();
+            };
+            
+            this.tapTempoBtn.addEventListener('click', tapHandler);
+            this.listeners.push({ element: this.tapTempoBtn, event: 'click', handler: tapHandler });
+        }
+        
+        if (this.timeSignatureSelect) {
+            metronome.getTimeSignatures().forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                this.timeSignatureSelect.appendChild(option);
+            });
+            this.timeSignatureSelect.value = metronome.getTimeSignature();
+            
+            const timeSignatureHandler = (event) => {
+                metronome.setTimeSignature(event.target.value);
+            };
+            
+            this.timeSignatureSelect.addEventListener('change', timeSignatureHandler);
+            this.listeners.push({ element: this.timeSignatureSelect, event: 'change', handler: timeSignatureHandler });
+        }
+        
+        if (this.countInSelect) {
+            this.countInSelect.value = String(this.countInBars);
+            
+            const countInHandler = (event) => {
+                this.countInBars = parseInt(event.target.value, 10);
+            };
+            
+            this.countInSelect.addEventListener('change', countInHandler);
+            this.listeners.push({ element: this.countInSelect, event: 'change', handler: countInHandler });
+        }
+        
+        const tempoChangedHandler = (event) => {
+            if (this.tempoInput) {
+                this.tempoInput.value = String(event.detail.bpm);
+            }
+            if (this.timeSignatureSelect) {
+                this.timeSignatureSelect.value = event.detail.timeSignature;
+            }
+        };
+        
+        const beatHandler = (event) => {
+            if (this.beatIndicator) {
+                const { beat, accent, countIn } = event.detail;
+                this.beatIndicator.textContent = countIn ? `Count ${beat}` : String(beat);
+                this.beatIndicator.classList.toggle('accent', accent);
+            }
+        };
+        
+        document.addEventListener('tempoChanged', tempoChangedHandler);
+        document.addEventListener('metronomeBeat', beatHandler);
+        this.listeners.push(
+            { element: document, event: 'tempoChanged', handler: tempoChangedHandler },
+            { element: document, event: 'metronomeBeat', handler: beatHandler }
+        );
+    }
+
+    /**
+     * Set up sustain pedal button and damping time slider
+     * The button follows the pedal, whether it was pressed here or with the Space bar
+     */
+    setupSustainControls() {
+        if (this.sustainBtn) {
+            const sustainHandler = () => {
+                xylophone.setSustain(!xylophone.isSustained());
+            };
+            
+            const sustainChangedHandler = (event) => {
+                this.sustainBtn.setAttribute('aria-pressed', String(event.detail.sustain));
+            };
+            
+            this.sustainBtn.setAttribute('aria-pressed', String(xylophone.isSustained()));
+            this.sustainBtn.addEventListener('click', sustainHandler);
+            document.addEventListener('sustainChanged', sustainChangedHandler);
+            this.listeners.push(
+                { element: this.sustainBtn, event: 'click', handler: sustainHandler },
+                { element: document, event: 'sustainChanged', handler: sustainChangedHandler }
+            );
+        }
+        
+        if (this.dampTimeSlider) {
+            this.dampTimeSlider.min = String(Math.round(xylophone.minDampTime * 1000));
+            this.dampTimeSlider.max = String(Math.round(xylophone.maxDampTime * 1000));
+            this.dampTimeSlider.value = String(Math.round(xylophone.getDampTime() * 1000));
+            
+            const dampTimeHandler = (event) => {
+                const dampTime = parseInt(event.target.value, 10);
+                xylophone.setDampTime(dampTime / 1000);
+                if (this.dampTimeValue) {
+                    this.dampTimeValue.textContent = `${dampTime} ms`;
+                }
+            };
+            
+            this.dampTimeSlider.addEventListener('input', dampTimeHandler);
+            this.listeners.push({ element: this.dampTimeSlider, event: 'input', handler: dampTimeHandler });
+        }
+    }
+
+    /**
+     * Set up the velocity curve picker, which shapes how hard live strikes sound
+     */
+    setupVelocityControls() {
+        if (this.velocityCurveSelect) {
+            inputHandler.getVelocityCurves().forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                this.velocityCurveSelect.appendChild(option);
+            });
+            this.velocityCurveSelect.value = inputHandler.getVelocityCurve();
+            
+            const velocityCurveHandler = (event) => {
+                inputHandler.setVelocityCurve(event.target.value);
+            };
+            
+            this.velocityCurveSelect.addEventListener('change', velocityCurveHandler);
+            this.listeners.push({ element: this.velocityCurveSelect, event: 'change', handler: velocityCurveHandler });
+        }
+    }
+
+    /**
+     * Set up chord mode toggle, chord type and voicing pickers and strum slider
+     */
+    setupChordControls() {
+        if (this.chordToggle) {
+            this.chordToggle.checked = chords.isEnabled();
+            
+            const chordToggleHandler = (event) => {
+                chords.setEnabled(event.target.checked);
+            };
+            
+            this.chordToggle.addEventListener('change', chordToggleHandler);
+            this.listeners.push({ element: this.chordToggle, event: 'change', handler: chordToggleHandler });
+        }
+        
+        if (this.chordTypeSelect) {
+            chords.getChordTypes().forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                this.chordTypeSelect.appendChild(option);
+            });
+            this.chordTypeSelect.value = chords.getChordType();
+            
+            const chordTypeHandler = (event) => {
+                chords.setChordType(event.target.value);
+            };
+            
+            this.chordTypeSelect.addEventListener('change', chordTypeHandler);
+            this.listeners.push({ element: this.chordTypeSelect, event: 'change', handler: chordTypeHandler });
+        }
+        
+        if (this.chordVoicingSelect) {
+            chords.getVoicings().forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                this.chordVoicingSelect.appendChild(option);
+            });
+            this.chordVoicingSelect.value = chords.getVoicing();
+            
+            const voicingHandler = (event) => {
+                chords.setVoicing(event.target.value);
+            };
+            
+            this.chordVoicingSelect.addEventListener('change', voicingHandler);
+            this.listeners.push({ element: this.chordVoicingSelect, event: 'change', handler: voicingHandler });
+        }
+        
+        if (this.chordStrumSlider) {
+            this.chordStrumSlider.max = String(chords.maxStrum);
+            this.chordStrumSlider.value = String(chords.getStrum());
+            
+            const strumHandler = (event) => {
+                const strum = parseInt(event.target.value, 10);
+                chords.setStrum(strum);
+                if (this.chordStrumValue) {
+                    this.chordStrumValue.textContent = `${strum} ms`;
+                }
+            };
+            
+            this.chordStrumSlider.addEventListener('input', strumHandler);
+            this.listeners.push({ element: this.chordStrumSlider, event: 'input', handler: strumHandler });
+        }
+    }
+
+    /**
+     * Set up arpeggiator toggle, pattern, rate, octave range and latch
+     */
+    setupArpeggiatorControls() {
+        if (this.arpToggle) {
+            this.arpToggle.checked = arpeggiator.isEnabled();
+            
+            const arpToggleHandler = (event) => {
+                arpeggiator.setEnabled(event.target.checked);
+            };
+            
+            this.arpToggle.addEventListener('change', arpToggleHandler);
+            this.listeners.push({ element: this.arpToggle, event: 'change', handler: arpToggleHandler });
+        }
+        
+        if (this.arpPatternSelect) {
+            arpeggiator.getPatterns().forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                this.arpPatternSelect.appendChild(option);
+            });
+            this.arpPatternSelect.value = arpeggiator.getPattern();
+            
+            const patternHandler = (event) => {
+                arpeggiator.setPattern(event.target.value);
+            };
+            
+            this.arpPatternSelect.addEventListener('change', patternHandler);
+            this.listeners.push({ element: this.arpPatternSelect, event: 'change', handler: patternHandler });
+        }
+        
+        if (this.arpRateSelect) {
+            arpeggiator.getRates().forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                this.arpRateSelect.appendChild(option);
+            });
+            this.arpRateSelect.value = arpeggiator.getRate();
+            
+            const rateHandler = (event) => {
+                arpeggiator.setRate(event.target.value);
+            };
+            
+            this.arpRateSelect.addEventListener('change', rateHandler);
+            this.listeners.push({ element: this.arpRateSelect, event: 'change', handler: rateHandler });
+        }
+        
+        if (this.arpOctavesSelect) {
+            for (let octaves = 1; octaves <= arpeggiator.maxOctaves; octaves++) {
+                const option = document.createElement('option');
+                option.value = String(octaves);
+                option.textContent = octaves === 1 ? '1 octave' : `${octaves} octaves`;
+                this.arpOctavesSelect.appendChild(option);
+            }
+            this.arpOctavesSelect.value = String(arpeggiator.getOctaves());
+            
+            const octavesHandler = (event) => {
+                arpeggiator.setOctaves(parseInt(event.target.value, 10));
+            };
+            
+            this.arpOctavesSelect.addEventListener('change', octavesHandler);
+            this.listeners.push({ element: this.arpOctavesSelect, event: 'change', handler: octavesHandler });
+        }
+        
+        if (this.arpLatchToggle) {
+            this.arpLatchToggle.checked = arpeggiator.isLatched();
+            
+            const latchHandler = (event) => {
+                arpeggiator.setLatch(event.target.checked);
+            };
+            
+            this.arpLatchToggle.addEventListener('change', latchHandler);
+            this.listeners.push({ element: this.arpLatchToggle, event: 'change', handler: latchHandler });
+        }
+    }
+
+    /**
+     * Set up stereo width slider, spatial mode toggle and listener position sliders
+     */
+    setupStereoControls() {
+        if (this.stereoWidthSlider) {
+            const widthHandler = (event) => {
+                const widthPercent = parseInt(event.target.value, 10);
+                audioEngine.setStereoWidth(widthPercent / 100);
+                if (this.stereoWidthValue) {
+                    this.stereoWidthValue.textContent = `${widthPercent}%`;
+                }
+            };
+            
+            this.stereoWidthSlider.addEventListener('input', widthHandler);
+            this.listeners.push({ element: this.stereoWidthSlider, event: 'input', handler: widthHandler });
+        }
+        
+        if (this.spatialToggle) {
+            const spatialHandler = (event) => {
+                audioEngine.setSpatialMode(event.target.checked);
+                this.updateStereoDisplay();
+            };
+            
+            this.spatialToggle.addEventListener('change', spatialHandler);
+            this.listeners.push({ element: this.spatialToggle, event: 'change', handler: spatialHandler });
+        }
+        
+        // Sliders read left/right and back/front; front is towards the instrument (negative z)
+        const listenerHandler = () => {
+            audioEngine.setListenerPosition({
+                x: parseFloat(this.listenerXSlider.value),
+                z: -parseFloat(this.listenerZSlider.value)
+            });
+            this.updateStereoDisplay();
+        };
+        
+        [this.listenerXSlider, this.listenerZSlider].forEach(slider => {
+            if (slider) {
+                slider.addEventListener('input', listenerHandler);
+                this.listeners.push({ element: slider, event: 'input', handler: listenerHandler });
+            }
+        });
+        
+        this.updateStereoDisplay();
+    }
+
+    /**
+     * Sync stereo and spatial controls with the audio engine's settings
+     */
+    updateStereoDisplay() {
+        const spatial = audioEngine.isSpatialMode();
+        const listener = audioEngine.getListenerPosition();
+        
+        if (this.stereoWidthSlider) {
+            const widthPercent = Math.round(audioEngine.getStereoWidth() * 100);
+            this.stereoWidthSlider.value = widthPercent;
+            // Stereo width has no effect in spatial mode
+            this.stereoWidthSlider.disabled = spatial;
+            if (this.stereoWidthValue) {
+                this.stereoWidthValue.textContent = `${widthPercent}%`;
+            }
+        }
+        
+        if (this.spatialToggle) {
+            this.spatialToggle.checked = spatial;
+        }
+        
+        if (this.listenerXSlider && this.listenerZSlider) {
+            this.listenerXSlider.disabled = !spatial;
+            this.listenerZSlider.disabled = !spatial;
+            this.listenerXSlider.value = listener.x;
+            this.listenerZSlider.value = -listener.z;
+        }
+        
+        if (this.listenerValue) {
+            this.listenerValue.textContent = `${listener.x.toFixed(1)}, ${(-listener.z).toFixed(1)} m`;
+        }
+    }
+
+    /**
+     * Set up effects preset selector and per-effect bypass, mix and type controls
+     */
+    setupEffectsControls() {
+        if (!this.effectsPresetSelect) {
+            return;
+        }
+        
+        // Fill preset list from the effects chain presets
+        Object.entries(EffectsChain.presets).forEach(([name, preset]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = preset.label;
+            this.effectsPresetSelect.appendChild(option);
+        });
+        this.effectsPresetSelect.value = audioEngine.getEffectsPreset();
+        
+        const presetHandler = (event) => {
+            if (audioEngine.setEffectsPreset(event.target.value)) {
+                this.updateEffectsDisplay();
+            }
+        };
+        this.effectsPresetSelect.addEventListener('change', presetHandler);
+        this.listeners.push({ element: this.effectsPresetSelect, event: 'change', handler: presetHandler });
+        
+        // Effect-specific parameter exposed by each row's select
+        const selectParams = { reverb: 'type', delay: 'division', compressor: 'mode' };
+        
+        ['reverb', 'delay', 'eq', 'compressor'].forEach(effectName => {
+            const controls = {
+                enabled: document.getElementById(`effect-${effectName}-enabled`),
+                mix: document.getElementById(`effect-${effectName}-mix`),
+                mixValue: document.getElementById(`effect-${effectName}-mix-value`),
+                select: document.getElementById(`effect-${effectName}-${selectParams[effectName]}`),
+                selectParam: selectParams[effectName]
+            };
+            
+            if (!controls.enabled || !controls.mix) {
+                return;
+            }
+            
+            this.effectControls[effectName] = controls;
+            
+            const enabledHandler = (event) => {
+                audioEngine.setEffect(effectName, { enabled: event.target.checked });
+                this.updateEffectsDisplay();
+            };
+            
+            const mixHandler = (event) => {
+                const mixPercent = parseInt(event.target.value, 10);
+                audioEngine.setEffect(effectName, { mix: mixPercent / 100 });
+                controls.mixValue.textContent = `${mixPercent}%`;
+            };
+            
+            controls.enabled.addEventListener('change', enabledHandler);
+            controls.mix.addEventListener('input', mixHandler);
+            this.listeners.push(
+                { element: controls.enabled, event: 'change', handler: enabledHandler },
+                { element: controls.mix, event: 'input', handler: mixHandler }
+            );
+            
+            if (controls.select) {
+                const selectHandler = (event) => {
+                    audioEngine.setEffect(effectName, { [controls.selectParam]: event.target.value });
+                };
+                controls.select.addEventListener('change', selectHandler);
+                this.listeners.push({ element: controls.select, event: 'change', handler: selectHandler });
+            }
+        });
+        
+        this.updateEffectsDisplay();
+    }
+
+    /**
+     * Sync effects controls with the audio engine's current settings
+     */
+    updateEffectsDisplay() {
+        const settings = audioEngine.getEffectsSettings();
+        
+        Object.entries(this.effectControls).forEach(([effectName, controls]) => {
+            const effect = settings[effectName];
+            const mixPercent = Math.round(effect.mix * 100);
+            
+            controls.enabled.checked = effect.enabled;
+            controls.mix.value = mixPercent;
+            controls.mixValue.textContent = `${mixPercent}%`;
+            
+            if (controls.select) {
+                controls.select.value = effect[controls.selectParam];
+            }
+            
+            const row = controls.enabled.closest('.effect-row');
+            if (row) {
+                row.classList.toggle('bypassed', !effect.enabled);
+            }
+        });
+    }
+
+    /**
+     * Set up WAV export button
+     */
+    setupExportControls() {
+        if (!this.exportBtn) {
+            return;
+        }
+        
+        const exportHandler = () => {
+            this.exportWav();
+        };
+        
+        this.exportBtn.addEventListener('click', exportHandler);
+        
+        // Store listener for cleanup
+        this.listeners.push({ element: this.exportBtn, event: 'click', handler: exportHandler });
+    }
+
+    /**
+     * Set up quantize grid picker, strength, swing and humanize sliders and the audition, apply and undo buttons
+     */
+    setupQuantizeControls() {
+        if (this.quantizeGridSelect) {
+            quantizer.getGrids().forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                this.quantizeGridSelect.appendChild(option);
+            });
+            this.quantizeGridSelect.value = quantizer.getGrid();
+            
+            const gridHandler = (event) => {
+                quantizer.setGrid(event.target.value);
+            };
+            
+            this.quantizeGridSelect.addEventListener('change', gridHandler);
+            this.listeners.push({ element: this.quantizeGridSelect, event: 'change', handler: gridHandler });
+        }
+        
+        if (this.quantizeStrengthSlider) {
+            this.quantizeStrengthSlider.value = String(Math.round(quantizer.getStrength() * 100));
+            
+            const strengthHandler = (event) => {
+                const strength = parseInt(event.target.value, 10);
+                quantizer.setStrength(strength / 100);
+                if (this.quantizeStrengthValue) {
+                    this.quantizeStrengthValue.textContent = `${strength}%`;
+                }
+            };
+            
+            this.quantizeStrengthSlider.addEventListener('input', strengthHandler);
+            this.listeners.push({ element: this.quantizeStrengthSlider, event: 'input', handler: strengthHandler });
+        }
+        
+        if (this.quantizeSwingSlider) {
+            this.quantizeSwingSlider.min = String(Math.round(quantizer.minSwing * 100));
+            this.quantizeSwingSlider.max = String(Math.round(quantizer.maxSwing * 100));
+            this.quantizeSwingSlider.value = String(Math.round(quantizer.getSwing() * 100));
+            
+            const swingHandler = (event) => {
+                const swing = parseInt(event.target.value, 10);
+                quantizer.setSwing(swing / 100);
+                if (this.quantizeSwingValue) {
+                    this.quantizeSwingValue.textContent = `${swing}%`;
+                }
+            };
+            
+            this.quantizeSwingSlider.addEventListener('input', swingHandler);
+            this.listeners.push({ element: this.quantizeSwingSlider, event: 'input', handler: swingHandler });
+        }
+        
+        if (this.quantizeHumanizeSlider) {
+            this.quantizeHumanizeSlider.max = String(quantizer.maxHumanize);
+            this.quantizeHumanizeSlider.value = String(quantizer.getHumanize());
+            
+            const humanizeHandler = (event) => {
+                const humanize = parseInt(event.target.value, 10);
+                quantizer.setHumanize(humanize);
+                if (this.quantizeHumanizeValue) {
+                    this.quantizeHumanizeValue.textContent = `±${humanize} ms`;
+                }
+            };
+            
+            this.quantizeHumanizeSlider.addEventListener('input', humanizeHandler);
+            this.listeners.push({ element: this.quantizeHumanizeSlider, event: 'input', handler: humanizeHandler });
+        }
+        
+        if (this.quantizeAuditionBtn) {
+            const auditionHandler = () => {
+                this.auditionQuantize();
+            };
+            
+            this.quantizeAuditionBtn.addEventListener('click', auditionHandler);
+            this.listeners.push({ element: this.quantizeAuditionBtn, event: 'click', handler: auditionHandler });
+        }
+        
+        if (this.quantizeApplyBtn) {
+            const applyHandler = () => {
+                this.applyQuantize();
+            };
+            
+            this.quantizeApplyBtn.addEventListener('click', applyHandler);
+            this.listeners.push({ element: this.quantizeApplyBtn, event: 'click', handler: applyHandler });
+        }
+        
+        if (this.quantizeUndoBtn) {
+            const undoHandler = () => {
+                this.undoQuantize();
+            };
+            
+            this.quantizeUndoBtn.addEventListener('click', undoHandler);
+            this.listeners.push({ element: this.quantizeUndoBtn, event: 'click', handler: undoHandler });
+        }
+        
+        this.updateQuantizeButtons();
+    }
+
+    /**
+     * Quantize the take as recorded with the current settings, without changing the recording
+     * Always starts from the original timing, so quantizing again with other settings does not compound
+     * @returns {Array} Quantized copy of the notes
+     */
+    getQuantizedSequence() {
+        const source = this.originalSequence || this.recordedSequence;
+        return quantizer.apply(source, this.recordingTempo || metronome.getMeter());
+    }
+
+    /**
+     * Play the recording as it would sound quantized with the current settings
+     */
+    auditionQuantize() {
+        if (this.recordedSequence.length === 0 || this.isPlaying || this.isRecording) {
+            return;
+        }
+        
+        this.playRecording(this.getQuantizedSequence(), 'Auditioning quantize...');
+    }
+
+    /**
+     * Quantize the recording with the current settings, keeping the original timing for undo
+     * @returns {boolean} Success status
+     */
+    applyQuantize() {
+        if (this.recordedSequence.length === 0 || this.isPlaying || this.isRecording) {
+            return false;
+        }
+        
+        const quantized = this.getQuantizedSequence();
+        if (!this.originalSequence) {
+            this.originalSequence = this.recordedSequence;
+        }
+        this.recordedSequence = quantized;
+        
+        // Applying again humanizes differently instead of repeating the same timing
+        quantizer.reseed();
+        
+        this.updateQuantizeButtons();
+        this.dispatchSequenceChanged();
+        this.updateRecordingStatus(`Quantized ${this.recordedSequence.length} notes to ${quantizer.getGrid()}`);
+        console.log(`Recording quantized to ${quantizer.getGrid()}`);
+        return true;
+    }
+
+    /**
+     * Put the recording back to the timing it was recorded with
+     * @returns {boolean} Success status (false if it is not quantized)
+     */
+    undoQuantize() {
+        if (!this.originalSequence || this.isPlaying || this.isRecording) {
+            return false;
+        }
+        
+        this.recordedSequence = this.originalSequence;
+        this.originalSequence = null;
+        
+        this.updateQuantizeButtons();
+        this.dispatchSequenceChanged();
+        this.updateRecordingStatus(`Recorded ${this.recordedSequence.length} notes`);
+        console.log('Quantize undone');
+        return true;
+    }
+
+    /**
+     * Check whether the recording is quantized
+     * @returns {boolean} True if the original timing is being kept for undo
+     */
+    isQuantized() {
+        return this.originalSequence !== null;
+    }
+
+    /**
+     * Enable the quantize buttons that apply to the recording's current state
+     */
+    updateQuantizeButtons() {
+        const idle = !this.isPlaying && !this.isRecording;
+        const hasNotes = this.recordedSequence.length > 0;
+        
+        if (this.quantizeAuditionBtn) {
+            this.quantizeAuditionBtn.disabled = !(idle && hasNotes);
+        }
+        if (this.quantizeApplyBtn) {
+            this.quantizeApplyBtn.disabled = !(idle && hasNotes);
+        }
+        if (this.quantizeUndoBtn) {
+            this.quantizeUndoBtn.disabled = !(idle && this.originalSequence);
+        }
+    }
+
+    /**
+     * Set up overdub button, punch-in toggle, punch points and their Mark buttons
+     * Punch points are shown in seconds from the start of the recording
+     */
+    setupOverdubControls() {
+        if (this.overdubBtn) {
+            const overdubHandler = () => {
+                this.setOverdub(!this.overdubArmed);
+            };
+            
+            this.overdubBtn.setAttribute('aria-pressed', String(this.overdubArmed));
+            this.overdubBtn.addEventListener('click', overdubHandler);
+            this.listeners.push({ element: this.overdubBtn, event: 'click', handler: overdubHandler });
+        }
+        
+        if (this.punchToggle) {
+            this.punchToggle.checked = this.punchEnabled;
+            
+            const punchHandler = (event) => {
+                this.setPunch(event.target.checked);
+            };
+            
+            this.punchToggle.addEventListener('change', punchHandler);
+            this.listeners.push({ element: this.punchToggle, event: 'change', handler: punchHandler });
+        }
+        
+        if (this.punchInInput && this.punchOutInput) {
+            const punchRangeHandler = () => {
+                const punchIn = parseFloat(this.punchInInput.value) * 1000;
+                const punchOut = parseFloat(this.punchOutInput.value) * 1000;
+                
+                // Invalid points snap back to the last good ones
+                if (!this.setPunchRange(punchIn, punchOut)) {
+                    this.updatePunchInputs();
+                }
+            };
+            
+            this.punchInInput.addEventListener('change', punchRangeHandler);
+            this.punchOutInput.addEventListener('change', punchRangeHandler);
+            this.listeners.push(
+                { element: this.punchInInput, event: 'change', handler: punchRangeHandler },
+                { element: this.punchOutInput, event: 'change', handler: punchRangeHandler }
+            );
+        }
+        
+        if (this.punchMarkInBtn) {
+            const markInHandler = () => {
+                this.markPunchIn();
+            };
+            
+            this.punchMarkInBtn.addEventListener('click', markInHandler);
+            this.listeners.push({ element: this.punchMarkInBtn, event: 'click', handler: markInHandler });
+        }
+        
+        if (this.punchMarkOutBtn) {
+            const markOutHandler = () => {
+                this.markPunchOut();
+            };
+            
+            this.punchMarkOutBtn.addEventListener('click', markOutHandler);
+            this.listeners.push({ element: this.punchMarkOutBtn, event: 'click', handler: markOutHandler });
+        }
+        
+        this.updatePunchInputs();
+        this.updatePunchButtons();
+    }
+
+    /**
+     * Arm or disarm overdub: while armed, notes played along with playback are added to the recording
+     * @param {boolean} armed - True to overdub
+     * @returns {boolean} Success status
+     */
+    setOverdub(armed) {
+        this.overdubArmed = !!armed;
+        
+        if (this.overdubBtn) {
+            this.overdubBtn.setAttribute('aria-pressed', String(this.overdubArmed));
+        }
+        
+        console.log(`Overdub ${this.overdubArmed ? 'armed' : 'disarmed'}`);
+        return true;
+    }
+
+    /**
+     * Check whether overdub is armed
+     * @returns {boolean} True if notes played along with playback are recorded
+     */
+    isOverdubArmed() {
+        return this.overdubArmed;
+    }
+
+    /**
+     * Check whether notes played now are being overdubbed
+     * @returns {boolean} True while the recording plays with overdub armed
+     */
+    isOverdubbing() {
+        return this.isPlaying && this.overdubArmed && !this.isAuditioning;
+    }
+
+    /**
+     * Turn punch-in on or off
+     * With it on, overdubs are only recorded between the punch points, and the notes already there are
+     * muted during playback and replaced when it stops
+     * @param {boolean} enabled - True to punch in
+     * @returns {boolean} Success status
+     */
+    setPunch(enabled) {
+        this.punchEnabled = !!enabled;
+        
+        if (this.punchToggle) {
+            this.punchToggle.checked = this.punchEnabled;
+        }
+        
+        console.log(`Punch-in ${this.punchEnabled ? 'enabled' : 'disabled'}`);
+        return true;
+    }
+
+    /**
+     * Set the punch points
+     * @param {number} punchIn - Milliseconds from the start of the recording
+     * @param {number} punchOut - Milliseconds from the start of the recording, after punchIn
+     * @returns {boolean} Success status
+     */
+    setPunchRange(punchIn, punchOut) {
+        if (!Number.isFinite(punchIn) || !Number.isFinite(punchOut) || punchIn < 0 || punchOut <= punchIn) {
+            console.warn('Invalid punch range, punch-out must come after punch-in');
+            return false;
+        }
+        
+        this.punchIn = Math.round(punchIn);
+        this.punchOut = Math.round(punchOut);
+        this.updatePunchInputs();
+        return true;
+    }
+
+    /**
+     * Get the punch-in settings
+     * @returns {Object} { enabled, punchIn, punchOut } with times in milliseconds
+     */
+    getPunchRange() {
+        return {
+            enabled: this.punchEnabled,
+            punchIn: this.punchIn,
+            punchOut: this.punchOut
+        };
+    }
+
+    /**
+     * Check whether a time in the recording is being punched in over
+     * @param {number} time - Milliseconds from the start of the recording
+     * @returns {boolean} True while overdubbing with punch-in on and the time between the punch points
+     */
+    isPunchingAt(time) {
+        return this.isOverdubbing() && this.punchEnabled && time >= this.punchIn && time < this.punchOut;
+    }
+
+    /**
+     * Set punch-in to the playback position
+     * Punch-out moves with it, keeping the range's length, if it would fall before it
+     * @returns {boolean} Success status (false when not playing)
+     */
+    markPunchIn() {
+        const position = this.getPlaybackPosition();
+        if (position === null) {
+            return false;
+        }
+        
+        const punchOut = this.punchOut > position ? this.punchOut : position + (this.punchOut - this.punchIn);
+        return this.setPunchRange(position, punchOut);
+    }
+
+    /**
+     * Set punch-out to the playback position
+     * @returns {boolean} Success status (false when not playing or before punch-in)
+     */
+    markPunchOut() {
+        const position = this.getPlaybackPosition();
+        if (position === null) {
+            return false;
+        }
+        
+        return this.setPunchRange(this.punchIn, position);
+    }
+
+    /**
+     * Get how far playback has got, as heard: on the audio clock, allowing for the output latency
+     * @returns {number|null} Milliseconds from the start of the recording, or null when not playing
+     */
+    getPlaybackPosition() {
+        const heardTime = scheduler.getHeardTime();
+        if (!this.isPlaying || this.playbackStartTime === null || heardTime === null) {
+            return null;
+        }
+        
+        return Math.max(0, (heardTime - this.playbackStartTime) * 1000);
+    }
+
+    /**
+     * Show the punch points in their inputs
+     */
+    updatePunchInputs() {
+        if (this.punchInInput) {
+            this.punchInInput.value = (this.punchIn / 1000).toFixed(2);
+        }
+        if (this.punchOutInput) {
+            this.punchOutInput.value = (this.punchOut / 1000).toFixed(2);
+        }
+    }
+
+    /**
+     * Enable the Mark buttons while the recording plays
+     */
+    updatePunchButtons() {
+        const playing = this.isPlaying && !this.isAuditioning;
+        
+        if (this.punchMarkInBtn) {
+            this.punchMarkInBtn.disabled = !playing;
+        }
+        if (this.punchMarkOutBtn) {
+            this.punchMarkOutBtn.disabled = !playing;
+        }
     }
 
     /**
-     * Set up volume control slider and display
+     * Add the notes overdubbed on a playback pass to the recording
+     * @param {Array} notes - Overdubbed notes
+     * @param {number|null} punchEnd - With punch-in on, how far into the punch range playback got (ms);
+     *                                 the recording's notes from punch-in up to there are replaced
+     * @returns {boolean} True if the recording changed
      */
-    setupVolumeControl() {
-        // Set initial volume from audio engine
-        const currentVolume = audioEngine.getVolume();
-        this.volumeSlider.value = Math.round(currentVolume * 100);
-        this.updateVolumeDisplay(currentVolume * 100);
+    mergeOverdub(notes, punchEnd = null) {
+        const replacing = punchEnd !== null && punchEnd > this.punchIn;
+        if (notes.length === 0 && !replacing) {
+            return false;
+        }
         
-        // Volume slider input handler
-        const volumeInputHandler = (event) => {
-            const volumePercent = parseInt(event.target.value, 10);
-            const volumeDecimal = volumePercent / 100;
-            
-            // Update audio engine volume
-            audioEngine.setVolume(volumeDecimal);
-            
-            // Update display
-            this.updateVolumeDisplay(volumePercent);
-        };
+        const kept = replacing
+            ? this.recordedSequence.filter(note => note.delay < this.punchIn || note.delay >= punchEnd)
+            : this.recordedSequence;
+        const replaced = this.recordedSequence.length - kept.length;
         
-        this.volumeSlider.addEventListener('input', volumeInputHandler);
+        this.recordedSequence = [...kept, ...notes].sort((a, b) => a.delay - b.delay);
         
-        // Store listener for cleanup
-        this.listeners.push({
-            element: this.volumeSlider,
-            event: 'input',
-            handler: volumeInputHandler
-        });
+        // Overdubs are not quantized, so undoing an earlier quantize would now drop them
+        this.originalSequence = null;
+        
+        this.updateQuantizeButtons();
+        this.dispatchSequenceChanged();
+        
+        const total = this.recordedSequence.length;
+        if (replacing) {
+            this.updateRecordingStatus(`Punched in ${notes.length} notes over ${replaced}, ${total} in all`);
+        } else {
+            this.updateRecordingStatus(`Overdubbed ${notes.length} notes, ${total} in all`);
+        }
+        console.log(`Overdub merged: ${notes.length} notes added, ${replaced} replaced`);
+        return true;
     }
 
     /**
-     * Update volume display text
-     * @param {number} volumePercent - Volume percentage (0-100)
+     * Enable or disable the export button
+     * @param {boolean} enabled - True to enable
      */
-    updateVolumeDisplay(volumePercent) {
-        if (this.volumeValue) {
-            this.volumeValue.textContent = `${volumePercent}%`;
+    setExportEnabled(enabled) {
+        if (this.exportBtn) {
+            this.exportBtn.disabled = !enabled;
         }
     }
 
     /**
-     * Set up recording control buttons
+     * Render the recorded sequence offline and download it as a WAV file
+     * @returns {Promise<boolean>} Success status
      */
-    setupRecordingControls() {
-        // Record button handler
-        const recordHandler = () => {
-            if (this.isRecording) {
-                this.stopRecording();
-            } else {
-                this.startRecording();
-            }
-        };
-        
-        // Play button handler
-        const playHandler = () => {
-            if (this.isPlaying) {
-                this.stopPlayback();
-            } else {
-                this.playRecording();
-            }
-        };
+    async exportWav() {
+        if (this.recordedSequence.length === 0) {
+            console.warn('No recording to export');
+            return false;
+        }
         
-        // Clear button handler
-        const clearHandler = () => {
-            this.clearRecording();
+        const options = {
+            sampleRate: this.exportSampleRate ? parseInt(this.exportSampleRate.value, 10) : undefined,
+            bitDepth: this.exportBitDepth ? parseInt(this.exportBitDepth.value, 10) : undefined,
+            tail: this.exportTail ? parseFloat(this.exportTail.value) : undefined,
+            instrument: this.recordingInstrument || undefined
         };
         
-        this.recordBtn.addEventListener('click', recordHandler);
-        this.playBtn.addEventListener('click', playHandler);
-        this.clearBtn.addEventListener('click', clearHandler);
+        this.setExportEnabled(false);
+        this.updateRecordingStatus('Rendering WAV...');
         
-        // Store listeners for cleanup
-        this.listeners.push(
-            { element: this.recordBtn, event: 'click', handler: recordHandler },
-            { element: this.playBtn, event: 'click', handler: playHandler },
-            { element: this.clearBtn, event: 'click', handler: clearHandler }
-        );
+        try {
+            const blob = await offlineRenderer.renderToWav(this.recordedSequence, options);
+            offlineRenderer.download(blob, 'xylophone-recording.wav');
+            this.updateRecordingStatus('Exported WAV');
+            return true;
+        } catch (error) {
+            console.error('Error exporting WAV:', error);
+            this.updateRecordingStatus('WAV export failed');
+            return false;
+        } finally {
+            this.setExportEnabled(this.recordedSequence.length > 0);
+        }
     }
 
     /**
-     * Set up listener for note played events
+     * Set up listeners for note played and note released events
      */
     setupNoteListener() {
         const notePlayedHandler = (event) => {
-            if (this.isRecording) {
+            if (this.isRecording || this.isOverdubbing()) {
                 this.recordNote(event.detail);
             }
         };
         
+        const noteReleasedHandler = (event) => {
+            if (this.isRecording || this.isOverdubbing()) {
+                this.recordRelease(event.detail);
+            }
+        };
+        
         document.addEventListener('notePlayed', notePlayedHandler);
+        document.addEventListener('noteReleased', noteReleasedHandler);
         
-        // Store listener for cleanup
-        this.listeners.push({
-            element: document,
-            event: 'notePlayed',
-            handler: notePlayedHandler
-        });
+        // Store listeners for cleanup
+        this.listeners.push(
+            { element: document, event: 'notePlayed', handler: notePlayedHandler },
+            { element: document, event: 'noteReleased', handler: noteReleasedHandler }
+        );
     }
 
     /**
-     * Start recording sequence
+     * Start recording sequence, after a count-in if one is set
      */
     startRecording() {
         if (this.isPlaying) {
@@ -178,10 +1890,49 @@ class Controls {
             return;
         }
         
+        if (this.countInBars > 0) {
+            const downbeat = metronome.countIn(this.countInBars, () => {
+                this.isCountingIn = false;
+                this.beginRecording(downbeat);
+            });
+            
+            if (downbeat !== null) {
+                this.isCountingIn = true;
+                this.recordBtn.classList.add('recording');
+                this.recordBtn.innerHTML = `
+                    <svg class="icon" width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+                        <rect x="6" y="6" width="8" height="8"/>
+                    </svg>
+                    Cancel
+                `;
+                this.updateRecordingStatus('Count-in...');
+                return;
+            }
+        }
+        
+        this.beginRecording();
+    }
+
+    /**
+     * Begin recording; note delays count from the start, which is bar 1, beat 1 of the saved tempo
+     * @param {number|null} downbeat - Audio context time of the count-in's downbeat to start from
+     *                                 (default: now)
+     */
+    beginRecording(downbeat = null) {
         this.isRecording = true;
         this.recordedSequence = [];
+        this.pendingNotes.clear();
         this.recordingStartTime = Date.now();
         
+        // Note timestamps are wall-clock times; take the downbeat as heard, not when the timer fired
+        const heardTime = scheduler.getHeardTime();
+        if (downbeat !== null && heardTime !== null) {
+            this.recordingStartTime += (downbeat - heardTime) * 1000;
+        }
+        this.recordingInstrument = xylophone.getInstrument();
+        this.recordingTempo = metronome.getMeter();
+        this.originalSequence = null;
+        
         // Update UI
         this.recordBtn.classList.add('recording');
         this.recordBtn.innerHTML = `
@@ -191,10 +1942,36 @@ class Controls {
             Stop
         `;
         this.updateRecordingStatus('Recording...');
+        this.updateQuantizeButtons();
+        this.startRecordingLimit();
         
         console.log('Recording started');
     }
 
+    /**
+     * Cancel a count-in before recording begins
+     */
+    cancelCountIn() {
+        if (!this.isCountingIn) {
+            return;
+        }
+        
+        metronome.cancelCountIn();
+        this.isCountingIn = false;
+        
+        // Update UI
+        this.recordBtn.classList.remove('recording');
+        this.recordBtn.innerHTML = `
+            <svg class="icon" width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+                <circle cx="10" cy="10" r="6"/>
+            </svg>
+            Record
+        `;
+        this.updateRecordingStatus('');
+        
+        console.log('Count-in cancelled');
+    }
+
     /**
      * Stop recording sequence
      */
@@ -204,6 +1981,10 @@ class Controls {
         }
         
         this.isRecording = false;
+        this.clearRecordingLimit();
+        
+        // Notes still held at the end ring out in full
+        this.pendingNotes.clear();
         
         // Update UI
         this.recordBtn.classList.remove('recording');
@@ -218,48 +1999,182 @@ class Controls {
         if (this.recordedSequence.length > 0) {
             this.playBtn.disabled = false;
             this.clearBtn.disabled = false;
+            this.setExportEnabled(true);
             this.updateRecordingStatus(`Recorded ${this.recordedSequence.length} notes`);
         } else {
             this.updateRecordingStatus('No notes recorded');
         }
+        this.updateQuantizeButtons();
+        this.dispatchSequenceChanged();
         
         console.log(`Recording stopped: ${this.recordedSequence.length} notes`);
     }
 
     /**
-     * Record a note to the sequence
-     * @param {Object} noteDetail - Note event detail with noteIndex and timestamp
+     * Record a note to the sequence, or to the overdub while playing with overdub armed
+     * @param {Object} noteDetail - Note event detail with noteIndex, velocity, source and timestamp
      */
     recordNote(noteDetail) {
-        if (!this.isRecording) {
+        const overdubbing = this.isOverdubbing();
+        if (!this.isRecording && !overdubbing) {
             return;
         }
         
-        // Check maximum recording length
-        if (this.recordedSequence.length >= this.maxRecordingLength) {
-            console.warn('Maximum recording length reached');
-            this.stopRecording();
+        // The recording's own playback is never recorded again
+        if (noteDetail.source === 'playback') {
+            return;
+        }
+        
+        // Calculate delay from recording start, or from the start of the recording being overdubbed
+        // (a note struck just before its first note is heard counts from the start)
+        const delay = Math.max(0, this.getCaptureTime(noteDetail.timestamp));
+        
+        // Punching in, notes outside the punch points are played but not recorded
+        if (overdubbing && this.punchEnabled && !this.isPunchingAt(delay)) {
             return;
         }
         
-        // Calculate delay from recording start
-        const delay = noteDetail.timestamp - this.recordingStartTime;
+        // Check the recording's size, overdubs included
+        const noteCount = this.recordedSequence.length + this.overdubNotes.length;
+        if (noteCount >= this.maxRecordingNotes) {
+            console.warn('Maximum recording size reached');
+            if (this.isRecording) {
+                this.stopRecording();
+            } else {
+                this.setOverdub(false);
+            }
+            this.updateRecordingStatus(`Recording is full at ${noteCount} notes`);
+            return;
+        }
+        if (noteCount + 1 >= this.maxRecordingNotes * this.recordingWarningRatio) {
+            this.warnRecordingLimit();
+        }
         
         // Add note to sequence
-        this.recordedSequence.push({
+        const note = {
             noteIndex: noteDetail.noteIndex,
-            delay: delay
-        });
+            delay: delay,
+            velocity: noteDetail.velocity !== undefined ? noteDetail.velocity : 1.0
+        };
+        
+        // Arpeggiator octave copies sound above their bar
+        if (noteDetail.semitones) {
+            note.semitones = noteDetail.semitones;
+        }
+        
+        if (this.isRecording) {
+            this.recordedSequence.push(note);
+        } else {
+            this.overdubNotes.push(note);
+        }
+        
+        // Live notes get their duration when they are released
+        if (noteDetail.noteId !== undefined && noteDetail.noteId !== null) {
+            this.pendingNotes.set(noteDetail.noteId, note);
+        }
         
         // Update status
-        this.updateRecordingStatus(`Recording... (${this.recordedSequence.length} notes)`);
+        this.updateRecordingStatus(this.getCaptureStatus());
+    }
+
+    /**
+     * Record how long a note was held
+     * @param {Object} releaseDetail - Release event detail ({noteId, timestamp})
+     */
+    recordRelease(releaseDetail) {
+        const note = this.pendingNotes.get(releaseDetail.noteId);
+        if (!note) {
+            return;
+        }
+        
+        this.pendingNotes.delete(releaseDetail.noteId);
+        note.duration = Math.max(0, this.getCaptureTime(releaseDetail.timestamp) - note.delay);
+    }
+
+    /**
+     * Get when a note event happened, in the timebase recorded note delays use
+     * A take counts from its start; an overdub from the start of the playback, where the event
+     * falls in what is being heard (see getPlaybackPosition())
+     * @param {number} timestamp - Date.now() time of the event
+     * @returns {number} Milliseconds from the start of the take or of the recording being overdubbed
+     */
+    getCaptureTime(timestamp) {
+        if (this.isRecording) {
+            return timestamp - this.recordingStartTime;
+        }
+        
+        const position = this.getPlaybackPosition();
+        return position === null ? 0 : position - (Date.now() - timestamp);
+    }
+
+    /**
+     * Describe the take or overdub in progress for the status display
+     * @returns {string} Status message
+     */
+    getCaptureStatus() {
+        const message = this.isRecording
+            ? `Recording... (${this.recordedSequence.length} notes)`
+            : `Overdubbing... (${this.overdubNotes.length} new notes)`;
+        
+        return this.recordingLimitWarned ? `${message}, nearing the limit` : message;
+    }
+
+    /**
+     * Start the timers that warn as a take nears the time limit and then stop it there
+     */
+    startRecordingLimit() {
+        this.clearRecordingLimit();
+        this.recordingLimitWarned = false;
+        
+        this.recordingWarningTimer = setTimeout(() => {
+            this.recordingWarningTimer = null;
+            this.warnRecordingLimit();
+        }, this.maxRecordingTime * this.recordingWarningRatio);
+        
+        this.recordingLimitTimer = setTimeout(() => {
+            this.recordingLimitTimer = null;
+            console.warn('Maximum recording time reached');
+            this.stopRecording();
+            this.updateRecordingStatus(
+                `Stopped at the ${this.getMaxRecordingTime()} minute limit, ${this.recordedSequence.length} notes recorded`
+            );
+        }, this.maxRecordingTime);
+    }
+
+    /**
+     * Cancel the recording time limit timers
+     */
+    clearRecordingLimit() {
+        if (this.recordingWarningTimer) {
+            clearTimeout(this.recordingWarningTimer);
+            this.recordingWarningTimer = null;
+        }
+        if (this.recordingLimitTimer) {
+            clearTimeout(this.recordingLimitTimer);
+            this.recordingLimitTimer = null;
+        }
+    }
+
+    /**
+     * Warn, once per take or overdub, that it is nearing the recording time or size limit
+     */
+    warnRecordingLimit() {
+        if (this.recordingLimitWarned) {
+            return;
+        }
+        
+        this.recordingLimitWarned = true;
+        console.warn('Recording is nearing its limit');
+        this.updateRecordingStatus(this.getCaptureStatus());
     }
 
     /**
      * Play recorded sequence
+     * @param {Array} sequence - Notes to play (default: the recording; quantize auditions pass a preview)
+     * @param {string} status - Status message while playing
      */
-    async playRecording() {
-        if (this.recordedSequence.length === 0) {
+    async playRecording(sequence = this.recordedSequence, status = 'Playing...') {
+        if (sequence.length === 0) {
             console.warn('No recording to play');
             return;
         }
@@ -270,6 +2185,10 @@ class Controls {
         }
         
         this.isPlaying = true;
+        this.isAuditioning = sequence !== this.recordedSequence;
+        this.overdubNotes = [];
+        this.pendingNotes.clear();
+        this.recordingLimitWarned = false;
         
         // Update UI
         this.playBtn.classList.add('playing');
@@ -282,13 +2201,16 @@ class Controls {
         `;
         this.recordBtn.disabled = true;
         this.clearBtn.disabled = true;
-        this.updateRecordingStatus('Playing...');
+        this.setExportEnabled(false);
+        this.updateQuantizeButtons();
+        this.updatePunchButtons();
+        this.updateRecordingStatus(status);
         
         console.log('Playing recording');
         
         try {
             // Play sequence
-            await this.playSequenceWithTiming();
+            await this.playSequenceWithTiming(sequence);
         } catch (error) {
             console.error('Error playing recording:', error);
         } finally {
@@ -298,32 +2220,73 @@ class Controls {
 
     /**
      * Play sequence with accurate timing
-     * @returns {Promise} Resolves when playback completes
+     * Every note is queued on the audio clock through the shared scheduler
+     * @param {Array} sequence - Notes to play (default: the recording)
+     * @returns {Promise} Resolves when playback completes or is stopped
      */
-    async playSequenceWithTiming() {
-        const startTime = Date.now();
+    playSequenceWithTiming(sequence = this.recordedSequence) {
+        const startTime = scheduler.getStartTime();
         
-        for (let i = 0; i < this.recordedSequence.length; i++) {
-            if (!this.isPlaying) {
-                break; // Playback was stopped
-            }
+        if (startTime === null) {
+            console.warn('Audio engine not initialized');
+            return Promise.resolve();
+        }
+        
+        const instrument = this.recordingInstrument || undefined;
+        
+        // Overdubbed notes are timed from when the first note would be heard
+        this.playbackStartTime = startTime;
+        
+        document.dispatchEvent(new CustomEvent('playbackStarted', {
+            detail: { startTime }
+        }));
+        
+        return new Promise(resolve => {
+            this.playbackResolve = resolve;
             
-            const note = this.recordedSequence[i];
-            const targetTime = startTime + note.delay;
-            const currentTime = Date.now();
-            const waitTime = targetTime - currentTime;
+            let endTime = startTime;
             
-            // Wait until target time
-            if (waitTime > 0) {
-                await new Promise(resolve => {
-                    this.playbackTimeout = setTimeout(resolve, waitTime);
-                });
+            // Punching in, play on to punch-out even if the recording ends before it
+            if (this.overdubArmed && this.punchEnabled && !this.isAuditioning) {
+                endTime = startTime + this.punchOut / 1000;
             }
             
-            // Play note if still playing
-            if (this.isPlaying) {
-                inputHandler.triggerBar(note.noteIndex);
-            }
+            sequence.forEach(note => {
+                const noteTime = startTime + note.delay / 1000;
+                const velocity = note.velocity !== undefined ? note.velocity : 1.0;
+                endTime = Math.max(endTime, noteTime);
+                
+                // Notes recorded with a duration are damped where they were let go
+                const options = note.duration !== undefined ? { duration: note.duration / 1000 } : {};
+                if (note.semitones) {
+                    options.semitones = note.semitones;
+                }
+                
+                scheduler.schedule(noteTime, (time) => {
+                    // Notes being punched in over are muted
+                    if (this.isPunchingAt(note.delay)) {
+                        return;
+                    }
+                    
+                    inputHandler.triggerBar(note.noteIndex, velocity, { ...options, time, instrument, source: 'playback' });
+                }, this.playbackGroup);
+            });
+            
+            // Finish once the last note is heard
+            scheduler.schedule(endTime, (time) => {
+                scheduler.runAtTime(time, () => this.finishPlayback(), this.playbackGroup);
+            }, this.playbackGroup);
+        });
+    }
+
+    /**
+     * Resolve the pending playback promise, if any
+     */
+    finishPlayback() {
+        if (this.playbackResolve) {
+            const resolve = this.playbackResolve;
+            this.playbackResolve = null;
+            resolve();
         }
     }
 
@@ -335,13 +2298,20 @@ class Controls {
             return;
         }
         
+        // Take this pass's overdub, and how far into the punch range it got, while still playing
+        const overdubNotes = this.overdubNotes;
+        const punchEnd = this.isOverdubbing() && this.punchEnabled
+            ? Math.min(this.getPlaybackPosition(), this.punchOut)
+            : null;
+        this.overdubNotes = [];
+        this.pendingNotes.clear();
+        
         this.isPlaying = false;
+        this.isAuditioning = false;
         
-        // Clear any pending timeout
-        if (this.playbackTimeout) {
-            clearTimeout(this.playbackTimeout);
-            this.playbackTimeout = null;
-        }
+        // Drop any notes not yet handed to the audio engine
+        scheduler.cancelGroup(this.playbackGroup);
+        this.finishPlayback();
         
         // Update UI
         this.playBtn.classList.remove('playing');
@@ -353,7 +2323,13 @@ class Controls {
         `;
         this.recordBtn.disabled = false;
         this.clearBtn.disabled = false;
-        this.updateRecordingStatus(`Recorded ${this.recordedSequence.length} notes`);
+        this.setExportEnabled(true);
+        this.updateQuantizeButtons();
+        this.updatePunchButtons();
+        if (!this.mergeOverdub(overdubNotes, punchEnd)) {
+            this.updateRecordingStatus(`Recorded ${this.recordedSequence.length} notes`);
+        }
+        document.dispatchEvent(new CustomEvent('playbackStopped'));
         
         console.log('Playback stopped');
     }
@@ -367,11 +2343,17 @@ class Controls {
         }
         
         this.recordedSequence = [];
+        this.recordingInstrument = null;
+        this.recordingTempo = null;
+        this.originalSequence = null;
         
         // Update UI
         this.playBtn.disabled = true;
         this.clearBtn.disabled = true;
+        this.setExportEnabled(false);
+        this.updateQuantizeButtons();
         this.updateRecordingStatus('');
+        this.dispatchSequenceChanged();
         
         console.log('Recording cleared');
     }
@@ -427,6 +2409,57 @@ class Controls {
         return [...this.recordedSequence];
     }
 
+    /**
+     * Replace the recorded notes with edited ones (see PianoRoll)
+     * Keeps the instrument and tempo (notes written from scratch take the metronome's); a quantized
+     * recording stays quantized but can no longer be undone
+     * @param {Array} notes - Notes as { noteIndex, delay, velocity, duration? }
+     * @returns {boolean} Success status (false while recording or playing)
+     */
+    setRecordedSequence(notes) {
+        if (this.isRecording || this.isPlaying) {
+            console.warn('Cannot edit the recording while recording or playing');
+            return false;
+        }
+        
+        this.recordedSequence = notes.map(note => ({ ...note })).sort((a, b) => a.delay - b.delay);
+        this.originalSequence = null;
+        if (!this.recordingTempo && this.recordedSequence.length > 0) {
+            this.recordingTempo = metronome.getMeter();
+        }
+        
+        // Update UI
+        const hasNotes = this.recordedSequence.length > 0;
+        this.playBtn.disabled = !hasNotes;
+        this.clearBtn.disabled = !hasNotes;
+        this.setExportEnabled(hasNotes);
+        this.updateQuantizeButtons();
+        this.updateRecordingStatus(hasNotes ? `Edited, ${this.recordedSequence.length} notes` : '');
+        this.dispatchSequenceChanged();
+        
+        return true;
+    }
+
+    /**
+     * Notify listeners that the recorded notes were replaced, edited or cleared
+     */
+    dispatchSequenceChanged() {
+        document.dispatchEvent(new CustomEvent('sequenceChanged', {
+            detail: {
+                noteCount: this.recordedSequence.length
+            }
+        }));
+    }
+
+    /**
+     * Get the tempo and meter the recording was made at, for reading note delays as bars and beats
+     * (see metronome.getPosition())
+     * @returns {Object|null} { bpm, beatsPerBar, beatUnit }, or null for recordings without one
+     */
+    getRecordingTempo() {
+        return this.recordingTempo ? { ...this.recordingTempo } : null;
+    }
+
     /**
      * Check if currently recording
      * @returns {boolean} True if recording
@@ -452,54 +2485,133 @@ class Controls {
     }
 
     /**
-     * Set maximum recording length
-     * @param {number} maxLength - Maximum number of notes
+     * Set how long a take can run before it stops; applies from the next take
+     * @param {number} minutes - Maximum length in minutes (1-120)
+     * @returns {boolean} Success status
+     */
+    setMaxRecordingTime(minutes) {
+        if (!Number.isFinite(minutes) || minutes < 1 || minutes > 120) {
+            console.warn('Invalid max recording time, must be between 1 and 120 minutes');
+            return false;
+        }
+        
+        this.maxRecordingTime = minutes * 60 * 1000;
+        return true;
+    }
+
+    /**
+     * Get how long a take can run
+     * @returns {number} Maximum length in minutes
+     */
+    getMaxRecordingTime() {
+        return this.maxRecordingTime / 60000;
+    }
+
+    /**
+     * Set the maximum number of notes in a recording
+     * @deprecated Takes are limited by time now; use setMaxRecordingTime(). This sets the note limit
+     *             that still bounds memory, which was what the old length limit counted
+     * @param {number} maxLength - Maximum number of notes (1-20000)
+     * @returns {boolean} Success status
      */
     setMaxRecordingLength(maxLength) {
-        if (maxLength > 0 && maxLength <= 500) {
-            this.maxRecordingLength = maxLength;
-        } else {
-            console.warn('Invalid max recording length, must be between 1 and 500');
+        console.warn('setMaxRecordingLength() is deprecated, use setMaxRecordingTime(minutes)');
+        
+        if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > 20000) {
+            console.warn('Invalid max recording length, must be between 1 and 20000 notes');
+            return false;
         }
+        
+        this.maxRecordingNotes = maxLength;
+        return true;
     }
 
     /**
      * Export recorded sequence as JSON
-     * @returns {string} JSON string of sequence
+     * @returns {string} JSON string of {version, instrument, tempo, notes}
      */
     exportSequence() {
-        return JSON.stringify(this.recordedSequence, null, 2);
+        return JSON.stringify({
+            version: this.sequenceFormatVersion,
+            instrument: this.recordingInstrument || xylophone.getInstrument(),
+            tempo: this.recordingTempo || metronome.getMeter(),
+            notes: this.recordedSequence
+        }, null, 2);
     }
 
     /**
      * Import sequence from JSON
+     * Accepts {version, instrument, tempo, notes} or a bare note array (version 1 exports, played with the current instrument)
+     * Tempo is optional: { bpm, beatsPerBar, beatUnit }
      * @param {string} jsonString - JSON string of sequence
      * @returns {boolean} Success status
      */
     importSequence(jsonString) {
         try {
-            const sequence = JSON.parse(jsonString);
+            const data = JSON.parse(jsonString);
+            const sequence = Array.isArray(data) ? data : data && data.notes;
+            const instrument = Array.isArray(data) ? null : data.instrument;
+            const tempo = Array.isArray(data) ? null : data.tempo;
             
             // Validate sequence format
             if (!Array.isArray(sequence)) {
                 throw new Error('Invalid sequence format');
             }
             
+            if (!Array.isArray(data) && data.version !== undefined &&
+                (!Number.isInteger(data.version) || data.version > this.sequenceFormatVersion)) {
+                throw new Error(`Unsupported sequence format version: ${data.version}`);
+            }
+            
+            if (instrument !== undefined && instrument !== null &&
+                !xylophone.getInstruments().some(({ id }) => id === instrument)) {
+                throw new Error(`Unknown instrument: ${instrument}`);
+            }
+            
+            if (tempo !== undefined && tempo !== null &&
+                (typeof tempo.bpm !== 'number' || tempo.bpm < metronome.minBpm || tempo.bpm > metronome.maxBpm ||
+                 !Number.isInteger(tempo.beatsPerBar) || tempo.beatsPerBar < 1 || tempo.beatsPerBar > 16 ||
+                 ![2, 4, 8, 16].includes(tempo.beatUnit))) {
+                throw new Error('Invalid tempo');
+            }
+            
             // Validate each note
             for (const note of sequence) {
                 if (typeof note.noteIndex !== 'number' || typeof note.delay !== 'number') {
                     throw new Error('Invalid note format');
                 }
+                
+                // Velocity is optional (older exports predate it)
+                if (note.velocity !== undefined &&
+                    (typeof note.velocity !== 'number' || note.velocity < 0 || note.velocity > 1)) {
+                    throw new Error('Invalid note velocity');
+                }
+                
+                // Duration is optional too (notes without one ring out in full)
+                if (note.duration !== undefined && (typeof note.duration !== 'number' || note.duration < 0)) {
+                    throw new Error('Invalid note duration');
+                }
+                
+                // So is a transposition past the note's bar (arpeggiator octave copies)
+                if (note.semitones !== undefined && !Number.isInteger(note.semitones)) {
+                    throw new Error('Invalid note transposition');
+                }
             }
             
             this.recordedSequence = sequence;
+            this.recordingInstrument = instrument || null;
+            this.recordingTempo = tempo ? { bpm: tempo.bpm, beatsPerBar: tempo.beatsPerBar, beatUnit: tempo.beatUnit } : null;
+            this.originalSequence = null;
             
             // Update UI
             if (this.recordedSequence.length > 0) {
                 this.playBtn.disabled = false;
                 this.clearBtn.disabled = false;
+                this.setExportEnabled(true);
                 this.updateRecordingStatus(`Imported ${this.recordedSequence.length} notes`);
             }
+            this.updateQuantizeButtons();
+            this.dispatchSequenceChanged();
             
             console.log('Sequence imported successfully');
             return true;
@@ -514,7 +2626,8 @@ class Controls {
      * Reset controls to initial state
      */
     reset() {
-        // Stop any active recording or playback
+        // Stop any active count-in, recording or playback
+        this.cancelCountIn();
         if (this.isRecording) {
             this.stopRecording();
         }
@@ -537,6 +2650,8 @@ class Controls {
     dispose() {
         // Stop any active operations
         this.reset();
+        this.stopMetering();
+        metronome.reset();
         
         // Remove all event listeners
         this.listeners.forEach(({ element, event, handler }) => {
@@ -551,6 +2666,76 @@ class Controls {
         this.playBtn = null;
         this.clearBtn = null;
         this.recordingStatus = null;
+        this.meterElement = null;
+        this.meterPeak = null;
+        this.meterRms = null;
+        this.meterValue = null;
+        this.clipIndicator = null;
+        this.instrumentSelect = null;
+        this.scaleTonicSelect = null;
+        this.scaleModeSelect = null;
+        this.chromaticToggle = null;
+        this.barCountSelect = null;
+        this.namingSystemSelect = null;
+        this.referencePitchSelect = null;
+        this.temperamentSelect = null;
+        this.scalaFileInput = null;
+        this.scalaClearBtn = null;
+        this.tuningValue = null;
+        this.showCentsToggle = null;
+        this.octaveDownBtn = null;
+        this.octaveUpBtn = null;
+        this.octaveValue = null;
+        this.transposeInput = null;
+        this.soundingRange = null;
+        this.sustainBtn = null;
+        this.dampTimeSlider = null;
+        this.dampTimeValue = null;
+        this.velocityCurveSelect = null;
+        this.chordToggle = null;
+        this.chordTypeSelect = null;
+        this.chordVoicingSelect = null;
+        this.chordStrumSlider = null;
+        this.chordStrumValue = null;
+        this.arpToggle = null;
+        this.arpPatternSelect = null;
+        this.arpRateSelect = null;
+        this.arpOctavesSelect = null;
+        this.arpLatchToggle = null;
+        this.metronomeToggle = null;
+        this.tempoInput = null;
+        this.tapTempoBtn = null;
+        this.timeSignatureSelect = null;
+        this.countInSelect = null;
+        this.beatIndicator = null;
+        this.quantizeGridSelect = null;
+        this.quantizeStrengthSlider = null;
+        this.quantizeStrengthValue = null;
+        this.quantizeSwingSlider = null;
+        this.quantizeSwingValue = null;
+        this.quantizeHumanizeSlider = null;
+        this.quantizeHumanizeValue = null;
+        this.quantizeAuditionBtn = null;
+        this.quantizeApplyBtn = null;
+        this.quantizeUndoBtn = null;
+        this.overdubBtn = null;
+        this.punchToggle = null;
+        this.punchInInput = null;
+        this.punchOutInput = null;
+        this.punchMarkInBtn = null;
+        this.punchMarkOutBtn = null;
+        this.stereoWidthSlider = null;
+        this.stereoWidthValue = null;
+        this.spatialToggle = null;
+        this.listenerXSlider = null;
+        this.listenerZSlider = null;
+        this.listenerValue = null;
+        this.effectsPresetSelect = null;
+        this.effectControls = {};
+        this.exportBtn = null;
+        this.exportSampleRate = null;
+        this.exportBitDepth = null;
+        this.exportTail = null;
         this.recordedSequence = [];
         
         this.isInitialized = false;
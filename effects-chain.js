@@ -0,0 +1,490 @@
+/**
+ * Effects Chain Module
+ * Insert chain between the voices and the master output:
+ * 3-band EQ -> compressor/limiter -> tempo-syncable feedback delay -> convolution reverb
+ * Every effect has a wet/dry mix and a bypass switch: linear for EQ and compressor, equal-power for delay and reverb
+ * Built per context, so offline renders can run the same chain as the live engine
+ */
+
+// Reverb impulse response shapes (generated, no audio files needed)
+const REVERB_TYPES = {
+    'small-room': {
+        rt60: 0.6,                  // Seconds to decay by 60 dB
+        preDelay: 0.004,            // Seconds before the diffuse tail
+        damping: 0.35,              // High-frequency loss at the end of the tail (1 = none)
+        reflections: [0.011, 0.017, 0.023, 0.031, 0.041]
+    },
+    'hall': {
+        rt60: 2.8,
+        preDelay: 0.03,
+        damping: 0.2,
+        reflections: [0.032, 0.047, 0.061, 0.083]
+    },
+    'plate': {
+        rt60: 1.8,
+        preDelay: 0,
+        damping: 0.6,
+        reflections: []
+    }
+};
+
+// Delay note divisions in beats
+const DELAY_DIVISIONS = {
+    '1/2': 2,
+    '1/4': 1,
+    '1/4d': 1.5,
+    '1/4t': 2 / 3,
+    '1/8': 0.5,
+    '1/8d': 0.75,
+    '1/8t': 1 / 3,
+    '1/16': 0.25
+};
+
+// Effects whose wet path is the dry signal reshaped rather than added to; their wet and dry
+// paths are correlated, so they crossfade linearly (equal-power would be +3 dB at 50%)
+const LINEAR_MIX_EFFECTS = ['eq', 'compressor'];
+
+// Named presets - complete settings for every effect
+const PRESETS = {
+    'dry': {
+        label: 'Dry',
+        eq: { enabled: false, mix: 1.0, low: 0, mid: 0, high: 0 },
+        compressor: { enabled: false, mix: 1.0, mode: 'compressor', threshold: -18, ratio: 3, attack: 0.005, release: 0.2, makeup: 0 },
+        delay: { enabled: false, mix: 0.25, division: '1/8', time: 0.25, feedback: 0.3, damping: 4000 },
+        reverb: { enabled: false, mix: 0.2, type: 'small-room' }
+    },
+    'studio': {
+        label: 'Studio',
+        eq: { enabled: true, mix: 1.0, low: 1, mid: -1, high: 1.5 },
+        compressor: { enabled: true, mix: 1.0, mode: 'compressor', threshold: -18, ratio: 3, attack: 0.005, release: 0.2, makeup: 2 },
+        delay: { enabled: false, mix: 0.2, division: '1/8', time: 0.25, feedback: 0.25, damping: 4000 },
+        reverb: { enabled: true, mix: 0.18, type: 'small-room' }
+    },
+    'concert-hall': {
+        label: 'Concert Hall',
+        eq: { enabled: true, mix: 1.0, low: 2, mid: 0, high: -1 },
+        compressor: { enabled: true, mix: 0.6, mode: 'compressor', threshold: -20, ratio: 2.5, attack: 0.01, release: 0.3, makeup: 2 },
+        delay: { enabled: false, mix: 0.2, division: '1/4', time: 0.5, feedback: 0.2, damping: 3000 },
+        reverb: { enabled: true, mix: 0.35, type: 'hall' }
+    },
+    'plate-echo': {
+        label: 'Plate Echo',
+        eq: { enabled: true, mix: 1.0, low: -1, mid: 0, high: 2 },
+        compressor: { enabled: true, mix: 1.0, mode: 'compressor', threshold: -16, ratio: 4, attack: 0.003, release: 0.15, makeup: 3 },
+        delay: { enabled: true, mix: 0.3, division: '1/8d', time: 0.375, feedback: 0.4, damping: 5000 },
+        reverb: { enabled: true, mix: 0.3, type: 'plate' }
+    },
+    'broadcast': {
+        label: 'Broadcast',
+        eq: { enabled: true, mix: 1.0, low: -2, mid: 2, high: 3 },
+        compressor: { enabled: true, mix: 1.0, mode: 'limiter', threshold: -6, ratio: 20, attack: 0.001, release: 0.1, makeup: 4 },
+        delay: { enabled: false, mix: 0.2, division: '1/8', time: 0.25, feedback: 0.25, damping: 4000 },
+        reverb: { enabled: true, mix: 0.1, type: 'small-room' }
+    }
+};
+
+class EffectsChain {
+    /**
+     * Build the chain in a context
+     * @param {BaseAudioContext} context - Audio context that owns the nodes
+     * @param {Object} settings - Initial settings (default: 'studio' preset)
+     */
+    constructor(context, settings = PRESETS.studio) {
+        this.context = context;
+        this.tempo = 120;             // BPM used for synced delay times
+        this.smoothing = 0.02;        // Time constant for parameter changes (seconds)
+        this.maxDelayTime = 2.0;      // seconds
+        
+        this.settings = this.cloneSettings(PRESETS.dry);
+        this.reverbType = null;
+        
+        // Initial settings are set directly; later changes are smoothed to avoid clicks
+        this.isBuilt = false;
+        
+        // Chain input and output
+        this.input = context.createGain();
+        this.output = context.createGain();
+        
+        // Effect slots in signal order
+        this.slots = {
+            eq: this.createEqSlot(),
+            compressor: this.createCompressorSlot(),
+            delay: this.createDelaySlot(),
+            reverb: this.createReverbSlot()
+        };
+        
+        // Wire slots in series
+        const order = ['eq', 'compressor', 'delay', 'reverb'];
+        let previous = this.input;
+        order.forEach(name => {
+            previous.connect(this.slots[name].input);
+            previous = this.slots[name].output;
+        });
+        previous.connect(this.output);
+        
+        this.applySettings(settings);
+        this.isBuilt = true;
+    }
+
+    /**
+     * Set an AudioParam, smoothing the change once the chain is running
+     * @param {AudioParam} param - Parameter to change
+     * @param {number} value - Target value
+     */
+    setParam(param, value) {
+        if (this.isBuilt) {
+            param.setTargetAtTime(value, this.context.currentTime, this.smoothing);
+        } else {
+            param.value = value;
+        }
+    }
+
+    /**
+     * Create a slot with dry and wet paths around a processor
+     * @param {AudioNode} processorInput - First node of the wet path
+     * @param {AudioNode} processorOutput - Last node of the wet path
+     * @returns {Object} Slot with input, output, dry and wet gains
+     */
+    createSlot(processorInput, processorOutput) {
+        const input = this.context.createGain();
+        const output = this.context.createGain();
+        const dry = this.context.createGain();
+        const wet = this.context.createGain();
+        
+        input.connect(dry);
+        dry.connect(output);
+        
+        input.connect(processorInput);
+        processorOutput.connect(wet);
+        wet.connect(output);
+        
+        // Start bypassed until settings are applied
+        dry.gain.value = 1;
+        wet.gain.value = 0;
+        
+        return { input, output, dry, wet };
+    }
+
+    /**
+     * Create 3-band EQ slot (low shelf, peaking mid, high shelf)
+     * @returns {Object} Slot
+     */
+    createEqSlot() {
+        const low = this.context.createBiquadFilter();
+        low.type = 'lowshelf';
+        low.frequency.value = 250;
+        
+        const mid = this.context.createBiquadFilter();
+        mid.type = 'peaking';
+        mid.frequency.value = 1200;
+        mid.Q.value = 0.9;
+        
+        const high = this.context.createBiquadFilter();
+        high.type = 'highshelf';
+        high.frequency.value = 4500;
+        
+        low.connect(mid);
+        mid.connect(high);
+        
+        return { ...this.createSlot(low, high), low, mid, high };
+    }
+
+    /**
+     * Create compressor/limiter slot with makeup gain
+     * @returns {Object} Slot
+     */
+    createCompressorSlot() {
+        const compressor = this.context.createDynamicsCompressor();
+        const makeup = this.context.createGain();
+        
+        compressor.connect(makeup);
+        
+        return { ...this.createSlot(compressor, makeup), compressor, makeup };
+    }
+
+    /**
+     * Create feedback delay slot with a damping filter in the feedback loop
+     * @returns {Object} Slot
+     */
+    createDelaySlot() {
+        const delay = this.context.createDelay(this.maxDelayTime);
+        const feedback = this.context.createGain();
+        const damping = this.context.createBiquadFilter();
+        damping.type = 'lowpass';
+        
+        // delay -> damping -> feedback -> delay
+        delay.connect(damping);
+        damping.connect(feedback);
+        feedback.connect(delay);
+        
+        return { ...this.createSlot(delay, damping), delay, feedback, damping };
+    }
+
+    /**
+     * Create convolution reverb slot
+     * @returns {Object} Slot
+     */
+    createReverbSlot() {
+        const convolver = this.context.createConvolver();
+        return { ...this.createSlot(convolver, convolver), convolver };
+    }
+
+    /**
+     * Generate a stereo impulse response for a reverb type
+     * Decaying noise with early reflections and progressive high-frequency damping
+     * @param {string} type - 'small-room', 'hall' or 'plate'
+     * @returns {AudioBuffer} Impulse response
+     */
+    createImpulseResponse(type) {
+        const shape = REVERB_TYPES[type];
+        const sampleRate = this.context.sampleRate;
+        const duration = shape.preDelay + shape.rt60 * 1.1;
+        const length = Math.ceil(duration * sampleRate);
+        const buffer = this.context.createBuffer(2, length, sampleRate);
+        const preDelaySamples = Math.floor(shape.preDelay * sampleRate);
+        
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            let filtered = 0;
+            
+            for (let i = preDelaySamples; i < length; i++) {
+                const t = (i - preDelaySamples) / sampleRate;
+                const progress = t / (shape.rt60 * 1.1);
+                
+                // -60 dB at rt60
+                const amplitude = Math.pow(10, (-3 * t) / shape.rt60);
+                
+                // One-pole low-pass that closes as the tail goes on
+                const coefficient = 1 - (1 - shape.damping) * progress;
+                filtered += coefficient * ((Math.random() * 2 - 1) - filtered);
+                
+                data[i] = filtered * amplitude;
+            }
+            
+            // Early reflections, slightly offset per channel for width
+            shape.reflections.forEach((reflectionTime, index) => {
+                const offset = channel === 0 ? 0 : 0.0013 * (index + 1);
+                const position = Math.floor((shape.preDelay + reflectionTime + offset) * sampleRate);
+                if (position < length) {
+                    data[position] += (index % 2 === 0 ? 1 : -1) * 0.7 * Math.pow(0.8, index);
+                }
+            });
+        }
+        
+        return buffer;
+    }
+
+    /**
+     * Set slot wet/dry balance: a linear crossfade for EQ and compressor, equal-power for delay and reverb
+     * @param {string} name - Effect name
+     */
+    updateSlotMix(name) {
+        const slot = this.slots[name];
+        const { enabled, mix } = this.settings[name];
+        const linear = LINEAR_MIX_EFFECTS.includes(name);
+        
+        let wetLevel = 0;
+        let dryLevel = 1;
+        if (enabled) {
+            wetLevel = linear ? mix : Math.sin(mix * Math.PI / 2);
+            dryLevel = linear ? 1 - mix : Math.cos(mix * Math.PI / 2);
+        }
+        
+        this.setParam(slot.wet.gain, wetLevel);
+        this.setParam(slot.dry.gain, dryLevel);
+    }
+
+    /**
+     * Push the current parameters of one effect to its nodes
+     * @param {string} name - Effect name
+     */
+    updateSlotParams(name) {
+        const slot = this.slots[name];
+        const params = this.settings[name];
+        
+        switch (name) {
+            case 'eq':
+                this.setParam(slot.low.gain, params.low);
+                this.setParam(slot.mid.gain, params.mid);
+                this.setParam(slot.high.gain, params.high);
+                break;
+            
+            case 'compressor': {
+                // Limiter mode: hard knee, very high ratio, fastest attack
+                const isLimiter = params.mode === 'limiter';
+                this.setParam(slot.compressor.threshold, params.threshold);
+                this.setParam(slot.compressor.ratio, isLimiter ? 20 : params.ratio);
+                this.setParam(slot.compressor.knee, isLimiter ? 0 : 6);
+                this.setParam(slot.compressor.attack, isLimiter ? 0.001 : params.attack);
+                this.setParam(slot.compressor.release, params.release);
+                this.setParam(slot.makeup.gain, Math.pow(10, params.makeup / 20));
+                break;
+            }
+            
+            case 'delay':
+                this.setParam(slot.delay.delayTime, this.getDelayTime());
+                this.setParam(slot.feedback.gain, params.feedback);
+                this.setParam(slot.damping.frequency, params.damping);
+                break;
+            
+            case 'reverb':
+                // Regenerating an impulse response is expensive, only do it when the type changes
+                if (params.type !== this.reverbType) {
+                    slot.convolver.buffer = this.createImpulseResponse(params.type);
+                    this.reverbType = params.type;
+                }
+                break;
+        }
+    }
+
+    /**
+     * Get the effective delay time
+     * Synced divisions follow the tempo; 'free' uses the fixed time
+     * @returns {number} Delay time in seconds
+     */
+    getDelayTime() {
+        const params = this.settings.delay;
+        const beats = DELAY_DIVISIONS[params.division];
+        const time = beats !== undefined ? (60 / this.tempo) * beats : params.time;
+        return Math.max(0.001, Math.min(this.maxDelayTime, time));
+    }
+
+    /**
+     * Validate a partial effect settings update
+     * @param {string} name - Effect name
+     * @param {Object} params - Settings to validate
+     * @returns {boolean} True if valid
+     */
+    validateParams(name, params) {
+        if (params.mix !== undefined && !(params.mix >= 0 && params.mix <= 1)) {
+            return false;
+        }
+        
+        switch (name) {
+            case 'reverb':
+                return params.type === undefined || REVERB_TYPES[params.type] !== undefined;
+            case 'delay':
+                return (params.division === undefined ||
+                        params.division === 'free' ||
+                        DELAY_DIVISIONS[params.division] !== undefined) &&
+                       (params.feedback === undefined || (params.feedback >= 0 && params.feedback < 1)) &&
+                       (params.time === undefined || (params.time > 0 && params.time <= this.maxDelayTime));
+            case 'compressor':
+                return params.mode === undefined || params.mode === 'compressor' || params.mode === 'limiter';
+            case 'eq':
+                return ['low', 'mid', 'high'].every(band =>
+                    params[band] === undefined || (params[band] >= -24 && params[band] <= 24)
+                );
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Update settings for one effect
+     * @param {string} name - 'eq', 'compressor', 'delay' or 'reverb'
+     * @param {Object} params - Partial settings (enabled, mix and effect-specific values)
+     * @returns {boolean} Success status
+     */
+    setEffect(name, params) {
+        if (!this.slots[name] || !params || !this.validateParams(name, params)) {
+            console.warn(`Invalid settings for effect: ${name}`);
+            return false;
+        }
+        
+        this.settings[name] = { ...this.settings[name], ...params };
+        this.updateSlotParams(name);
+        this.updateSlotMix(name);
+        return true;
+    }
+
+    /**
+     * Apply complete or partial settings for several effects
+     * @param {Object} settings - Settings keyed by effect name
+     */
+    applySettings(settings) {
+        Object.keys(this.slots).forEach(name => {
+            if (settings[name]) {
+                this.setEffect(name, settings[name]);
+            }
+        });
+    }
+
+    /**
+     * Apply a named preset
+     * @param {string} presetName - Preset key
+     * @returns {boolean} Success status
+     */
+    applyPreset(presetName) {
+        const preset = PRESETS[presetName];
+        if (!preset) {
+            console.warn(`Unknown effects preset: ${presetName}`);
+            return false;
+        }
+        
+        this.applySettings(preset);
+        return true;
+    }
+
+    /**
+     * Set tempo for synced delay times
+     * @param {number} bpm - Beats per minute
+     */
+    setTempo(bpm) {
+        if (bpm >= 20 && bpm <= 300) {
+            this.tempo = bpm;
+            this.updateSlotParams('delay');
+        } else {
+            console.warn('Invalid tempo, must be between 20 and 300 BPM');
+        }
+    }
+
+    /**
+     * Get a copy of the current settings
+     * @returns {Object} Settings keyed by effect name
+     */
+    getSettings() {
+        return this.cloneSettings(this.settings);
+    }
+
+    /**
+     * Copy settings for all effects
+     * @param {Object} settings - Settings keyed by effect name
+     * @returns {Object} Copy
+     */
+    cloneSettings(settings) {
+        const copy = {};
+        Object.keys(settings).forEach(name => {
+            if (typeof settings[name] === 'object') {
+                copy[name] = { ...settings[name] };
+            }
+        });
+        return copy;
+    }
+
+    /**
+     * Connect chain output to a destination
+     * @param {AudioNode} destination - Node to connect to
+     */
+    connect(destination) {
+        this.output.connect(destination);
+    }
+
+    /**
+     * Disconnect every node in the chain
+     */
+    dispose() {
+        this.input.disconnect();
+        this.output.disconnect();
+        Object.values(this.slots).forEach(slot => {
+            Object.values(slot).forEach(node => node.disconnect());
+        });
+    }
+}
+
+// Preset, reverb and delay tables for UI and validation
+EffectsChain.presets = PRESETS;
+EffectsChain.reverbTypes = Object.keys(REVERB_TYPES);
+EffectsChain.delayDivisions = Object.keys(DELAY_DIVISIONS);
+
+export default EffectsChain;
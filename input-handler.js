@@ -6,6 +6,10 @@
 
 import xylophone from './xylophone.js';
 import visualFeedback from './visual-feedback.js';
+import scheduler from './scheduler.js';
+import barRenderer from './bar-renderer.js';
+import chords from './chords.js';
+import arpeggiator from './arpeggiator.js';
 
 class InputHandler {
     constructor() {
@@ -18,12 +22,41 @@ class InputHandler {
         this.touchTimeout = null;
         this.touchDebounceTime = 300; // ms to ignore mouse after touch
         
-        // Keyboard repeat prevention
+        // Keyboard repeat prevention (by key code, so Shift cannot retrigger a held key)
         this.keysCurrentlyPressed = new Set();
         
+        // Held Space works as a sustain pedal
+        this.sustainKey = 'Space';
+        
+        // Note ids of live strikes not yet released, by struck bar (a chord strike holds several)
+        this.heldNotes = new Map();
+        
+        // Velocity configuration
+        this.keyVelocity = 0.8;        // Raw velocity for a normal key press
+        this.accentVelocity = 1.0;     // Raw velocity for a key pressed with Shift
+        this.edgeVelocity = 0.5;       // Fraction of velocity left when striking the very end of a bar
+        this.velocityCurve = 'linear'; // Curve applied to every raw velocity
+        
+        // Velocity curves map raw input (0-1) to playback velocity (0-1)
+        this.velocityCurves = {
+            linear: (value) => value,
+            soft: (value) => Math.sqrt(value),   // Light touches come out louder
+            hard: (value) => value * value,      // Needs firm strikes for full volume
+            fixed: () => 1.0                     // Ignore dynamics entirely
+        };
+        this.velocityCurveLabels = {
+            linear: 'Linear',
+            soft: 'Soft',
+            hard: 'Hard',
+            fixed: 'Fixed'
+        };
+        
         // Event listeners storage for cleanup
         this.listeners = [];
         
+        // Per-bar listeners, replaced whenever the bars are re-rendered
+        this.barListeners = [];
+        
         // Bar elements cache
         this.barElements = [];
     }
@@ -33,34 +66,62 @@ class InputHandler {
      * Sets up all event listeners for mouse, touch, and keyboard
      */
     initialize() {
-        // Cache bar elements
-        this.barElements = Array.from(document.querySelectorAll('.bar'));
+        // Cache bar elements and set up mouse and touch listeners
+        this.bindBars();
         
         if (this.barElements.length === 0) {
             console.error('No xylophone bars found in DOM');
             return false;
         }
-
-        // Set up mouse event listeners
-        this.setupMouseEvents();
-        
-        // Set up touch event listeners
-        this.setupTouchEvents();
         
         // Set up keyboard event listeners
         this.setupKeyboardEvents();
         
+        // Arpeggiator steps play like struck bars, so they light up and are recorded
+        arpeggiator.setOutput((noteIndex, velocity, time, semitones) => {
+            this.handleBarActivation(noteIndex, velocity, { time, semitones });
+        });
+        
+        // Rebind when accidental bars are added or removed
+        const barsChangedHandler = () => this.bindBars();
+        document.addEventListener('barsChanged', barsChangedHandler);
+        this.listeners.push({ element: document, event: 'barsChanged', handler: barsChangedHandler });
+        
         console.log('Input handler initialized');
         return true;
     }
 
+    /**
+     * Cache bar elements (indexed by note) and attach mouse and touch listeners to them
+     * Listeners on previously cached bars are removed first
+     */
+    bindBars() {
+        this.barListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.barListeners = [];
+        
+        this.barElements = barRenderer.getBarElements();
+        
+        // Set up mouse event listeners
+        this.setupMouseEvents();
+        
+        // Set up touch event listeners
+        this.setupTouchEvents();
+    }
+
     /**
      * Set up mouse event listeners for each bar
+     * Uses pointerdown so pen pressure is available; touch pointers are left to the touch handlers
      */
     setupMouseEvents() {
         this.barElements.forEach((bar, index) => {
-            // Mouse click handler
-            const clickHandler = (event) => {
+            // Mouse/pen press handler
+            const pointerDownHandler = (event) => {
+                if (event.pointerType === 'touch') {
+                    return;
+                }
+                
                 event.preventDefault();
                 
                 // Ignore mouse events shortly after touch (hybrid device handling)
@@ -68,7 +129,8 @@ class InputHandler {
                     return;
                 }
                 
-                this.handleBarActivation(index);
+                const velocity = this.getPointerVelocity(bar, event.clientY, this.getPointerPressure(event));
+                this.strikeBar(index, velocity);
             };
             
             // Mouse enter handler for hover effects (optional enhancement)
@@ -83,13 +145,28 @@ class InputHandler {
                 bar.classList.remove('hover');
             };
             
-            bar.addEventListener('click', clickHandler);
+            // Release handler - letting go of a bar, sliding off it with the button down,
+            // or the browser taking the pointer over (a scroll gesture, say)
+            const pointerReleaseHandler = (event) => {
+                if (event.pointerType === 'touch' || (event.type === 'pointerleave' && event.buttons === 0)) {
+                    return;
+                }
+                this.releaseBar(index);
+            };
+            
+            bar.addEventListener('pointerdown', pointerDownHandler);
+            bar.addEventListener('pointerup', pointerReleaseHandler);
+            bar.addEventListener('pointerleave', pointerReleaseHandler);
+            bar.addEventListener('pointercancel', pointerReleaseHandler);
             bar.addEventListener('mouseenter', mouseEnterHandler);
             bar.addEventListener('mouseleave', mouseLeaveHandler);
             
             // Store listeners for cleanup
-            this.listeners.push(
-                { element: bar, event: 'click', handler: clickHandler },
+            this.barListeners.push(
+                { element: bar, event: 'pointerdown', handler: pointerDownHandler },
+                { element: bar, event: 'pointerup', handler: pointerReleaseHandler },
+                { element: bar, event: 'pointerleave', handler: pointerReleaseHandler },
+                { element: bar, event: 'pointercancel', handler: pointerReleaseHandler },
                 { element: bar, event: 'mouseenter', handler: mouseEnterHandler },
                 { element: bar, event: 'mouseleave', handler: mouseLeaveHandler }
             );
@@ -118,21 +195,29 @@ class InputHandler {
                     this.touchActive = false;
                 }, this.touchDebounceTime);
                 
-                this.handleBarActivation(index);
+                // Touch.force is 0 on devices without pressure sensing
+                const touch = event.changedTouches[0];
+                const pressure = touch && touch.force > 0 ? touch.force : null;
+                const clientY = touch ? touch.clientY : null;
+                
+                this.strikeBar(index, this.getPointerVelocity(bar, clientY, pressure));
             };
             
-            // Touch end handler
+            // Touch end handler, also for touches the browser cancels
             const touchEndHandler = (event) => {
                 event.preventDefault();
+                this.releaseBar(index);
             };
             
             bar.addEventListener('touchstart', touchStartHandler, { passive: false });
             bar.addEventListener('touchend', touchEndHandler, { passive: false });
+            bar.addEventListener('touchcancel', touchEndHandler, { passive: false });
             
             // Store listeners for cleanup
-            this.listeners.push(
+            this.barListeners.push(
                 { element: bar, event: 'touchstart', handler: touchStartHandler },
-                { element: bar, event: 'touchend', handler: touchEndHandler }
+                { element: bar, event: 'touchend', handler: touchEndHandler },
+                { element: bar, event: 'touchcancel', handler: touchEndHandler }
             );
         });
     }
@@ -142,8 +227,36 @@ class InputHandler {
      */
     setupKeyboardEvents() {
         // Keydown handler
+        // Keys are matched by physical position (event.code), whatever the keyboard layout
         const keyDownHandler = (event) => {
-            const key = event.key;
+            const key = event.code;
+            if (!key) {
+                return;
+            }
+            
+            // Sustain pedal is down while the key is held, except on buttons and form fields,
+            // where Space keeps pressing and ticking them
+            if (key === this.sustainKey) {
+                if (this.isFormControl(event.target)) {
+                    return;
+                }
+                
+                event.preventDefault();
+                this.keysCurrentlyPressed.add(key);
+                xylophone.setSustain(true);
+                return;
+            }
+            
+            // Octave shift keys step once per press
+            const octaveStep = xylophone.getOctaveStepForKey(key);
+            if (octaveStep !== null) {
+                event.preventDefault();
+                if (!this.keysCurrentlyPressed.has(key)) {
+                    this.keysCurrentlyPressed.add(key);
+                    xylophone.shiftOctave(octaveStep);
+                }
+                return;
+            }
             
             // Check if key is mapped to a note
             const noteIndex = xylophone.getNoteIndexForKey(key);
@@ -171,34 +284,179 @@ class InputHandler {
             this.keysCurrentlyPressed.add(key);
             this.lastKeyPress.set(key, now);
             
-            // Activate the corresponding bar
-            this.handleBarActivation(noteIndex);
+            // Activate the corresponding bar (Shift plays an accent)
+            const rawVelocity = event.shiftKey ? this.accentVelocity : this.keyVelocity;
+            this.strikeBar(noteIndex, this.applyVelocityCurve(rawVelocity));
         };
         
         // Keyup handler
         const keyUpHandler = (event) => {
-            const key = event.key;
+            const key = event.code;
             
             // Remove key from currently pressed set
-            this.keysCurrentlyPressed.delete(key);
+            const wasPressed = this.keysCurrentlyPressed.delete(key);
+            
+            // Only a Space that went down as the pedal lifts it
+            if (key === this.sustainKey) {
+                if (wasPressed) {
+                    event.preventDefault();
+                    xylophone.setSustain(false);
+                }
+                return;
+            }
+            
+            const noteIndex = xylophone.getNoteIndexForKey(key);
+            if (noteIndex !== null) {
+                this.releaseBar(noteIndex);
+            }
         };
         
+        // Keys and bars let go in another window never send their release here
+        const blurHandler = () => this.releaseAll();
+        
         document.addEventListener('keydown', keyDownHandler);
         document.addEventListener('keyup', keyUpHandler);
+        window.addEventListener('blur', blurHandler);
         
         // Store listeners for cleanup
         this.listeners.push(
             { element: document, event: 'keydown', handler: keyDownHandler },
-            { element: document, event: 'keyup', handler: keyUpHandler }
+            { element: document, event: 'keyup', handler: keyUpHandler },
+            { element: window, event: 'blur', handler: blurHandler }
         );
     }
 
+    /**
+     * Get pressure reading from a pointer event
+     * @param {PointerEvent} event - Pointer event
+     * @returns {number|null} Pressure (0-1) or null if the device does not report it
+     */
+    getPointerPressure(event) {
+        // Mice report a constant 0.5 while a button is held, which carries no information
+        if (event.pointerType === 'mouse' || !event.pressure || event.pressure === 0.5) {
+            return null;
+        }
+        return event.pressure;
+    }
+
+    /**
+     * Compute velocity for a pointer or touch strike
+     * Combines pressure (when available) with strike position: the center of a bar
+     * sounds fullest, the ends weaker
+     * @param {HTMLElement} bar - Struck bar element
+     * @param {number|null} clientY - Vertical strike position in viewport coordinates
+     * @param {number|null} pressure - Pressure (0-1), or null if unavailable
+     * @returns {number} Velocity after curve (0-1)
+     */
+    getPointerVelocity(bar, clientY, pressure) {
+        let rawVelocity = pressure !== null ? pressure : 1.0;
+        
+        if (clientY !== null) {
+            const rect = bar.getBoundingClientRect();
+            if (rect.height > 0) {
+                // 0 at the center of the bar, 1 at either end
+                const offset = Math.min(1, Math.abs(clientY - (rect.top + rect.height / 2)) / (rect.height / 2));
+                rawVelocity *= 1 - offset * (1 - this.edgeVelocity);
+            }
+        }
+        
+        return this.applyVelocityCurve(rawVelocity);
+    }
+
+    /**
+     * Map raw velocity through the configured velocity curve
+     * @param {number} rawVelocity - Raw velocity (0-1)
+     * @returns {number} Curved velocity (0-1)
+     */
+    applyVelocityCurve(rawVelocity) {
+        const clamped = Math.max(0, Math.min(1, rawVelocity));
+        return this.velocityCurves[this.velocityCurve](clamped);
+    }
+
+    /**
+     * Strike a bar from live input (mouse, touch or keyboard)
+     * In chord mode a natural bar plays the chord built on it, and with the arpeggiator on the bar
+     * (or chord) joins the arpeggio instead of sounding at once; every note goes through
+     * handleBarActivation(), so it sounds, lights up and is recorded as a note of its own
+     * The notes ring until the bar is released (see releaseBar())
+     * @param {number} noteIndex - Index of the struck bar
+     * @param {number} velocity - Strike strength (0-1)
+     */
+    strikeBar(noteIndex, velocity) {
+        const noteIndices = chords.getChordNotes(noteIndex);
+        
+        // The arpeggiator plays held bars itself, one at a time
+        if (arpeggiator.isEnabled()) {
+            arpeggiator.noteOn(noteIndex, noteIndices, velocity);
+            return;
+        }
+        
+        // A bar struck again before it was let go (by a second finger, say) releases its earlier strike
+        this.releaseBar(noteIndex);
+        
+        const noteIds = noteIndices.map(() => xylophone.createNoteId());
+        this.heldNotes.set(noteIndex, noteIds);
+        
+        const strum = chords.getStrum() / 1000;
+        const now = scheduler.getCurrentTime();
+        
+        noteIndices.forEach((index, position) => {
+            const noteId = noteIds[position];
+            
+            // Strummed notes follow the lowest on the audio clock
+            if (position > 0 && strum > 0 && now !== null) {
+                this.handleBarActivation(index, velocity, { time: now + position * strum, noteId });
+            } else {
+                this.handleBarActivation(index, velocity, { noteId });
+            }
+        });
+    }
+
+    /**
+     * Release a bar from live input
+     * Its notes are damped (or left to the sustain pedal), and it leaves the arpeggio
+     * @param {number} noteIndex - Index of the released bar
+     */
+    releaseBar(noteIndex) {
+        if (arpeggiator.isEnabled()) {
+            arpeggiator.noteOff(noteIndex);
+        }
+        
+        const noteIds = this.heldNotes.get(noteIndex);
+        if (noteIds) {
+            this.heldNotes.delete(noteIndex);
+            noteIds.forEach(noteId => xylophone.releaseNote(noteId));
+        }
+    }
+
+    /**
+     * Release every held bar and key, and lift the sustain pedal if Space is holding it
+     * Used when the window loses focus, as the matching keyup and pointer events then never arrive
+     */
+    releaseAll() {
+        arpeggiator.releaseAll();
+        [...this.heldNotes.keys()].forEach(noteIndex => this.releaseBar(noteIndex));
+        
+        if (this.keysCurrentlyPressed.has(this.sustainKey)) {
+            xylophone.setSustain(false);
+        }
+        this.keysCurrentlyPressed.clear();
+    }
+
     /**
      * Handle bar activation (from any input source)
      * Coordinates note playing and visual feedback
      * @param {number} noteIndex - Index of note/bar to activate
+     * @param {number} velocity - Strike strength (0-1, default: 1.0)
+     * @param {Object} options - Optional settings
+     * @param {number} options.time - Audio context time to strike at (default: now)
+     * @param {string} options.instrument - Instrument preset to play with (default: current)
+     * @param {number} options.noteId - Id of a live note that rings until released
+     * @param {number} options.duration - Seconds before the note is damped (recorded notes)
+     * @param {string} options.source - What played the note, passed on with `notePlayed` (default: 'live')
+     * @param {number} options.semitones - Extra transposition for this note only (arpeggiator octave copies)
      */
-    handleBarActivation(noteIndex) {
+    handleBarActivation(noteIndex, velocity = 1.0, options = {}) {
         // Validate note index
         if (!xylophone.isValidNoteIndex(noteIndex)) {
             console.warn(`Invalid note index: ${noteIndex}`);
@@ -206,33 +464,72 @@ class InputHandler {
         }
 
         // Play the note
-        const success = xylophone.playNote(noteIndex);
+        const success = xylophone.playNote(noteIndex, velocity, options);
         
         if (success) {
-            // Trigger visual feedback
-            visualFeedback.activateBar(noteIndex);
+            const instrument = options.instrument || xylophone.getInstrument();
+            const notify = () => {
+                // Trigger visual feedback
+                visualFeedback.activateBar(noteIndex, velocity);
+                
+                // Emit custom event for other modules (e.g., recording)
+                this.emitNoteEvent(noteIndex, velocity, instrument, options.noteId, options.source, options.semitones);
+            };
             
-            // Emit custom event for other modules (e.g., recording)
-            this.emitNoteEvent(noteIndex);
+            // Scheduled notes light up when they are heard, not when they are queued
+            if (options.time !== undefined) {
+                scheduler.runAtTime(options.time, notify);
+            } else {
+                notify();
+            }
         }
     }
 
     /**
      * Emit custom event when note is played
      * @param {number} noteIndex - Index of played note
+     * @param {number} velocity - Strike strength (0-1)
+     * @param {string} instrument - Instrument preset the note was played with
+     * @param {number} noteId - Id of a live note, matched by its `noteReleased` event (default: none)
+     * @param {string} source - 'live' for notes played now, 'playback' for a recording played back
+     * @param {number} semitones - Transposition of this note past its bar (default: 0)
      */
-    emitNoteEvent(noteIndex) {
+    emitNoteEvent(noteIndex, velocity, instrument, noteId = null, source = 'live', semitones = 0) {
+        const noteInfo = xylophone.getNoteInfo(noteIndex);
         const event = new CustomEvent('notePlayed', {
             detail: {
                 noteIndex: noteIndex,
+                velocity: velocity,
+                instrument: instrument,
+                noteId: noteId !== undefined ? noteId : null,
+                source: source || 'live',
+                semitones: semitones || 0,
                 timestamp: Date.now(),
-                noteInfo: xylophone.getNoteInfo(noteIndex)
+                displayName: noteInfo ? noteInfo.displayName : null,   // Name in the current naming system
+                noteInfo: noteInfo
             }
         });
         
         document.dispatchEvent(event);
     }
 
+    /**
+     * Check whether an element handles Space itself
+     * @param {EventTarget} element - Event target
+     * @returns {boolean} True for buttons, links, form fields and editable text
+     */
+    isFormControl(element) {
+        if (!element || !element.tagName) {
+            return false;
+        }
+        
+        if (element.isContentEditable) {
+            return true;
+        }
+        
+        return ['BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'A', 'LABEL'].includes(element.tagName);
+    }
+
     /**
      * Get bar element by note index
      * @param {number} noteIndex - Index of note
@@ -247,10 +544,13 @@ class InputHandler {
 
     /**
      * Programmatically trigger a bar (for playback/demo)
+     * Velocity is used as-is; the velocity curve only shapes live input
      * @param {number} noteIndex - Index of note to trigger
+     * @param {number} velocity - Strike strength (0-1, default: 1.0)
+     * @param {Object} options - Optional settings (time, instrument, duration, semitones), see handleBarActivation()
      */
-    triggerBar(noteIndex) {
-        this.handleBarActivation(noteIndex);
+    triggerBar(noteIndex, velocity = 1.0, options = {}) {
+        this.handleBarActivation(noteIndex, velocity, options);
     }
 
     /**
@@ -273,9 +573,51 @@ class InputHandler {
         return this.keyDebounceTime;
     }
 
+    /**
+     * Set velocity curve
+     * @param {string} curve - Curve name: 'linear', 'soft', 'hard' or 'fixed'
+     */
+    setVelocityCurve(curve) {
+        if (this.velocityCurves[curve]) {
+            this.velocityCurve = curve;
+        } else {
+            console.warn(`Invalid velocity curve, must be one of: ${Object.keys(this.velocityCurves).join(', ')}`);
+        }
+    }
+
+    /**
+     * Get velocity curve
+     * @returns {string} Curve name
+     */
+    getVelocityCurve() {
+        return this.velocityCurve;
+    }
+
+    /**
+     * List velocity curves
+     * @returns {Array} Array of {id, label} objects
+     */
+    getVelocityCurves() {
+        return Object.keys(this.velocityCurves).map(id => ({ id, label: this.velocityCurveLabels[id] }));
+    }
+
+    /**
+     * Set raw velocity for normal and accented (Shift) key presses
+     * @param {number} keyVelocity - Raw velocity for a normal key press (0-1)
+     * @param {number} accentVelocity - Raw velocity with Shift held (0-1)
+     */
+    setKeyVelocity(keyVelocity, accentVelocity = this.accentVelocity) {
+        if (keyVelocity >= 0 && keyVelocity <= 1 && accentVelocity >= 0 && accentVelocity <= 1) {
+            this.keyVelocity = keyVelocity;
+            this.accentVelocity = accentVelocity;
+        } else {
+            console.warn('Invalid key velocity, must be between 0 and 1');
+        }
+    }
+
     /**
      * Check if a key is currently pressed
-     * @param {string} key - Key to check
+     * @param {string} key - Key code to check
      * @returns {boolean} True if key is pressed
      */
     isKeyPressed(key) {
@@ -284,7 +626,7 @@ class InputHandler {
 
     /**
      * Get all currently pressed keys
-     * @returns {Array} Array of pressed keys
+     * @returns {Array} Array of pressed key codes
      */
     getPressedKeys() {
         return Array.from(this.keysCurrentlyPressed);
@@ -311,12 +653,13 @@ class InputHandler {
      */
     dispose() {
         // Remove all event listeners
-        this.listeners.forEach(({ element, event, handler }) => {
+        [...this.listeners, ...this.barListeners].forEach(({ element, event, handler }) => {
             element.removeEventListener(event, handler);
         });
         
-        // Clear listeners array
+        // Clear listeners arrays
         this.listeners = [];
+        this.barListeners = [];
         
         // Clear touch timeout
         if (this.touchTimeout) {
@@ -324,7 +667,13 @@ class InputHandler {
             this.touchTimeout = null;
         }
         
-        // Clear state
+        // Stop the arpeggio and disconnect it
+        arpeggiator.reset();
+        arpeggiator.setOutput(null);
+        
+        // Clear state; lifting the pedal damps anything it was holding
+        xylophone.setSustain(false);
+        this.heldNotes.clear();
         this.keysCurrentlyPressed.clear();
         this.lastKeyPress.clear();
         this.barElements = [];
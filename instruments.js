@@ -0,0 +1,140 @@
+/**
+ * Instruments Module
+ * Preset library of mallet instruments for the modal voice
+ * Each preset defines its partials, envelope, playable range, mallet character
+ * and optional extras such as the vibraphone's tremolo motor
+ */
+
+// Ranges are MIDI note numbers of the sounding pitch
+const PRESETS = {
+    xylophone: {
+        label: 'Xylophone',
+        // Rosewood bar: first overtone tuned to a twelfth, upper modes inharmonic
+        partials: [
+            { ratio: 1.0,  gain: 1.0,  decay: 1.6 },
+            { ratio: 3.0,  gain: 0.5,  decay: 0.6 },
+            { ratio: 6.24, gain: 0.2,  decay: 0.25 },
+            { ratio: 10.3, gain: 0.08, decay: 0.1 }
+        ],
+        envelope: { attack: 0.002, release: 0.3 },
+        range: { low: 53, high: 96 },          // F3 - C7
+        mallet: { gain: 0.35, duration: 0.02, filterFrequency: 2500, q: 0.8 },   // Hard rubber
+        tremolo: null
+    },
+    marimba: {
+        label: 'Marimba',
+        // Deeper arch-cut bars tuned to the double octave and the tenth harmonic
+        partials: [
+            { ratio: 1.0,  gain: 1.0,  decay: 2.4 },
+            { ratio: 3.98, gain: 0.3,  decay: 0.7 },
+            { ratio: 9.92, gain: 0.07, decay: 0.18 }
+        ],
+        envelope: { attack: 0.004, release: 0.4 },
+        range: { low: 45, high: 96 },          // A2 - C7
+        mallet: { gain: 0.12, duration: 0.03, filterFrequency: 900, q: 0.6 },    // Soft yarn
+        tremolo: null
+    },
+    vibraphone: {
+        label: 'Vibraphone',
+        // Aluminium bars tuned 1:4:10 with a long, pure ring
+        partials: [
+            { ratio: 1.0,  gain: 1.0,  decay: 5.0 },
+            { ratio: 4.0,  gain: 0.25, decay: 1.6 },
+            { ratio: 10.0, gain: 0.05, decay: 0.4 }
+        ],
+        envelope: { attack: 0.003, release: 0.6 },
+        range: { low: 53, high: 89 },          // F3 - F6
+        mallet: { gain: 0.1, duration: 0.025, filterFrequency: 1500, q: 0.7 },   // Cord-wound
+        tremolo: { rate: 5.5, depth: 0.45 }    // Motor-driven resonator fans (Hz, 0-1)
+    },
+    glockenspiel: {
+        label: 'Glockenspiel',
+        // Free steel bar: untuned inharmonic modes, very long ring
+        partials: [
+            { ratio: 1.0,  gain: 1.0,  decay: 3.5 },
+            { ratio: 2.76, gain: 0.45, decay: 1.6 },
+            { ratio: 5.40, gain: 0.25, decay: 0.8 },
+            { ratio: 8.93, gain: 0.12, decay: 0.35 }
+        ],
+        envelope: { attack: 0.001, release: 0.5 },
+        range: { low: 67, high: 108 },         // G4 - C8
+        mallet: { gain: 0.45, duration: 0.012, filterFrequency: 6000, q: 1.0 },  // Brass
+        tremolo: null
+    },
+    celesta: {
+        label: 'Celesta',
+        // Felt hammers on steel plates over wooden resonators: soft, nearly harmonic
+        partials: [
+            { ratio: 1.0,  gain: 1.0,  decay: 1.8 },
+            { ratio: 2.0,  gain: 0.3,  decay: 0.9 },
+            { ratio: 3.01, gain: 0.12, decay: 0.45 },
+            { ratio: 4.2,  gain: 0.05, decay: 0.2 }
+        ],
+        envelope: { attack: 0.004, release: 0.35 },
+        range: { low: 60, high: 108 },         // C4 - C8
+        mallet: { gain: 0.08, duration: 0.02, filterFrequency: 1800, q: 0.5 },   // Felt hammer
+        tremolo: null
+    },
+    'steel-pan': {
+        label: 'Steel Pan',
+        // Tenor pan note areas are tuned to fundamental, octave and twelfth
+        partials: [
+            { ratio: 1.0,  gain: 1.0,  decay: 1.4 },
+            { ratio: 2.0,  gain: 0.7,  decay: 1.0 },
+            { ratio: 3.0,  gain: 0.35, decay: 0.6 },
+            { ratio: 4.02, gain: 0.12, decay: 0.3 }
+        ],
+        envelope: { attack: 0.006, release: 0.35 },
+        range: { low: 62, high: 90 },          // D4 - F#6
+        mallet: { gain: 0.15, duration: 0.015, filterFrequency: 1200, q: 0.9 },  // Rubber-tipped stick
+        tremolo: null
+    }
+};
+
+class Instruments {
+    constructor() {
+        this.defaultInstrument = 'xylophone';
+    }
+
+    /**
+     * Check whether an instrument preset exists
+     * @param {string} instrumentId - Preset key
+     * @returns {boolean} True if the preset exists
+     */
+    has(instrumentId) {
+        return Object.prototype.hasOwnProperty.call(PRESETS, instrumentId);
+    }
+
+    /**
+     * Get a copy of an instrument preset
+     * @param {string} instrumentId - Preset key
+     * @returns {Object|null} Preset copy or null if unknown
+     */
+    get(instrumentId) {
+        if (!this.has(instrumentId)) {
+            return null;
+        }
+        
+        const preset = PRESETS[instrumentId];
+        return {
+            id: instrumentId,
+            label: preset.label,
+            partials: preset.partials.map(partial => ({ ...partial })),
+            envelope: { ...preset.envelope },
+            range: { ...preset.range },
+            mallet: { ...preset.mallet },
+            tremolo: preset.tremolo ? { ...preset.tremolo } : null
+        };
+    }
+
+    /**
+     * List available instruments
+     * @returns {Array} Array of {id, label} objects
+     */
+    list() {
+        return Object.entries(PRESETS).map(([id, preset]) => ({ id, label: preset.label }));
+    }
+}
+
+// Export singleton instance
+export default new Instruments();
@@ -0,0 +1,468 @@
+/**
+ * Key Map Editor Module
+ * In-app editor for the keyboard bindings: pick a bar, the gap above it or an octave key,
+ * then press the key that should play it
+ * Detects keys that are already in use, restores the defaults and keeps custom maps in localStorage
+ */
+
+import xylophone from './xylophone.js';
+
+class KeyMapEditor {
+    constructor() {
+        // Editor elements (all optional)
+        this.layoutSelect = null;
+        this.editBtn = null;
+        this.resetBtn = null;
+        this.panel = null;
+        this.status = null;
+        
+        // localStorage entry holding { layout, bindings }
+        this.storageKey = 'xylophone-key-map';
+        
+        // Keys the editor keeps for itself while waiting for a key
+        this.cancelKey = 'Escape';
+        this.clearKeys = ['Backspace', 'Delete'];
+        // (Space is the sustain pedal)
+        this.reservedKeys = ['Tab', 'ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight',
+            'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight', 'CapsLock', 'Space'];
+        
+        // Binding being edited as { type: 'natural' | 'accidental' | 'upperAccidental' | 'octave', value }, or null
+        this.activeTarget = null;
+        
+        // Key that is already in use, waiting for a second press to move it
+        this.pendingConflict = null;
+        
+        // Maps editor targets to the key binding maps
+        this.bindingMaps = {
+            natural: 'naturals',
+            accidental: 'accidentals',
+            upperAccidental: 'upperAccidentals',
+            octave: 'octave'
+        };
+        
+        // Event listeners storage for cleanup
+        this.listeners = [];
+        
+        this.isInitialized = false;
+    }
+
+    /**
+     * Initialize the editor
+     * Saved bindings are restored even when the editor elements are missing
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        this.loadSaved();
+        
+        this.layoutSelect = document.getElementById('keyboard-layout');
+        this.editBtn = document.getElementById('edit-keys');
+        this.resetBtn = document.getElementById('reset-keys');
+        this.panel = document.getElementById('key-map-editor');
+        this.status = document.getElementById('key-map-status');
+        
+        if (this.layoutSelect) {
+            this.layoutSelect.innerHTML = '';
+            xylophone.getKeyboardLayouts().forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                this.layoutSelect.appendChild(option);
+            });
+            this.layoutSelect.value = xylophone.getKeyboardLayout();
+            
+            const layoutHandler = (event) => {
+                if (xylophone.setKeyboardLayout(event.target.value)) {
+                    this.save();
+                }
+            };
+            
+            this.layoutSelect.addEventListener('change', layoutHandler);
+            this.listeners.push({ element: this.layoutSelect, event: 'change', handler: layoutHandler });
+        }
+        
+        if (!this.panel) {
+            console.warn('Key map editor not found, key bindings cannot be edited');
+            return false;
+        }
+        
+        if (this.editBtn) {
+            const editHandler = () => {
+                this.setOpen(this.panel.hidden);
+            };
+            
+            this.editBtn.addEventListener('click', editHandler);
+            this.listeners.push({ element: this.editBtn, event: 'click', handler: editHandler });
+        }
+        
+        if (this.resetBtn) {
+            const resetHandler = () => {
+                this.resetBindings();
+            };
+            
+            this.resetBtn.addEventListener('click', resetHandler);
+            this.listeners.push({ element: this.resetBtn, event: 'click', handler: resetHandler });
+        }
+        
+        // Capture on window so the key reaches the editor before the input handler plays it
+        const keyDownHandler = (event) => this.handleKeyDown(event);
+        window.addEventListener('keydown', keyDownHandler, true);
+        this.listeners.push({ element: window, event: 'keydown', handler: keyDownHandler, capture: true });
+        
+        // Bar names and the number of bars follow the note table
+        const renderHandler = () => this.renderPanel();
+        
+        ['keyMapChanged', 'scaleChanged'].forEach(eventName => {
+            document.addEventListener(eventName, renderHandler);
+            this.listeners.push({ element: document, event: eventName, handler: renderHandler });
+        });
+        
+        this.renderPanel();
+        
+        this.isInitialized = true;
+        console.log('Key map editor initialized');
+        return true;
+    }
+
+    /**
+     * Show or hide the list of bindings
+     * Hiding it stops waiting for a key
+     * @param {boolean} open - True to show the editor
+     */
+    setOpen(open) {
+        if (!this.panel) {
+            return;
+        }
+        
+        this.panel.hidden = !open;
+        
+        if (this.editBtn) {
+            this.editBtn.setAttribute('aria-expanded', String(open));
+        }
+        
+        if (!open) {
+            this.stopListening('');
+        }
+    }
+
+    /**
+     * Rebuild the list of bindings: one entry per natural bar, per accidental bar and per octave key
+     */
+    renderPanel() {
+        if (!this.panel) {
+            return;
+        }
+        
+        const bindings = xylophone.getKeyBindings();
+        this.panel.innerHTML = '';
+        
+        this.getTargets().forEach(target => {
+            const key = this.getKeyForTarget(target, bindings);
+            const targetLabel = this.getTargetLabel(target);
+            const keyLabel = key ? xylophone.getKeyLabel(key) : '–';
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'key-binding';
+            button.classList.toggle('unbound', !key);
+            button.classList.toggle('listening', this.isSameTarget(target, this.activeTarget));
+            button.setAttribute('aria-label', `${targetLabel}: ${key ? keyLabel : 'no key'}`);
+            
+            const name = document.createElement('span');
+            name.className = 'key-binding-target';
+            name.textContent = targetLabel;
+            
+            const kbd = document.createElement('kbd');
+            kbd.textContent = keyLabel;
+            
+            button.appendChild(name);
+            button.appendChild(kbd);
+            
+            const clickHandler = () => this.startListening(target);
+            button.addEventListener('click', clickHandler);
+            
+            this.panel.appendChild(button);
+        });
+    }
+
+    /**
+     * List everything a key can be bound to in the current layout
+     * @returns {Array} Targets as { type, value }
+     */
+    getTargets() {
+        const notes = xylophone.getAllNotes();
+        const targets = [];
+        
+        notes.forEach((note, index) => {
+            if (!note.accidental) {
+                targets.push({ type: 'natural', value: index });
+            }
+        });
+        
+        notes.forEach(note => {
+            if (note.accidental) {
+                targets.push({ type: note.step > 0 ? 'upperAccidental' : 'accidental', value: note.slot });
+            }
+        });
+        
+        targets.push({ type: 'octave', value: -1 }, { type: 'octave', value: 1 });
+        return targets;
+    }
+
+    /**
+     * Get the name of a target as shown in the editor
+     * @param {Object} target - Target as { type, value }
+     * @returns {string} Note name, or the octave key's action
+     */
+    getTargetLabel(target) {
+        if (target.type === 'octave') {
+            return target.value < 0 ? 'Octave down' : 'Octave up';
+        }
+        
+        const notes = xylophone.getAllNotes();
+        const step = target.type === 'upperAccidental' ? 1 : 0;
+        const note = target.type === 'natural'
+            ? notes.find((candidate, index) => !candidate.accidental && index === target.value)
+            : notes.find(candidate => candidate.accidental && candidate.slot === target.value && candidate.step === step);
+        
+        if (note) {
+            return note.displayName;
+        }
+        if (target.type === 'natural') {
+            return `Bar ${target.value + 1}`;
+        }
+        return step > 0 ? `Gap ${target.value + 1} (upper)` : `Gap ${target.value + 1}`;
+    }
+
+    /**
+     * Get the key bound to a target
+     * @param {Object} target - Target as { type, value }
+     * @param {Object} bindings - Bindings from Xylophone.getKeyBindings()
+     * @returns {string|null} Key code, or null if unbound
+     */
+    getKeyForTarget(target, bindings) {
+        const map = bindings[this.bindingMaps[target.type]];
+        const key = Object.keys(map).find(code => map[code] === target.value);
+        return key !== undefined ? key : null;
+    }
+
+    /**
+     * Find what a key is bound to
+     * @param {string} key - Key code
+     * @param {Object} bindings - Bindings from Xylophone.getKeyBindings()
+     * @returns {Object|null} Target as { type, value }, or null if the key is free
+     */
+    findTarget(key, bindings) {
+        const type = Object.keys(this.bindingMaps).find(candidate => {
+            return Object.prototype.hasOwnProperty.call(bindings[this.bindingMaps[candidate]], key);
+        });
+        return type ? { type, value: bindings[this.bindingMaps[type]][key] } : null;
+    }
+
+    /**
+     * Check whether two targets are the same
+     * @param {Object|null} a - Target as { type, value }
+     * @param {Object|null} b - Target as { type, value }
+     * @returns {boolean} True if both name the same binding
+     */
+    isSameTarget(a, b) {
+        return !!a && !!b && a.type === b.type && a.value === b.value;
+    }
+
+    /**
+     * Wait for the next key press and bind it to a target
+     * @param {Object} target - Target as { type, value }
+     */
+    startListening(target) {
+        this.activeTarget = target;
+        this.pendingConflict = null;
+        this.updateStatus(`Press a key for ${this.getTargetLabel(target)} (Esc cancels, Backspace clears)`);
+        this.renderPanel();
+    }
+
+    /**
+     * Stop waiting for a key
+     * @param {string} message - Status message to show
+     */
+    stopListening(message) {
+        this.activeTarget = null;
+        this.pendingConflict = null;
+        this.updateStatus(message);
+        this.renderPanel();
+    }
+
+    /**
+     * Handle a key press while waiting for a key; other key presses pass through to the input handler
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeyDown(event) {
+        if (!this.activeTarget) {
+            return;
+        }
+        
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        
+        // A held key auto-repeats; only a fresh press assigns it or confirms moving it
+        if (event.repeat) {
+            return;
+        }
+        
+        const key = event.code;
+        
+        if (key === this.cancelKey) {
+            this.stopListening('');
+            return;
+        }
+        
+        if (this.clearKeys.includes(key)) {
+            this.assignKey(this.activeTarget, null);
+            return;
+        }
+        
+        if (!key || this.reservedKeys.includes(key)) {
+            this.updateStatus(`${key ? xylophone.getKeyLabel(key) : 'That key'} cannot be assigned, press another key`);
+            return;
+        }
+        
+        this.assignKey(this.activeTarget, key);
+    }
+
+    /**
+     * Bind a key to a target, replacing the target's previous key
+     * A key already bound elsewhere is only moved after it is pressed a second time
+     * @param {Object} target - Target as { type, value }
+     * @param {string|null} key - Key code, or null to leave the target without a key
+     * @returns {boolean} Success status (false while a conflict waits for confirmation)
+     */
+    assignKey(target, key) {
+        const bindings = xylophone.getKeyBindings();
+        const targetLabel = this.getTargetLabel(target);
+        
+        if (key) {
+            const owner = this.findTarget(key, bindings);
+            
+            if (owner && !this.isSameTarget(owner, target)) {
+                if (this.pendingConflict !== key) {
+                    this.pendingConflict = key;
+                    this.updateStatus(`${xylophone.getKeyLabel(key)} already plays ${this.getTargetLabel(owner)}. ` +
+                        `Press it again to move it to ${targetLabel}, or press another key`);
+                    return false;
+                }
+                
+                delete bindings[this.bindingMaps[owner.type]][key];
+            }
+        }
+        
+        const map = bindings[this.bindingMaps[target.type]];
+        Object.keys(map).forEach(code => {
+            if (map[code] === target.value) {
+                delete map[code];
+            }
+        });
+        
+        if (key) {
+            map[key] = target.value;
+        }
+        
+        if (!xylophone.setKeyBindings(bindings)) {
+            this.stopListening('Could not update the key bindings');
+            return false;
+        }
+        
+        this.save();
+        this.stopListening(key ? `${targetLabel}: ${xylophone.getKeyLabel(key)}` : `${targetLabel}: no key`);
+        return true;
+    }
+
+    /**
+     * Restore the default bindings and save them
+     */
+    resetBindings() {
+        xylophone.resetKeyBindings();
+        this.save();
+        this.stopListening('Default keys restored');
+    }
+
+    /**
+     * Show a message next to the editor
+     * @param {string} message - Status message
+     */
+    updateStatus(message) {
+        if (this.status) {
+            this.status.textContent = message;
+        }
+    }
+
+    /**
+     * Restore the layout and bindings saved in an earlier session
+     * @returns {boolean} True if saved settings were applied
+     */
+    loadSaved() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (!saved) {
+                return false;
+            }
+            
+            const { layout, bindings } = JSON.parse(saved);
+            if (layout) {
+                xylophone.setKeyboardLayout(layout);
+            }
+            if (bindings && !xylophone.setKeyBindings(bindings)) {
+                console.warn('Saved key bindings are invalid, using the defaults');
+                return false;
+            }
+            
+            console.log('Saved key bindings restored');
+            return true;
+        } catch (error) {
+            console.warn('Failed to restore saved key bindings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Save the layout and bindings for later sessions
+     * @returns {boolean} Success status
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                layout: xylophone.getKeyboardLayout(),
+                bindings: xylophone.getKeyBindings()
+            }));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save key bindings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Clean up event listeners
+     */
+    dispose() {
+        this.listeners.forEach(({ element, event, handler, capture }) => {
+            element.removeEventListener(event, handler, !!capture);
+        });
+        this.listeners = [];
+        
+        if (this.panel) {
+            this.panel.innerHTML = '';
+        }
+        
+        this.activeTarget = null;
+        this.pendingConflict = null;
+        this.layoutSelect = null;
+        this.editBtn = null;
+        this.resetBtn = null;
+        this.panel = null;
+        this.status = null;
+        this.isInitialized = false;
+        
+        console.log('Key map editor disposed');
+    }
+}
+
+// Export singleton instance
+export default new KeyMapEditor();
@@ -0,0 +1,124 @@
+/**
+ * Keyboard Layouts Module
+ * Default key bindings and key labels for common keyboard layouts
+ * Bindings use physical key codes (KeyboardEvent.code), so the bars stay on the same keys
+ * whatever the layout; a layout only changes the characters shown on the bars
+ */
+
+// Default bindings by physical position: the home row plays the natural bars from the lowest,
+// the row above plays the accidental gaps (W sits between A and S), the number row the upper
+// accidental of three-semitone gaps (3 sits up and right of W) and Z/X shift octaves
+const DEFAULT_BINDINGS = {
+    naturals: ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon', 'Quote'],
+    accidentals: ['KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO', 'KeyP', 'BracketLeft'],
+    upperAccidentals: ['Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0', 'Minus', 'Equal'],
+    octave: { KeyZ: -1, KeyX: 1 }
+};
+
+// Characters printed on each key, for codes whose label is not simply their letter or digit
+const LAYOUTS = {
+    qwerty: {
+        label: 'QWERTY',
+        keys: {
+            Backquote: '`', Minus: '-', Equal: '=',
+            BracketLeft: '[', BracketRight: ']', Backslash: '\\',
+            Semicolon: ';', Quote: "'",
+            IntlBackslash: '\\', Comma: ',', Period: '.', Slash: '/'
+        }
+    },
+    azerty: {
+        label: 'AZERTY (French)',
+        keys: {
+            Backquote: '²', Digit1: '&', Digit2: 'É', Digit3: '"', Digit4: "'", Digit5: '(',
+            Digit6: '-', Digit7: 'È', Digit8: '_', Digit9: 'Ç', Digit0: 'À', Minus: ')', Equal: '=',
+            KeyQ: 'A', KeyW: 'Z', BracketLeft: '^', BracketRight: '$', Backslash: '*',
+            KeyA: 'Q', Semicolon: 'M', Quote: 'Ù',
+            IntlBackslash: '<', KeyZ: 'W', KeyM: ',', Comma: ';', Period: ':', Slash: '!'
+        }
+    },
+    qwertz: {
+        label: 'QWERTZ (German)',
+        keys: {
+            Backquote: '^', Minus: 'ß', Equal: '´',
+            KeyY: 'Z', BracketLeft: 'Ü', BracketRight: '+', Backslash: '#',
+            Semicolon: 'Ö', Quote: 'Ä',
+            IntlBackslash: '<', KeyZ: 'Y', Comma: ',', Period: '.', Slash: '-'
+        }
+    },
+    dvorak: {
+        label: 'Dvorak',
+        keys: {
+            Backquote: '`', Minus: '[', Equal: ']',
+            KeyQ: "'", KeyW: ',', KeyE: '.', KeyR: 'P', KeyT: 'Y', KeyY: 'F',
+            KeyU: 'G', KeyI: 'C', KeyO: 'R', KeyP: 'L', BracketLeft: '/', BracketRight: '=', Backslash: '\\',
+            KeyS: 'O', KeyD: 'E', KeyF: 'U', KeyG: 'I', KeyH: 'D', KeyJ: 'H', KeyK: 'T', KeyL: 'N',
+            Semicolon: 'S', Quote: '-',
+            IntlBackslash: '\\', KeyZ: ';', KeyX: 'Q', KeyC: 'J', KeyV: 'K', KeyB: 'X', KeyN: 'B',
+            Comma: 'W', Period: 'V', Slash: 'Z'
+        }
+    }
+};
+
+class KeyboardLayouts {
+    constructor() {
+        this.defaultLayout = 'qwerty';
+    }
+
+    /**
+     * Check whether a layout exists
+     * @param {string} layoutId - Layout key
+     * @returns {boolean} True if the layout exists
+     */
+    has(layoutId) {
+        return Object.prototype.hasOwnProperty.call(LAYOUTS, layoutId);
+    }
+
+    /**
+     * List available layouts
+     * @returns {Array} Array of {id, label} objects
+     */
+    list() {
+        return Object.entries(LAYOUTS).map(([id, layout]) => ({ id, label: layout.label }));
+    }
+
+    /**
+     * Get the character shown for a physical key
+     * @param {string} layoutId - Layout key (unknown layouts fall back to the default)
+     * @param {string} code - Key code such as 'KeyA' or 'Semicolon'
+     * @returns {string} Label such as 'A', 'Ö' or 'Space'
+     */
+    getKeyLabel(layoutId, code) {
+        const layout = LAYOUTS[this.has(layoutId) ? layoutId : this.defaultLayout];
+        if (layout.keys[code]) {
+            return layout.keys[code];
+        }
+        
+        // Letters and digits not listed above print their own character
+        const match = /^(?:Key|Digit)(.)$/.exec(code);
+        if (match) {
+            return match[1];
+        }
+        if (code.startsWith('Numpad')) {
+            return `Num ${code.slice(6)}`;
+        }
+        return code;
+    }
+
+    /**
+     * Get a copy of the default key bindings
+     * @returns {Object} { naturals, accidentals, upperAccidentals, octave } as key code to bar index,
+     *                   gap slot (lower and upper accidental of the gap) and octave step maps
+     */
+    getDefaultBindings() {
+        const toMap = (codes) => Object.fromEntries(codes.map((code, index) => [code, index]));
+        return {
+            naturals: toMap(DEFAULT_BINDINGS.naturals),
+            accidentals: toMap(DEFAULT_BINDINGS.accidentals),
+            upperAccidentals: toMap(DEFAULT_BINDINGS.upperAccidentals),
+            octave: { ...DEFAULT_BINDINGS.octave }
+        };
+    }
+}
+
+// Export singleton instance
+export default new KeyboardLayouts();
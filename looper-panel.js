@@ -0,0 +1,295 @@
+/**
+ * Looper Panel Module
+ * Transport buttons for the looper (record/overdub, play/stop, undo, clear) and a row per layer
+ * with mute, solo, volume and instrument
+ */
+
+import looper from './looper.js';
+import xylophone from './xylophone.js';
+
+class LooperPanel {
+    constructor() {
+        // Panel elements (all optional, the panel is disabled without the record button)
+        this.recordBtn = null;
+        this.playBtn = null;
+        this.undoBtn = null;
+        this.clearBtn = null;
+        this.status = null;
+        this.layerList = null;
+        
+        // Rendered layer rows: layerId -> { row, name, muteBtn, soloBtn, volumeSlider, instrumentSelect }
+        this.layerRows = new Map();
+        
+        // Event listeners storage for cleanup
+        this.listeners = [];
+        
+        this.isInitialized = false;
+    }
+
+    /**
+     * Initialize the panel
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        this.recordBtn = document.getElementById('loop-record');
+        this.playBtn = document.getElementById('loop-play');
+        this.undoBtn = document.getElementById('loop-undo');
+        this.clearBtn = document.getElementById('loop-clear');
+        this.status = document.getElementById('loop-status');
+        this.layerList = document.getElementById('loop-layers');
+        
+        if (!this.recordBtn) {
+            console.warn('Looper controls not found, looper disabled');
+            return false;
+        }
+        
+        const recordHandler = () => {
+            looper.record();
+        };
+        
+        this.recordBtn.addEventListener('click', recordHandler);
+        this.listeners.push({ element: this.recordBtn, event: 'click', handler: recordHandler });
+        
+        if (this.playBtn) {
+            const playHandler = () => {
+                if (looper.getState() === 'stopped') {
+                    looper.play();
+                } else {
+                    looper.stop();
+                }
+            };
+            
+            this.playBtn.addEventListener('click', playHandler);
+            this.listeners.push({ element: this.playBtn, event: 'click', handler: playHandler });
+        }
+        
+        if (this.undoBtn) {
+            const undoHandler = () => {
+                looper.undoLayer();
+            };
+            
+            this.undoBtn.addEventListener('click', undoHandler);
+            this.listeners.push({ element: this.undoBtn, event: 'click', handler: undoHandler });
+        }
+        
+        if (this.clearBtn) {
+            const clearHandler = () => {
+                looper.clear();
+            };
+            
+            this.clearBtn.addEventListener('click', clearHandler);
+            this.listeners.push({ element: this.clearBtn, event: 'click', handler: clearHandler });
+        }
+        
+        const looperChangedHandler = () => this.render();
+        document.addEventListener('looperChanged', looperChangedHandler);
+        this.listeners.push({ element: document, event: 'looperChanged', handler: looperChangedHandler });
+        
+        this.render();
+        
+        this.isInitialized = true;
+        console.log('Looper panel initialized');
+        return true;
+    }
+
+    /**
+     * Update the buttons, status and layer rows from the looper
+     */
+    render() {
+        if (!this.recordBtn) {
+            return;
+        }
+        
+        const state = looper.getState();
+        const overdubbing = looper.isOverdubbing();
+        const layers = looper.getLayers();
+        
+        this.recordBtn.textContent = this.getRecordLabel(state, overdubbing);
+        this.recordBtn.classList.toggle('recording', state === 'recording' || overdubbing);
+        
+        if (this.playBtn) {
+            this.playBtn.textContent = state === 'playing' || state === 'recording' ? 'Stop' : 'Play';
+            this.playBtn.disabled = state === 'empty';
+        }
+        if (this.undoBtn) {
+            this.undoBtn.disabled = state === 'empty';
+        }
+        if (this.clearBtn) {
+            this.clearBtn.disabled = state === 'empty';
+        }
+        
+        if (this.status) {
+            this.status.textContent = this.getStatusText(state, layers);
+        }
+        
+        this.renderLayers(layers);
+    }
+
+    /**
+     * Get the record button's label for the next thing it does
+     * @param {string} state - Looper state
+     * @param {boolean} overdubbing - True while an overdub is being recorded
+     * @returns {string} Button label
+     */
+    getRecordLabel(state, overdubbing) {
+        if (state === 'empty') {
+            return 'Record loop';
+        }
+        if (state === 'recording') {
+            return 'Close loop';
+        }
+        return overdubbing ? 'Finish layer' : 'Overdub';
+    }
+
+    /**
+     * Describe the loop for the status display
+     * @param {string} state - Looper state
+     * @param {Array} layers - Layers from looper.getLayers()
+     * @returns {string} Status text
+     */
+    getStatusText(state, layers) {
+        if (state === 'empty') {
+            return '';
+        }
+        if (state === 'recording') {
+            return 'Recording first take...';
+        }
+        
+        const recording = layers.find(layer => layer.recording);
+        const count = layers.length - (recording ? 1 : 0);
+        let text = `Loop ${looper.getLoopLength().toFixed(1)}s, ${count} ${count === 1 ? 'layer' : 'layers'}`;
+        
+        if (recording) {
+            text += `, overdubbing ${recording.name}`;
+        }
+        return text;
+    }
+
+    /**
+     * Show a row per layer
+     * Rows are rebuilt only when layers are added or removed, so a volume slider keeps working
+     * while it is dragged; otherwise the existing rows are updated in place
+     * @param {Array} layers - Layers from looper.getLayers()
+     */
+    renderLayers(layers) {
+        if (!this.layerList) {
+            return;
+        }
+        
+        const ids = layers.map(layer => layer.id);
+        const sameLayers = ids.length === this.layerRows.size && ids.every(id => this.layerRows.has(id));
+        
+        if (!sameLayers) {
+            this.layerList.innerHTML = '';
+            this.layerRows.clear();
+            layers.forEach(layer => {
+                const row = this.createLayerRow(layer);
+                this.layerRows.set(layer.id, row);
+                this.layerList.appendChild(row.row);
+            });
+        }
+        
+        layers.forEach(layer => {
+            const { row, name, muteBtn, soloBtn, volumeSlider, instrumentSelect } = this.layerRows.get(layer.id);
+            
+            row.classList.toggle('silent', !layer.audible);
+            row.classList.toggle('recording', layer.recording);
+            name.textContent = `${layer.name} (${layer.noteCount})`;
+            muteBtn.setAttribute('aria-pressed', String(layer.muted));
+            soloBtn.setAttribute('aria-pressed', String(layer.solo));
+            volumeSlider.value = String(Math.round(layer.volume * 100));
+            instrumentSelect.value = layer.instrument;
+        });
+    }
+
+    /**
+     * Build the row for one layer
+     * The row's listeners go away with its elements when the list is rebuilt
+     * @param {Object} layer - Layer from looper.getLayers()
+     * @returns {Object} { row, name, muteBtn, soloBtn, volumeSlider, instrumentSelect }
+     */
+    createLayerRow(layer) {
+        const row = document.createElement('div');
+        row.className = 'loop-layer';
+        
+        const name = document.createElement('span');
+        name.className = 'loop-layer-name';
+        
+        const muteBtn = document.createElement('button');
+        muteBtn.type = 'button';
+        muteBtn.className = 'loop-layer-btn';
+        muteBtn.textContent = 'M';
+        muteBtn.setAttribute('aria-label', `Mute ${layer.name}`);
+        muteBtn.addEventListener('click', () => {
+            looper.setLayerMuted(layer.id, muteBtn.getAttribute('aria-pressed') !== 'true');
+        });
+        
+        const soloBtn = document.createElement('button');
+        soloBtn.type = 'button';
+        soloBtn.className = 'loop-layer-btn';
+        soloBtn.textContent = 'S';
+        soloBtn.setAttribute('aria-label', `Solo ${layer.name}`);
+        soloBtn.addEventListener('click', () => {
+            looper.setLayerSolo(layer.id, soloBtn.getAttribute('aria-pressed') !== 'true');
+        });
+        
+        const volumeSlider = document.createElement('input');
+        volumeSlider.type = 'range';
+        volumeSlider.className = 'effect-mix';
+        volumeSlider.min = '0';
+        volumeSlider.max = '100';
+        volumeSlider.setAttribute('aria-label', `${layer.name} volume`);
+        volumeSlider.addEventListener('input', (event) => {
+            looper.setLayerVolume(layer.id, parseInt(event.target.value, 10) / 100);
+        });
+        
+        const instrumentSelect = document.createElement('select');
+        instrumentSelect.className = 'control-select';
+        instrumentSelect.setAttribute('aria-label', `${layer.name} instrument`);
+        xylophone.getInstruments().forEach(({ id, label }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            instrumentSelect.appendChild(option);
+        });
+        instrumentSelect.addEventListener('change', (event) => {
+            looper.setLayerInstrument(layer.id, event.target.value);
+        });
+        
+        row.appendChild(name);
+        row.appendChild(muteBtn);
+        row.appendChild(soloBtn);
+        row.appendChild(volumeSlider);
+        row.appendChild(instrumentSelect);
+        
+        return { row, name, muteBtn, soloBtn, volumeSlider, instrumentSelect };
+    }
+
+    /**
+     * Clean up and remove event listeners
+     */
+    dispose() {
+        this.listeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.listeners = [];
+        
+        if (this.layerList) {
+            this.layerList.innerHTML = '';
+        }
+        
+        this.layerRows.clear();
+        this.recordBtn = null;
+        this.playBtn = null;
+        this.undoBtn = null;
+        this.clearBtn = null;
+        this.status = null;
+        this.layerList = null;
+        this.isInitialized = false;
+        
+        console.log('Looper panel disposed');
+    }
+}
+
+// Export singleton instance
+export default new LooperPanel();
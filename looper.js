@@ -0,0 +1,586 @@
+/**
+ * Looper Module
+ * Multi-track loop station: the first take sets the loop length, every later take overdubs
+ * onto a layer of its own while the loop plays
+ * Layers can be muted, soloed, given their own volume and instrument, and undone last first
+ * Every cycle is queued on the audio clock through the shared scheduler, so the loop never drifts
+ */
+
+import xylophone from './xylophone.js';
+import scheduler from './scheduler.js';
+import visualFeedback from './visual-feedback.js';
+
+class Looper {
+    constructor() {
+        // Layers in recording order: { id, name, notes, instrument, volume, muted, solo },
+        // where each note is { noteIndex, offset, velocity, duration } with times in seconds into the loop
+        this.layers = [];
+        this.maxLayers = 8;
+        this.nextLayerId = 1;
+        
+        // Loop length in seconds, set by the first take (null until then)
+        this.loopLength = null;
+        this.minLoopLength = 0.25; // seconds
+        
+        // 'empty' (no loop), 'recording' (first take), 'playing' or 'stopped'
+        this.state = 'empty';
+        
+        // Layer being recorded (the first take, or an overdub while playing), or null
+        this.recordingLayer = null;
+        
+        // Audio clock times: when the first take started, when the playing loop's current run began
+        // and the start of the latest cycle queued
+        this.recordStart = null;
+        this.loopStart = null;
+        this.cycleStart = null;
+        
+        // Notes in the recording layer still held: noteId -> { note, time }
+        this.pendingNotes = new Map();
+        
+        // Scheduler group for the loop's cycles and notes
+        this.group = 'looper';
+        
+        // Event listeners storage for cleanup
+        this.listeners = [];
+    }
+
+    /**
+     * Start listening for played notes
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        const notePlayedHandler = (event) => this.captureNote(event.detail);
+        const noteReleasedHandler = (event) => this.captureRelease(event.detail);
+        
+        document.addEventListener('notePlayed', notePlayedHandler);
+        document.addEventListener('noteReleased', noteReleasedHandler);
+        this.listeners.push(
+            { element: document, event: 'notePlayed', handler: notePlayedHandler },
+            { element: document, event: 'noteReleased', handler: noteReleasedHandler }
+        );
+        
+        console.log('Looper initialized');
+        return true;
+    }
+
+    /**
+     * Record button: start the first take, close the loop, or start/finish an overdub
+     * @returns {boolean} Success status
+     */
+    record() {
+        switch (this.state) {
+            case 'empty':
+                return this.startFirstTake();
+            case 'recording':
+                return this.closeLoop();
+            case 'playing':
+                return this.recordingLayer ? this.finishOverdub() : this.startOverdub();
+            case 'stopped':
+                // Overdubbing a stopped loop starts it again
+                return this.play() && this.startOverdub();
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Start recording the first take, which will set the loop length
+     * @returns {boolean} Success status (false if audio is not initialized)
+     */
+    startFirstTake() {
+        const now = scheduler.getCurrentTime();
+        if (now === null) {
+            console.warn('Audio engine not initialized');
+            return false;
+        }
+        
+        this.recordStart = now;
+        this.recordingLayer = this.createLayer();
+        this.state = 'recording';
+        
+        console.log('Looper recording first take');
+        this.dispatchChange();
+        return true;
+    }
+
+    /**
+     * End the first take: its length becomes the loop length and the loop starts playing at once
+     * A take without notes, or too short to loop, is discarded
+     * @param {boolean} play - False to close the loop without playing it (default: true)
+     * @returns {boolean} True if a loop was created
+     */
+    closeLoop(play = true) {
+        const now = scheduler.getCurrentTime();
+        const layer = this.recordingLayer;
+        const length = now !== null ? now - this.recordStart : 0;
+        
+        this.recordingLayer = null;
+        this.pendingNotes.clear();
+        
+        if (layer.notes.length === 0 || length < this.minLoopLength) {
+            console.warn('First take was empty or too short, nothing to loop');
+            this.state = 'empty';
+            this.recordStart = null;
+            this.dispatchChange();
+            return false;
+        }
+        
+        this.loopLength = length;
+        this.layers.push(layer);
+        this.state = 'stopped';
+        
+        console.log(`Loop length set to ${length.toFixed(2)}s`);
+        
+        if (play) {
+            // The next cycle starts right where the take ended
+            this.startCycles(this.recordStart + length);
+        } else {
+            this.dispatchChange();
+        }
+        return true;
+    }
+
+    /**
+     * Start recording a new layer over the playing loop
+     * @returns {boolean} Success status (false if the layer limit is reached)
+     */
+    startOverdub() {
+        if (this.layers.length >= this.maxLayers) {
+            console.warn(`Maximum number of layers (${this.maxLayers}) reached`);
+            return false;
+        }
+        
+        this.recordingLayer = this.createLayer();
+        
+        console.log(`Overdubbing ${this.recordingLayer.name}`);
+        this.dispatchChange();
+        return true;
+    }
+
+    /**
+     * Finish the overdub; a layer without notes is discarded
+     * @returns {boolean} True if a layer was added
+     */
+    finishOverdub() {
+        const layer = this.recordingLayer;
+        this.recordingLayer = null;
+        this.pendingNotes.clear();
+        
+        const added = layer.notes.length > 0;
+        if (!added) {
+            this.removeLayer(layer);
+        }
+        
+        this.dispatchChange();
+        return added;
+    }
+
+    /**
+     * Take the newest layer out of the loop
+     * @param {Object} layer - Layer to remove (the most recently created)
+     */
+    removeLayer(layer) {
+        this.layers = this.layers.filter(entry => entry !== layer);
+        this.nextLayerId = layer.id;
+    }
+
+    /**
+     * Create an empty layer on the current instrument
+     * Overdub layers join the loop straight away, so notes recorded in one cycle play in the next
+     * @returns {Object} Layer
+     */
+    createLayer() {
+        const id = this.nextLayerId++;
+        const layer = {
+            id: id,
+            name: `Layer ${id}`,
+            notes: [],
+            instrument: xylophone.getInstrument(),
+            volume: 1.0,
+            muted: false,
+            solo: false
+        };
+        
+        if (this.state === 'playing') {
+            this.layers.push(layer);
+        }
+        
+        return layer;
+    }
+
+    /**
+     * Start playing the loop from the top
+     * @returns {boolean} Success status
+     */
+    play() {
+        if (this.state !== 'stopped') {
+            return this.state === 'playing';
+        }
+        
+        const startTime = scheduler.getStartTime();
+        if (startTime === null) {
+            console.warn('Audio engine not initialized');
+            return false;
+        }
+        
+        this.startCycles(startTime);
+        return true;
+    }
+
+    /**
+     * Stop the loop; the first take is closed without playing and an overdub is finished
+     */
+    stop() {
+        if (this.state === 'recording') {
+            this.closeLoop(false);
+            return;
+        }
+        
+        if (this.recordingLayer) {
+            this.finishOverdub();
+        }
+        
+        scheduler.cancelGroup(this.group);
+        this.loopStart = null;
+        this.cycleStart = null;
+        
+        if (this.state === 'playing') {
+            this.state = 'stopped';
+            console.log('Looper stopped');
+            this.dispatchChange();
+        }
+    }
+
+    /**
+     * Begin looping from a cycle start time
+     * @param {number} startTime - Audio context time of the first cycle
+     */
+    startCycles(startTime) {
+        this.state = 'playing';
+        this.loopStart = startTime;
+        this.scheduleCycle(startTime);
+        
+        console.log('Looper playing');
+        this.dispatchChange();
+    }
+
+    /**
+     * Queue every layer's notes for one cycle, and the cycle after it
+     * Cycle times are computed from the loop start rather than from callback times, so a late
+     * callback cannot make the loop drift; mute, solo, volume and instrument are read as each note plays
+     * @param {number} cycleStart - Audio context time the cycle starts at
+     */
+    scheduleCycle(cycleStart) {
+        this.cycleStart = cycleStart;
+        
+        this.layers.forEach(layer => {
+            layer.notes.forEach(note => {
+                scheduler.schedule(cycleStart + note.offset, (time) => {
+                    this.playLayerNote(layer, note, time);
+                }, this.group);
+            });
+        });
+        
+        const nextCycle = cycleStart + this.loopLength;
+        scheduler.schedule(nextCycle, () => {
+            this.scheduleCycle(nextCycle);
+        }, this.group);
+    }
+
+    /**
+     * Play one looped note, if its layer is still there and audible
+     * Looped notes light their bar but are not announced as `notePlayed`, so they are never re-recorded
+     * @param {Object} layer - Layer the note belongs to
+     * @param {Object} note - Looped note
+     * @param {number} time - Audio context time to strike at
+     */
+    playLayerNote(layer, note, time) {
+        if (!this.layers.includes(layer) || !this.isAudible(layer) || !xylophone.isValidNoteIndex(note.noteIndex)) {
+            return;
+        }
+        
+        const velocity = note.velocity * layer.volume;
+        const options = { time, instrument: layer.instrument };
+        if (note.duration !== undefined) {
+            options.duration = note.duration;
+        }
+        if (note.semitones) {
+            options.semitones = note.semitones;
+        }
+        
+        if (xylophone.playNote(note.noteIndex, velocity, options)) {
+            scheduler.runAtTime(time, () => visualFeedback.activateBar(note.noteIndex, velocity), this.group);
+        }
+    }
+
+    /**
+     * Check whether a layer is heard: not muted, and soloed if any layer is
+     * @param {Object} layer - Layer
+     * @returns {boolean} True if the layer plays
+     */
+    isAudible(layer) {
+        if (layer.muted) {
+            return false;
+        }
+        return !this.layers.some(entry => entry.solo) || layer.solo;
+    }
+
+    /**
+     * Add a played note to the layer being recorded
+     * @param {Object} noteDetail - `notePlayed` event detail
+     */
+    captureNote(noteDetail) {
+        const layer = this.recordingLayer;
+        const time = scheduler.getCurrentTime();
+        if (!layer || time === null) {
+            return;
+        }
+        
+        // Recorder playback (and quantize auditions) are not live playing, like the loop's own notes
+        if (noteDetail.source === 'playback') {
+            return;
+        }
+        
+        let offset;
+        if (this.state === 'recording') {
+            offset = time - this.recordStart;
+        } else {
+            const elapsed = time - this.loopStart;
+            offset = ((elapsed % this.loopLength) + this.loopLength) % this.loopLength;
+        }
+        
+        const note = {
+            noteIndex: noteDetail.noteIndex,
+            offset: offset,
+            velocity: noteDetail.velocity !== undefined ? noteDetail.velocity : 1.0
+        };
+        if (noteDetail.semitones) {
+            note.semitones = noteDetail.semitones;
+        }
+        layer.notes.push(note);
+        
+        // Near the end of a cycle the next one may already be queued; add the note to it
+        if (this.state === 'playing' && this.cycleStart > time) {
+            scheduler.schedule(this.cycleStart + offset, (noteTime) => {
+                this.playLayerNote(layer, note, noteTime);
+            }, this.group);
+        }
+        
+        // Live notes get their duration when they are released
+        if (noteDetail.noteId !== undefined && noteDetail.noteId !== null) {
+            this.pendingNotes.set(noteDetail.noteId, { note, time });
+        }
+        
+        this.dispatchChange();
+    }
+
+    /**
+     * Record how long a note in the recording layer was held (at most one loop)
+     * @param {Object} releaseDetail - `noteReleased` event detail
+     */
+    captureRelease(releaseDetail) {
+        const pending = this.pendingNotes.get(releaseDetail.noteId);
+        const time = scheduler.getCurrentTime();
+        if (!pending || time === null) {
+            return;
+        }
+        
+        this.pendingNotes.delete(releaseDetail.noteId);
+        
+        const duration = Math.max(0, time - pending.time);
+        pending.note.duration = this.loopLength !== null ? Math.min(duration, this.loopLength) : duration;
+    }
+
+    /**
+     * Remove the most recent layer; undoing the only layer (or the first take) clears the loop
+     * An overdub in progress is discarded instead
+     * @returns {boolean} True if something was undone
+     */
+    undoLayer() {
+        if (this.state === 'empty') {
+            return false;
+        }
+        
+        if (this.state === 'recording' || this.layers.length <= 1) {
+            this.clear();
+            return true;
+        }
+        
+        const layer = this.recordingLayer || this.layers[this.layers.length - 1];
+        this.recordingLayer = null;
+        this.pendingNotes.clear();
+        this.removeLayer(layer);
+        
+        console.log(`Removed ${layer.name}`);
+        this.dispatchChange();
+        return true;
+    }
+
+    /**
+     * Stop and delete the loop and every layer
+     */
+    clear() {
+        scheduler.cancelGroup(this.group);
+        
+        this.layers = [];
+        this.nextLayerId = 1;
+        this.loopLength = null;
+        this.state = 'empty';
+        this.recordingLayer = null;
+        this.recordStart = null;
+        this.loopStart = null;
+        this.cycleStart = null;
+        this.pendingNotes.clear();
+        
+        console.log('Looper cleared');
+        this.dispatchChange();
+    }
+
+    /**
+     * Find a layer by id
+     * @param {number} layerId - Layer id
+     * @returns {Object|null} Layer or null
+     */
+    getLayer(layerId) {
+        return this.layers.find(layer => layer.id === layerId) || null;
+    }
+
+    /**
+     * Mute or unmute a layer
+     * @param {number} layerId - Layer id
+     * @param {boolean} muted - True to mute
+     * @returns {boolean} Success status
+     */
+    setLayerMuted(layerId, muted) {
+        return this.updateLayer(layerId, { muted: !!muted });
+    }
+
+    /**
+     * Solo or unsolo a layer; while any layer is soloed, only soloed layers play
+     * @param {number} layerId - Layer id
+     * @param {boolean} solo - True to solo
+     * @returns {boolean} Success status
+     */
+    setLayerSolo(layerId, solo) {
+        return this.updateLayer(layerId, { solo: !!solo });
+    }
+
+    /**
+     * Set a layer's volume
+     * @param {number} layerId - Layer id
+     * @param {number} volume - Volume (0-1), scaling the recorded velocities
+     * @returns {boolean} Success status
+     */
+    setLayerVolume(layerId, volume) {
+        if (!Number.isFinite(volume) || volume < 0 || volume > 1) {
+            console.warn('Invalid layer volume, must be between 0 and 1');
+            return false;
+        }
+        return this.updateLayer(layerId, { volume });
+    }
+
+    /**
+     * Set the instrument a layer plays with
+     * @param {number} layerId - Layer id
+     * @param {string} instrument - Instrument preset key
+     * @returns {boolean} Success status
+     */
+    setLayerInstrument(layerId, instrument) {
+        if (!xylophone.getInstruments().some(({ id }) => id === instrument)) {
+            console.warn(`Unknown instrument: ${instrument}`);
+            return false;
+        }
+        return this.updateLayer(layerId, { instrument });
+    }
+
+    /**
+     * Change settings of a layer and notify listeners
+     * @param {number} layerId - Layer id
+     * @param {Object} changes - Layer fields to change
+     * @returns {boolean} Success status (false if there is no such layer)
+     */
+    updateLayer(layerId, changes) {
+        const layer = this.getLayer(layerId);
+        if (!layer) {
+            console.warn(`Unknown layer: ${layerId}`);
+            return false;
+        }
+        
+        Object.assign(layer, changes);
+        this.dispatchChange();
+        return true;
+    }
+
+    /**
+     * Get the layers
+     * @returns {Array} Copies of the layers (without their notes) with a note count and whether they are heard
+     */
+    getLayers() {
+        return this.layers.map(layer => ({
+            id: layer.id,
+            name: layer.name,
+            noteCount: layer.notes.length,
+            instrument: layer.instrument,
+            volume: layer.volume,
+            muted: layer.muted,
+            solo: layer.solo,
+            audible: this.isAudible(layer),
+            recording: layer === this.recordingLayer
+        }));
+    }
+
+    /**
+     * Get the looper state
+     * @returns {string} 'empty', 'recording', 'playing' or 'stopped'
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Check whether an overdub is being recorded
+     * @returns {boolean} True while overdubbing
+     */
+    isOverdubbing() {
+        return this.state === 'playing' && this.recordingLayer !== null;
+    }
+
+    /**
+     * Get the loop length
+     * @returns {number|null} Seconds, or null before the first take is closed
+     */
+    getLoopLength() {
+        return this.loopLength;
+    }
+
+    /**
+     * Notify listeners that the loop or its layers changed
+     */
+    dispatchChange() {
+        document.dispatchEvent(new CustomEvent('looperChanged', {
+            detail: {
+                state: this.state,
+                overdubbing: this.isOverdubbing(),
+                loopLength: this.loopLength,
+                layers: this.getLayers()
+            }
+        }));
+    }
+
+    /**
+     * Clear the loop and stop listening for notes
+     */
+    dispose() {
+        this.clear();
+        
+        this.listeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.listeners = [];
+        
+        console.log('Looper disposed');
+    }
+}
+
+// Export singleton instance
+export default new Looper();
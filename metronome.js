@@ -0,0 +1,330 @@
+/**
+ * Metronome Module
+ * Tempo and time signature for the whole app, with a click synthesized on the audio clock,
+ * tap tempo and a count-in for recording
+ * The arpeggiator and the tempo-synced delay follow this tempo; recordings save it (see getMeter())
+ * Tempo is counted in quarter notes per minute; the click sounds on every beat of the time signature
+ * (every eighth note in 6/8), with the downbeat accented
+ */
+
+import audioEngine from './audio-engine.js';
+import scheduler from './scheduler.js';
+
+const TIME_SIGNATURES = {
+    '2/4':  { beats: 2,  unit: 4 },
+    '3/4':  { beats: 3,  unit: 4 },
+    '4/4':  { beats: 4,  unit: 4 },
+    '5/4':  { beats: 5,  unit: 4 },
+    '6/8':  { beats: 6,  unit: 8 },
+    '7/8':  { beats: 7,  unit: 8 },
+    '12/8': { beats: 12, unit: 8 }
+};
+
+class Metronome {
+    constructor() {
+        // Tempo in quarter notes per minute
+        this.bpm = 120;
+        this.minBpm = 20;
+        this.maxBpm = 300;
+        this.timeSignature = '4/4';
+        
+        // Click on or off, and its level (0-1)
+        this.enabled = false;
+        this.level = 0.5;
+        
+        // Tap tempo: times of the latest taps (ms); a longer pause starts a new count
+        this.taps = [];
+        this.maxTaps = 5;
+        this.tapTimeout = 2000; // ms
+        
+        this.isRunning = false;
+        
+        // Scheduler group for clicks (the count-in included)
+        this.group = 'metronome';
+    }
+
+    /**
+     * Turn the click on or off
+     * @param {boolean} enabled - True to start clicking
+     * @returns {boolean} Success status (false if the click could not start)
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        
+        if (!this.enabled) {
+            this.stop();
+            console.log('Metronome disabled');
+            return true;
+        }
+        
+        if (!this.start()) {
+            this.enabled = false;
+            return false;
+        }
+        
+        console.log('Metronome enabled');
+        return true;
+    }
+
+    /**
+     * Check whether the click is on
+     * @returns {boolean} True if the metronome is enabled
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Start clicking from a downbeat
+     * @param {number} startTime - Audio context time of the downbeat (default: as soon as possible)
+     * @returns {boolean} Success status (false if audio is not initialized)
+     */
+    start(startTime = null) {
+        const time = startTime !== null ? startTime : scheduler.getStartTime();
+        if (time === null) {
+            console.warn('Audio engine not initialized');
+            return false;
+        }
+        
+        scheduler.cancelGroup(this.group);
+        this.isRunning = true;
+        this.scheduleBeat(time, 0);
+        return true;
+    }
+
+    /**
+     * Stop clicking (a count-in in progress is cancelled too)
+     */
+    stop() {
+        scheduler.cancelGroup(this.group);
+        this.isRunning = false;
+    }
+
+    /**
+     * Queue a click and the beat after it
+     * Beat times are chained from the intended time, not the callback time, so the click never drifts;
+     * tempo and time signature changes take effect on the next beat
+     * @param {number} time - Audio context time of the beat
+     * @param {number} beat - Beat within the bar (0 is the downbeat)
+     */
+    scheduleBeat(time, beat) {
+        scheduler.schedule(time, () => {
+            const beats = TIME_SIGNATURES[this.timeSignature].beats;
+            const current = beat % beats;
+            
+            this.playBeat(time, current, false);
+            this.scheduleBeat(time + this.getBeatDuration(), (current + 1) % beats);
+        }, this.group);
+    }
+
+    /**
+     * Click one beat and announce it with a `metronomeBeat` event when it is heard
+     * @param {number} time - Audio context time of the beat
+     * @param {number} beat - Beat within the bar (0 is the downbeat)
+     * @param {boolean} countIn - True for count-in beats
+     */
+    playBeat(time, beat, countIn) {
+        audioEngine.playClick(time, beat === 0, this.level);
+        
+        const beats = TIME_SIGNATURES[this.timeSignature].beats;
+        scheduler.runAtTime(time, () => {
+            document.dispatchEvent(new CustomEvent('metronomeBeat', {
+                detail: {
+                    beat: beat + 1,
+                    beats: beats,
+                    accent: beat === 0,
+                    countIn: countIn
+                }
+            }));
+        }, this.group);
+    }
+
+    /**
+     * Click a count-in, then call back on the downbeat after it
+     * If the metronome is on, it carries on clicking from that downbeat
+     * @param {number} bars - Bars to count in (1 or 2)
+     * @param {Function} onDownbeat - Called when the downbeat after the count-in is heard
+     * @returns {number|null} Audio context time of that downbeat, or null if audio is not initialized
+     */
+    countIn(bars, onDownbeat) {
+        const startTime = scheduler.getStartTime();
+        if (startTime === null) {
+            console.warn('Audio engine not initialized');
+            return null;
+        }
+        
+        scheduler.cancelGroup(this.group);
+        
+        const beats = TIME_SIGNATURES[this.timeSignature].beats;
+        const beatDuration = this.getBeatDuration();
+        const total = bars * beats;
+        
+        for (let i = 0; i < total; i++) {
+            const time = startTime + i * beatDuration;
+            scheduler.schedule(time, () => this.playBeat(time, i % beats, true), this.group);
+        }
+        
+        const downbeat = startTime + total * beatDuration;
+        scheduler.runAtTime(downbeat, onDownbeat, this.group);
+        
+        this.isRunning = this.enabled;
+        if (this.enabled) {
+            this.scheduleBeat(downbeat, 0);
+        }
+        
+        return downbeat;
+    }
+
+    /**
+     * Cancel a count-in; the click carries on if the metronome is on
+     */
+    cancelCountIn() {
+        this.stop();
+        if (this.enabled) {
+            this.start();
+        }
+    }
+
+    /**
+     * Get the length of one beat of the time signature
+     * @returns {number} Seconds
+     */
+    getBeatDuration() {
+        return (60 / this.bpm) * (4 / TIME_SIGNATURES[this.timeSignature].unit);
+    }
+
+    /**
+     * Set the tempo, which also drives the tempo-synced delay
+     * @param {number} bpm - Quarter notes per minute (20-300)
+     * @returns {boolean} Success status
+     */
+    setTempo(bpm) {
+        if (!Number.isFinite(bpm) || bpm < this.minBpm || bpm > this.maxBpm) {
+            console.warn(`Invalid tempo, must be between ${this.minBpm} and ${this.maxBpm} BPM`);
+            return false;
+        }
+        
+        this.bpm = bpm;
+        audioEngine.setEffectsTempo(bpm);
+        this.dispatchTempoChanged();
+        return true;
+    }
+
+    /**
+     * Get the tempo
+     * @returns {number} Quarter notes per minute
+     */
+    getTempo() {
+        return this.bpm;
+    }
+
+    /**
+     * Tap the tempo: the average gap between the latest taps sets it
+     * @returns {number|null} New tempo, or null until there are two taps in a row
+     */
+    tap() {
+        const now = Date.now();
+        const last = this.taps[this.taps.length - 1];
+        
+        if (last !== undefined && now - last > this.tapTimeout) {
+            this.taps = [];
+        }
+        
+        this.taps.push(now);
+        if (this.taps.length > this.maxTaps) {
+            this.taps.shift();
+        }
+        
+        if (this.taps.length < 2) {
+            return null;
+        }
+        
+        const interval = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+        const bpm = Math.round(60000 / interval);
+        
+        return this.setTempo(bpm) ? bpm : null;
+    }
+
+    /**
+     * Set the time signature
+     * @param {string} timeSignature - Time signature key such as '3/4' or '6/8' (see getTimeSignatures())
+     * @returns {boolean} Success status
+     */
+    setTimeSignature(timeSignature) {
+        if (!Object.prototype.hasOwnProperty.call(TIME_SIGNATURES, timeSignature)) {
+            console.warn(`Unknown time signature: ${timeSignature}`);
+            return false;
+        }
+        
+        this.timeSignature = timeSignature;
+        this.dispatchTempoChanged();
+        return true;
+    }
+
+    /**
+     * Get the time signature
+     * @returns {string} Time signature key
+     */
+    getTimeSignature() {
+        return this.timeSignature;
+    }
+
+    /**
+     * List time signatures
+     * @returns {Array} Array of {id, label} objects
+     */
+    getTimeSignatures() {
+        return Object.keys(TIME_SIGNATURES).map(id => ({ id, label: id }));
+    }
+
+    /**
+     * Get tempo and meter, as saved with recordings
+     * @returns {Object} { bpm, beatsPerBar, beatUnit }
+     */
+    getMeter() {
+        const { beats, unit } = TIME_SIGNATURES[this.timeSignature];
+        return { bpm: this.bpm, beatsPerBar: beats, beatUnit: unit };
+    }
+
+    /**
+     * Find the bar and beat of a time in a recording
+     * @param {number} time - Milliseconds from the start of the recording (bar 1, beat 1)
+     * @param {Object} meter - { bpm, beatsPerBar, beatUnit } (default: current)
+     * @returns {Object} { bar, beat, fraction }: 1-based bar and beat, and how far into the beat (0-1)
+     */
+    getPosition(time, meter = this.getMeter()) {
+        const beatLength = (60000 / meter.bpm) * (4 / meter.beatUnit);
+        const beats = time / beatLength;
+        const wholeBeats = Math.floor(beats);
+        
+        return {
+            bar: Math.floor(wholeBeats / meter.beatsPerBar) + 1,
+            beat: (wholeBeats % meter.beatsPerBar) + 1,
+            fraction: beats - wholeBeats
+        };
+    }
+
+    /**
+     * Notify listeners that the tempo or time signature changed
+     */
+    dispatchTempoChanged() {
+        document.dispatchEvent(new CustomEvent('tempoChanged', {
+            detail: {
+                bpm: this.bpm,
+                timeSignature: this.timeSignature
+            }
+        }));
+    }
+
+    /**
+     * Stop clicking and forget taps
+     */
+    reset() {
+        this.stop();
+        this.enabled = false;
+        this.taps = [];
+    }
+}
+
+// Export singleton instance
+export default new Metronome();
@@ -0,0 +1,276 @@
+/**
+ * Modal Voice Module
+ * Builds a single struck-bar voice: a bank of decaying inharmonic partials plus a
+ * short band-passed noise burst for the mallet contact
+ * Works against any BaseAudioContext so the same graph can be reused outside the live engine
+ */
+
+class ModalVoice {
+    /**
+     * Create the voice graph (not yet started)
+     * @param {BaseAudioContext} context - Audio context that owns the nodes
+     * @param {Object} options - Voice options
+     * @param {number} options.frequency - Fundamental frequency in Hz
+     * @param {Object} options.timbre - Timbre with `partials` and `mallet` settings
+     * @param {Object} options.envelope - Envelope with `attack` and `release` in seconds
+     * @param {AudioBuffer} options.noiseBuffer - White noise buffer for the mallet transient
+     * @param {number} options.velocity - Strike strength (0-1, default: 1.0)
+     * @param {AudioNode} options.panner - Optional panner placed after the voice output
+     */
+    constructor(context, { frequency, timbre, envelope, noiseBuffer, velocity = 1.0, panner = null }) {
+        this.context = context;
+        this.frequency = frequency;
+        this.velocity = velocity;
+        this.timbre = timbre;
+        this.envelope = envelope;
+        this.noiseBuffer = noiseBuffer;
+
+        // Oscillators and buffer sources owned by this voice
+        this.sources = [];
+        this.nodes = [];
+
+        // Scheduling state
+        this.startTime = 0;
+        this.stopTime = 0;
+        this.isStopped = false;
+
+        // Called once when the voice has finished and released its nodes
+        this.onended = null;
+
+        // Voice output: every partial and the mallet noise are summed here
+        this.output = context.createGain();
+        this.output.gain.value = 0;
+        this.nodes.push(this.output);
+
+        // Stereo or 3D placement of the bar; released with the voice
+        this.panner = panner;
+        if (panner) {
+            this.output.connect(panner);
+            this.nodes.push(panner);
+        }
+
+        this.buildPartials();
+        this.buildMallet();
+    }
+
+    /**
+     * Create one oscillator and decay gain per audible partial
+     */
+    buildPartials() {
+        const partials = ModalVoice.getPartialLevels(
+            this.timbre.partials, this.frequency, this.velocity, this.context.sampleRate
+        );
+
+        this.partials = partials.map(({ ratio, level, decay }) => {
+            const oscillator = this.context.createOscillator();
+            oscillator.type = 'sine';
+            oscillator.frequency.value = this.frequency * ratio;
+
+            const gainNode = this.context.createGain();
+            gainNode.gain.value = 0;
+
+            oscillator.connect(gainNode);
+            gainNode.connect(this.output);
+
+            this.sources.push(oscillator);
+            this.nodes.push(gainNode);
+
+            return { oscillator, gainNode, level, decay };
+        });
+    }
+
+    /**
+     * Work out the starting level of each partial for a strike
+     * Partials above Nyquist are skipped to avoid aliasing
+     * Softer strikes excite the upper modes less, so they sound darker as well as quieter
+     * Shared with WorkletVoice so both synthesis paths sound the same
+     * @param {Array} partials - Timbre partials ({ratio, gain, decay})
+     * @param {number} frequency - Fundamental frequency in Hz
+     * @param {number} velocity - Strike strength (0-1)
+     * @param {number} sampleRate - Context sample rate in Hz
+     * @returns {Array} Audible partials as {ratio, level, decay}
+     */
+    static getPartialLevels(partials, frequency, velocity, sampleRate) {
+        const nyquist = sampleRate / 2;
+        const audible = partials.filter(partial => frequency * partial.ratio < nyquist);
+
+        // Normalize so the summed partial levels peak at 1.0
+        const totalGain = audible.reduce((sum, partial) => sum + partial.gain, 0) || 1;
+
+        return audible.map((partial, index) => ({
+            ratio: partial.ratio,
+            level: (partial.gain / totalGain) * Math.pow(velocity, 1 + index * 0.5),
+            decay: partial.decay
+        }));
+    }
+
+    /**
+     * Create the filtered-noise mallet transient
+     */
+    buildMallet() {
+        const mallet = this.timbre.mallet;
+
+        if (!mallet || !this.noiseBuffer || mallet.gain <= 0) {
+            this.mallet = null;
+            return;
+        }
+
+        const source = this.context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+
+        // Harder strikes give a brighter click
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = mallet.filterFrequency * (0.5 + this.velocity * 0.5);
+        filter.Q.value = mallet.q;
+
+        const gainNode = this.context.createGain();
+        gainNode.gain.value = 0;
+
+        source.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(this.output);
+
+        this.sources.push(source);
+        this.nodes.push(filter, gainNode);
+
+        this.mallet = { source, gainNode, settings: mallet };
+    }
+
+    /**
+     * Connect voice output to a destination node
+     * @param {AudioNode} destination - Node to connect to
+     */
+    connect(destination) {
+        (this.panner || this.output).connect(destination);
+    }
+
+    /**
+     * Strike the bar
+     * @param {number} time - Context time to start at
+     * @param {number} duration - Time in seconds before the release begins
+     */
+    start(time, duration) {
+        const attackEnd = time + this.envelope.attack;
+        const releaseStart = Math.max(attackEnd, time + duration);
+        const releaseEnd = releaseStart + this.envelope.release;
+
+        this.startTime = time;
+
+        // Voice envelope: fast attack, hold, then release to silence
+        this.output.gain.setValueAtTime(0, time);
+        this.output.gain.linearRampToValueAtTime(1.0, attackEnd);
+        this.output.gain.setValueAtTime(1.0, releaseStart);
+        this.output.gain.linearRampToValueAtTime(0, releaseEnd);
+
+        // Each partial rings down on its own decay time
+        this.partials.forEach(({ oscillator, gainNode, level, decay }) => {
+            gainNode.gain.setValueAtTime(level, time);
+            gainNode.gain.exponentialRampToValueAtTime(
+                Math.max(level * 0.001, 0.00001),
+                time + decay
+            );
+            oscillator.start(time);
+        });
+
+        // Mallet transient: a short burst at the very start of the strike
+        if (this.mallet) {
+            const { source, gainNode, settings } = this.mallet;
+            gainNode.gain.setValueAtTime(Math.max(settings.gain * this.velocity, 0.0001), time);
+            gainNode.gain.exponentialRampToValueAtTime(0.0001, time + settings.duration);
+            source.start(time);
+            source.stop(time + settings.duration + 0.01);
+        }
+
+        this.scheduleStop(releaseEnd);
+    }
+
+    /**
+     * Estimate the voice's current amplitude from its partial decays
+     * @param {number} time - Context time
+     * @returns {number} Approximate level (0 once stopped)
+     */
+    getLevel(time) {
+        if (this.isStopped || time >= this.stopTime) {
+            return 0;
+        }
+
+        const elapsed = Math.max(0, time - this.startTime);
+
+        // Each partial falls by 60 dB over its decay time
+        return this.partials.reduce(
+            (sum, partial) => sum + partial.level * Math.pow(0.001, elapsed / partial.decay),
+            0
+        );
+    }
+
+    /**
+     * Fade the voice out quickly and stop it
+     * @param {number} time - Context time to begin the fade
+     * @param {number} fadeTime - Fade length in seconds (default: 0.05)
+     */
+    stop(time, fadeTime = 0.05) {
+        if (this.isStopped || time + fadeTime >= this.stopTime) {
+            return;
+        }
+
+        // Hold whatever level the envelope has reached at `time`, then fade from there
+        const gain = this.output.gain;
+        if (typeof gain.cancelAndHoldAtTime === 'function') {
+            gain.cancelAndHoldAtTime(time);
+        } else {
+            gain.cancelScheduledValues(time);
+            gain.setValueAtTime(gain.value, time);
+        }
+        gain.linearRampToValueAtTime(0, time + fadeTime);
+
+        this.scheduleStop(time + fadeTime);
+    }
+
+    /**
+     * Stop all oscillators at the given time and clean up afterwards
+     * @param {number} time - Context time to stop at
+     */
+    scheduleStop(time) {
+        this.stopTime = time;
+
+        this.partials.forEach(({ oscillator }) => {
+            try {
+                oscillator.stop(time);
+            } catch (error) {
+                // Oscillator may already be stopped
+                console.debug('Error stopping partial:', error);
+            }
+        });
+
+        // The fundamental stops last, so it signals the end (mallet only if every partial was skipped)
+        const lastSource = this.partials.length > 0
+            ? this.partials[0].oscillator
+            : (this.mallet ? this.mallet.source : null);
+
+        if (lastSource) {
+            lastSource.onended = () => this.dispose();
+        } else {
+            this.dispose();
+        }
+    }
+
+    /**
+     * Disconnect all nodes and notify the owner
+     */
+    dispose() {
+        if (this.isStopped) {
+            return;
+        }
+
+        this.isStopped = true;
+        this.sources.forEach(source => source.disconnect());
+        this.nodes.forEach(node => node.disconnect());
+
+        if (typeof this.onended === 'function') {
+            this.onended(this);
+        }
+    }
+}
+
+export default ModalVoice;
@@ -0,0 +1,170 @@
+/**
+ * Note Names Module
+ * Names notes in alternate naming systems for bar labels, ARIA labels and note events
+ * Fixed systems (English, German, fixed do) follow the note's spelling; relative systems
+ * (movable do, scale degrees, sargam) count from the tonic, marking octaves above it with primes
+ */
+
+// Letter names in order, and the major scale interval above the tonic for each letter distance
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const MAJOR_INTERVALS = [0, 2, 4, 5, 7, 9, 11];
+
+// Fixed do: syllables replace the letters, accidentals are kept
+const FIXED_DO = { C: 'Do', D: 'Re', E: 'Mi', F: 'Fa', G: 'Sol', A: 'La', B: 'Si' };
+
+// Movable do syllables per scale degree, by alteration (-1 lowered, 0, 1 raised)
+const MOVABLE_DO = [
+    { 0: 'Do', 1: 'Di' },
+    { '-1': 'Ra', 0: 'Re', 1: 'Ri' },
+    { '-1': 'Me', 0: 'Mi' },
+    { 0: 'Fa', 1: 'Fi' },
+    { '-1': 'Se', 0: 'Sol', 1: 'Si' },
+    { '-1': 'Le', 0: 'La', 1: 'Li' },
+    { '-1': 'Te', 0: 'Ti' }
+];
+
+// Fallbacks by semitones above the tonic, for spellings the degree tables do not cover
+const MOVABLE_DO_CHROMATIC = ['Do', 'Ra', 'Re', 'Me', 'Mi', 'Fa', 'Fi', 'Sol', 'Le', 'La', 'Te', 'Ti'];
+const DEGREES_CHROMATIC = ['1', 'b2', '2', 'b3', '3', '4', '#4', '5', 'b6', '6', 'b7', '7'];
+
+// Sargam by semitones above Sa: komal (flat) swaras in lowercase and tivra (sharp) Ma in capitals,
+// as in the S r R g G m M P d D n N shorthand
+const SARGAM = ['Sa', 're', 'Re', 'ga', 'Ga', 'Ma', 'MA', 'Pa', 'dha', 'Dha', 'ni', 'Ni'];
+
+const SYSTEMS = {
+    'english':    { label: 'English (C D E)',       relative: false },
+    'german':     { label: 'German (C D E ... H)',  relative: false },
+    'fixed-do':   { label: 'Fixed Do (Do Re Mi)',   relative: false },
+    'movable-do': { label: 'Movable Do',            relative: true },
+    'degrees':    { label: 'Scale Degrees (1 2 3)', relative: true },
+    'sargam':     { label: 'Sargam (Sa Re Ga)',     relative: true }
+};
+
+class NoteNames {
+    constructor() {
+        this.defaultSystem = 'english';
+    }
+
+    /**
+     * Check whether a naming system exists
+     * @param {string} systemId - Naming system key
+     * @returns {boolean} True if the system exists
+     */
+    has(systemId) {
+        return Object.prototype.hasOwnProperty.call(SYSTEMS, systemId);
+    }
+
+    /**
+     * List available naming systems
+     * @returns {Array} Array of {id, label} objects
+     */
+    list() {
+        return Object.entries(SYSTEMS).map(([id, system]) => ({ id, label: system.label }));
+    }
+
+    /**
+     * Name a note in a naming system
+     * @param {Object} note - Note object with `name` (such as 'Bb3') and `midi`
+     * @param {string} systemId - Naming system key (see list())
+     * @param {Object} tonic - The key's tonic as { name, midi }: the tonic's spelling and the MIDI note
+     *                         of the lowest tonic bar, which relative systems count from
+     * @returns {Object} { label, displayName }: the name without octave for the bar,
+     *                   and with octave for ARIA labels and events
+     */
+    getName(note, systemId, tonic) {
+        const match = /^([A-G])(#{0,2}|b{0,2})(-?\d+)$/.exec(note.name);
+        if (!match || !this.has(systemId)) {
+            return { label: note.name, displayName: note.name };
+        }
+        
+        const [, letter, accidental, octave] = match;
+        let label;
+        
+        switch (systemId) {
+            case 'german':
+                label = this.getGermanName(letter, accidental);
+                break;
+            case 'fixed-do':
+                label = FIXED_DO[letter] + accidental;
+                break;
+            case 'movable-do':
+            case 'degrees':
+            case 'sargam':
+                label = this.getRelativeName(letter, note.midi, systemId, tonic);
+                break;
+            default:
+                label = letter + accidental;
+        }
+        
+        if (!SYSTEMS[systemId].relative) {
+            return { label, displayName: `${label}${octave}` };
+        }
+        
+        // Octaves above the lowest tonic get primes (Do'), octaves below get commas (Do,)
+        const octaves = Math.floor((note.midi - tonic.midi) / 12);
+        const marks = octaves >= 0 ? "'".repeat(octaves) : ','.repeat(-octaves);
+        return { label, displayName: `${label}${marks}` };
+    }
+
+    /**
+     * Get the German name of a pitch: H for B, B for Bb, and -is/-es suffixes for sharps and flats
+     * @param {string} letter - Letter name
+     * @param {string} accidental - '#', '##', 'b', 'bb' or ''
+     * @returns {string} Name such as 'Fis', 'Es', 'Fisis' or 'H'
+     */
+    getGermanName(letter, accidental) {
+        if (letter === 'B' && accidental === 'b') {
+            return 'B';
+        }
+        
+        const base = letter === 'B' ? 'H' : letter;
+        if (accidental.startsWith('#')) {
+            return base + 'is'.repeat(accidental.length);
+        }
+        if (accidental.startsWith('b')) {
+            // Vowels contract the first -es to -s: Es and As, doubled Eses and Ases
+            if (base === 'E' || base === 'A') {
+                return base + 's' + 'es'.repeat(accidental.length - 1);
+            }
+            return base + 'es'.repeat(accidental.length);
+        }
+        return base;
+    }
+
+    /**
+     * Get a note's name relative to the tonic
+     * The degree comes from the letter names, so a note keeps its function (F# in C is a raised
+     * fourth, Gb a lowered fifth); other spellings fall back to naming by semitones
+     * @param {string} letter - Letter name of the note
+     * @param {number} midi - MIDI note number of the note
+     * @param {string} systemId - 'movable-do', 'degrees' or 'sargam'
+     * @param {Object} tonic - Tonic as { name, midi }
+     * @returns {string} Name such as 'Fi', 'b3' or 'Pa'
+     */
+    getRelativeName(letter, midi, systemId, tonic) {
+        const interval = ((midi - tonic.midi) % 12 + 12) % 12;
+        
+        // Sargam names every semitone directly
+        if (systemId === 'sargam') {
+            return SARGAM[interval];
+        }
+        
+        const degree = (LETTERS.indexOf(letter) - LETTERS.indexOf(tonic.name.charAt(0)) + 7) % 7;
+        const alteration = ((interval - MAJOR_INTERVALS[degree] + 18) % 12) - 6;
+        
+        // Both systems use the alterations movable do has syllables for (no lowered tonic, for example)
+        const syllable = MOVABLE_DO[degree][alteration];
+        
+        if (systemId === 'degrees') {
+            if (syllable === undefined) {
+                return DEGREES_CHROMATIC[interval];
+            }
+            return `${alteration < 0 ? 'b' : (alteration > 0 ? '#' : '')}${degree + 1}`;
+        }
+        
+        return syllable !== undefined ? syllable : MOVABLE_DO_CHROMATIC[interval];
+    }
+}
+
+// Export singleton instance
+export default new NoteNames();
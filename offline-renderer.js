@@ -0,0 +1,256 @@
+/**
+ * Offline Renderer Module
+ * Renders recorded sequences through the live voice graph in an OfflineAudioContext
+ * and encodes the result as a PCM WAV file
+ */
+
+import audioEngine from './audio-engine.js';
+import xylophone from './xylophone.js';
+
+class OfflineRenderer {
+    constructor() {
+        // Supported output formats
+        this.sampleRates = [44100, 48000, 96000];
+        this.bitDepths = [16, 24];
+
+        // Default render settings
+        this.defaultOptions = {
+            sampleRate: 44100,
+            bitDepth: 16,
+            tail: 2.0           // seconds of silence/ring-out after the last note ends
+        };
+
+        this.numberOfChannels = 2;
+        this.isRendering = false;
+    }
+
+    /**
+     * Fill in the default for every option that is missing or undefined
+     * @param {Object} options - Render options
+     * @returns {Object} Complete render settings
+     */
+    getSettings(options = {}) {
+        const settings = { ...this.defaultOptions };
+        Object.entries(options).forEach(([key, value]) => {
+            if (value !== undefined) {
+                settings[key] = value;
+            }
+        });
+        return settings;
+    }
+
+    /**
+     * Render a sequence to an AudioBuffer
+     * Uses its own OfflineAudioContext, so the live audio context is not needed
+     * @param {Array} sequence - Array of {noteIndex, delay, velocity} objects (delay in ms from start)
+     * @param {Object} options - Render options
+     * @param {number} options.sampleRate - Output sample rate in Hz
+     * @param {number} options.tail - Extra seconds rendered after the last note
+     * @param {string} options.instrument - Instrument preset to render with (default: current)
+     * @returns {Promise<AudioBuffer>} Rendered audio
+     */
+    async render(sequence, options = {}) {
+        const { sampleRate, tail, instrument } = this.getSettings(options);
+
+        if (!Array.isArray(sequence) || sequence.length === 0) {
+            throw new Error('Nothing to render');
+        }
+
+        if (!this.sampleRates.includes(sampleRate)) {
+            throw new Error(`Unsupported sample rate: ${sampleRate}`);
+        }
+
+        if (!(tail >= 0 && tail <= 30)) {
+            throw new Error('Invalid tail length, must be between 0 and 30 seconds');
+        }
+
+        const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContextClass) {
+            throw new Error('OfflineAudioContext not supported in this browser');
+        }
+
+        // Notes with a recorded duration ring for the instrument's full decay until they are damped,
+        // like held notes live; the others are cut after the note duration
+        const noteDuration = xylophone.getNoteDuration();
+        const heldDuration = Math.max(noteDuration, audioEngine.getRingTime(instrument));
+        const getVoiceDuration = note => (note.duration !== undefined ? heldDuration : noteDuration);
+
+        // Length covers the last note to end, its release, and the requested tail
+        const lastEnd = Math.max(...sequence.map(note => note.delay / 1000 + getVoiceDuration(note)));
+        const duration = lastEnd + audioEngine.getEnvelope(instrument).release + tail;
+        const length = Math.ceil(duration * sampleRate);
+
+        const context = new OfflineContextClass(this.numberOfChannels, length, sampleRate);
+
+        // Same output stage as the live engine: instrument bus -> effects -> master gain -> limiter -> destination
+        const limiter = audioEngine.createLimiter(context);
+        limiter.output.connect(context.destination);
+
+        const masterGain = context.createGain();
+        masterGain.gain.value = audioEngine.getVolume();
+        masterGain.connect(limiter.input);
+
+        const effects = audioEngine.createEffectsChain(context);
+        effects.connect(masterGain);
+
+        const instrumentId = instrument || audioEngine.getInstrument();
+        const bus = audioEngine.createInstrumentBus(context, instrumentId);
+        bus.input.connect(effects.input);
+
+        const noiseBuffer = audioEngine.createNoiseBuffer(context);
+        audioEngine.applyListenerPosition(context);
+
+        sequence.forEach(note => {
+            // Rendered at the current octave shift and transpose, like live playback
+            const frequency = xylophone.getFrequency(note.noteIndex, note.semitones);
+            if (frequency === null) {
+                console.warn(`Skipping invalid or unmapped note index in render: ${note.noteIndex}`);
+                return;
+            }
+
+            const velocity = note.velocity !== undefined ? note.velocity : 1.0;
+            const position = xylophone.getBarPosition(note.noteIndex);
+            const voice = audioEngine.createVoice(context, frequency, velocity, noiseBuffer, instrumentId, position);
+            voice.connect(bus.input);
+            voice.start(note.delay / 1000, getVoiceDuration(note));
+
+            // Notes let go of while recording are damped at the same point
+            if (note.duration !== undefined) {
+                voice.stop((note.delay + note.duration) / 1000, xylophone.getDampTime());
+            }
+        });
+
+        return context.startRendering();
+    }
+
+    /**
+     * Encode an AudioBuffer as a PCM WAV file
+     * @param {AudioBuffer} buffer - Audio to encode
+     * @param {number} bitDepth - 16 or 24
+     * @returns {Blob} WAV file
+     */
+    encodeWav(buffer, bitDepth = this.defaultOptions.bitDepth) {
+        if (!this.bitDepths.includes(bitDepth)) {
+            throw new Error(`Unsupported bit depth: ${bitDepth}`);
+        }
+
+        const channels = buffer.numberOfChannels;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = channels * bytesPerSample;
+        const dataSize = buffer.length * blockAlign;
+        const headerSize = 44;
+
+        const arrayBuffer = new ArrayBuffer(headerSize + dataSize);
+        const view = new DataView(arrayBuffer);
+
+        // RIFF header
+        this.writeString(view, 0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        this.writeString(view, 8, 'WAVE');
+
+        // fmt chunk (PCM)
+        this.writeString(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);                            // Chunk size
+        view.setUint16(20, 1, true);                             // Format: PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * blockAlign, true); // Byte rate
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+
+        // data chunk (interleaved samples)
+        this.writeString(view, 36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channelData = [];
+        for (let channel = 0; channel < channels; channel++) {
+            channelData.push(buffer.getChannelData(channel));
+        }
+
+        const maxValue = Math.pow(2, bitDepth - 1) - 1;
+        let offset = headerSize;
+
+        for (let i = 0; i < buffer.length; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
+                const value = Math.round(sample * maxValue);
+
+                if (bitDepth === 16) {
+                    view.setInt16(offset, value, true);
+                } else {
+                    // 24-bit little-endian, written byte by byte
+                    view.setUint8(offset, value & 0xff);
+                    view.setUint8(offset + 1, (value >> 8) & 0xff);
+                    view.setUint8(offset + 2, (value >> 16) & 0xff);
+                }
+
+                offset += bytesPerSample;
+            }
+        }
+
+        return new Blob([arrayBuffer], { type: 'audio/wav' });
+    }
+
+    /**
+     * Write an ASCII string into a DataView
+     * @param {DataView} view - Target view
+     * @param {number} offset - Byte offset
+     * @param {string} text - ASCII text
+     */
+    writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+
+    /**
+     * Render a sequence and encode it as WAV
+     * @param {Array} sequence - Array of {noteIndex, delay, velocity} objects
+     * @param {Object} options - Render options (sampleRate, bitDepth, tail, instrument)
+     * @returns {Promise<Blob>} WAV file
+     */
+    async renderToWav(sequence, options = {}) {
+        if (this.isRendering) {
+            throw new Error('A render is already in progress');
+        }
+
+        const settings = this.getSettings(options);
+        this.isRendering = true;
+
+        try {
+            const startedAt = performance.now();
+            const buffer = await this.render(sequence, settings);
+            const blob = this.encodeWav(buffer, settings.bitDepth);
+
+            const elapsed = (performance.now() - startedAt) / 1000;
+            console.log(`Rendered ${buffer.duration.toFixed(2)}s of audio in ${elapsed.toFixed(2)}s`);
+
+            return blob;
+        } finally {
+            this.isRendering = false;
+        }
+    }
+
+    /**
+     * Offer a blob to the user as a file download
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested filename
+     */
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser a moment to start the download before releasing the URL
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export singleton instance
+export default new OfflineRenderer();
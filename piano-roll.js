@@ -0,0 +1,906 @@
+/**
+ * Piano Roll Module
+ * Editor for the recorded sequence: notes on a time-by-bar grid, one row per bar with the highest at the top
+ * Select, drag, resize, add, delete, copy and paste notes, edit velocity and length, with optional snapping
+ * Edits go back to the recording through controls.setRecordedSequence(); a playhead follows playback
+ */
+
+import controls from './controls.js';
+import xylophone from './xylophone.js';
+import metronome from './metronome.js';
+import quantizer from './quantize.js';
+import scheduler from './scheduler.js';
+
+class PianoRoll {
+    constructor() {
+        // Editor elements (all optional, the editor is disabled without the grid)
+        this.container = null;      // Scrolling, focusable frame that receives the editing keys
+        this.grid = null;
+        this.ruler = null;
+        this.labels = null;
+        this.snapSelect = null;
+        this.velocitySlider = null;
+        this.velocityValue = null;
+        this.durationInput = null;
+        this.deleteBtn = null;
+        this.status = null;
+        this.playhead = null;
+        this.cursor = null;
+        this.noteElements = [];
+        
+        // Working copy of the recording; edits change these notes and are then handed back
+        this.notes = [];
+        this.selection = new Set();  // Selected note objects
+        this.clipboard = [];         // Copied notes, delays counted from the first one
+        this.cursorTime = 0;         // ms; where pasted notes go, set by clicking an empty spot
+        
+        // Layout
+        this.beatWidth = 48;         // px per beat
+        this.rowHeight = 14;         // px per bar row
+        this.minBars = 4;            // Grid length shown for short or empty recordings
+        this.rows = [];              // { index, label } per row, top row first
+        
+        // Editing
+        this.snap = '1/16';          // Quantize grid key, or 'off'
+        this.newVelocity = 0.8;      // Velocity of added notes
+        this.minDuration = 20;       // ms; shortest length a resize leaves
+        this.nudgeTime = 10;         // ms; arrow key step with snapping off
+        this.resizeHandle = 6;       // px at a note's right end that resize it instead of moving it
+        this.dragThreshold = 4;      // px the pointer must travel before a click becomes a drag
+        this.previewDuration = 0.3;  // seconds a note sounds when added or moved to another bar
+        
+        // Pointer drag: { mode, startX, startY, anchor, origins, rowDelta, moved }
+        // where origins maps each dragged note to its { delay, row, duration, noteIndex, length } when
+        // the drag began (duration as drawn, length as recorded), and moved is set once the pointer
+        // has travelled past dragThreshold
+        this.drag = null;
+        
+        // Set while handing edits back, so the resulting sequenceChanged does not reload them
+        this.isCommitting = false;
+        
+        // Playhead animation
+        this.playheadFrame = null;
+        this.playbackStart = null;
+        
+        // Event listeners storage for cleanup
+        this.listeners = [];
+        
+        this.isInitialized = false;
+    }
+
+    /**
+     * Initialize the editor
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        this.container = document.getElementById('piano-roll');
+        this.grid = document.getElementById('roll-grid');
+        this.ruler = document.getElementById('roll-ruler');
+        this.labels = document.getElementById('roll-labels');
+        this.snapSelect = document.getElementById('roll-snap');
+        this.velocitySlider = document.getElementById('roll-velocity');
+        this.velocityValue = document.getElementById('roll-velocity-value');
+        this.durationInput = document.getElementById('roll-duration');
+        this.deleteBtn = document.getElementById('roll-delete');
+        this.status = document.getElementById('roll-status');
+        
+        if (!this.container || !this.grid) {
+            console.warn('Piano roll not found, editor disabled');
+            return false;
+        }
+        
+        this.playhead = document.createElement('div');
+        this.playhead.className = 'roll-playhead';
+        this.playhead.hidden = true;
+        this.cursor = document.createElement('div');
+        this.cursor.className = 'roll-cursor';
+        this.grid.appendChild(this.cursor);
+        this.grid.appendChild(this.playhead);
+        
+        if (this.snapSelect) {
+            const offOption = document.createElement('option');
+            offOption.value = 'off';
+            offOption.textContent = 'Off';
+            this.snapSelect.appendChild(offOption);
+            quantizer.getGrids().forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                this.snapSelect.appendChild(option);
+            });
+            this.snapSelect.value = this.snap;
+            
+            const snapHandler = (event) => {
+                this.snap = event.target.value;
+            };
+            
+            this.snapSelect.addEventListener('change', snapHandler);
+            this.listeners.push({ element: this.snapSelect, event: 'change', handler: snapHandler });
+        }
+        
+        if (this.velocitySlider) {
+            const velocityHandler = (event) => {
+                this.setSelectionVelocity(parseInt(event.target.value, 10) / 100);
+            };
+            
+            this.velocitySlider.addEventListener('input', velocityHandler);
+            this.listeners.push({ element: this.velocitySlider, event: 'input', handler: velocityHandler });
+        }
+        
+        if (this.durationInput) {
+            const durationHandler = (event) => {
+                // An empty field lets the notes ring out in full
+                const value = event.target.value.trim();
+                this.setSelectionDuration(value === '' ? null : parseFloat(value));
+            };
+            
+            this.durationInput.addEventListener('change', durationHandler);
+            this.listeners.push({ element: this.durationInput, event: 'change', handler: durationHandler });
+        }
+        
+        if (this.deleteBtn) {
+            const deleteHandler = () => {
+                this.deleteSelection();
+            };
+            
+            this.deleteBtn.addEventListener('click', deleteHandler);
+            this.listeners.push({ element: this.deleteBtn, event: 'click', handler: deleteHandler });
+        }
+        
+        // Drags continue outside the grid, so moves and releases are watched on the document
+        const pointerDownHandler = (event) => this.handlePointerDown(event);
+        const pointerMoveHandler = (event) => this.handlePointerMove(event);
+        const pointerUpHandler = () => this.handlePointerUp();
+        const pointerCancelHandler = () => this.handlePointerCancel();
+        const doubleClickHandler = (event) => this.handleDoubleClick(event);
+        const keyDownHandler = (event) => this.handleKeyDown(event);
+        
+        this.grid.addEventListener('pointerdown', pointerDownHandler);
+        this.grid.addEventListener('dblclick', doubleClickHandler);
+        this.container.addEventListener('keydown', keyDownHandler);
+        document.addEventListener('pointermove', pointerMoveHandler);
+        document.addEventListener('pointerup', pointerUpHandler);
+        document.addEventListener('pointercancel', pointerCancelHandler);
+        this.listeners.push(
+            { element: this.grid, event: 'pointerdown', handler: pointerDownHandler },
+            { element: this.grid, event: 'dblclick', handler: doubleClickHandler },
+            { element: this.container, event: 'keydown', handler: keyDownHandler },
+            { element: document, event: 'pointermove', handler: pointerMoveHandler },
+            { element: document, event: 'pointerup', handler: pointerUpHandler },
+            { element: document, event: 'pointercancel', handler: pointerCancelHandler }
+        );
+        
+        const sequenceChangedHandler = () => {
+            if (!this.isCommitting) {
+                this.load();
+            }
+        };
+        const scaleChangedHandler = () => this.render();
+        const playbackStartedHandler = (event) => this.startPlayhead(event.detail.startTime);
+        const playbackStoppedHandler = () => this.stopPlayhead();
+        
+        document.addEventListener('sequenceChanged', sequenceChangedHandler);
+        document.addEventListener('scaleChanged', scaleChangedHandler);
+        document.addEventListener('playbackStarted', playbackStartedHandler);
+        document.addEventListener('playbackStopped', playbackStoppedHandler);
+        this.listeners.push(
+            { element: document, event: 'sequenceChanged', handler: sequenceChangedHandler },
+            { element: document, event: 'scaleChanged', handler: scaleChangedHandler },
+            { element: document, event: 'playbackStarted', handler: playbackStartedHandler },
+            { element: document, event: 'playbackStopped', handler: playbackStoppedHandler }
+        );
+        
+        this.load();
+        
+        this.isInitialized = true;
+        console.log('Piano roll initialized');
+        return true;
+    }
+
+    /**
+     * Take a fresh copy of the recording and show it
+     */
+    load() {
+        this.notes = controls.getRecordedSequence().map(note => ({ ...note }));
+        this.selection.clear();
+        this.drag = null;
+        this.render();
+    }
+
+    /**
+     * Hand the edited notes back to the recording
+     * If the recording refuses them (while recording or playing), the editor goes back to the recording
+     * @returns {boolean} Success status
+     */
+    commit() {
+        this.notes.sort((a, b) => a.delay - b.delay);
+        
+        this.isCommitting = true;
+        const accepted = controls.setRecordedSequence(this.notes);
+        this.isCommitting = false;
+        
+        if (!accepted) {
+            this.load();
+            return false;
+        }
+        
+        this.render();
+        return true;
+    }
+
+    /**
+     * Check whether the recording can be edited now
+     * @returns {boolean} False while recording or playing
+     */
+    canEdit() {
+        return !controls.isCurrentlyRecording() && !controls.isCurrentlyPlaying();
+    }
+
+    /**
+     * Get the tempo the grid is drawn at: the recording's own, or the metronome's for recordings without one
+     * @returns {Object} { bpm, beatsPerBar, beatUnit }
+     */
+    getMeter() {
+        return controls.getRecordingTempo() || metronome.getMeter();
+    }
+
+    /**
+     * Get the length of one beat of the grid
+     * @returns {number} Milliseconds
+     */
+    getBeatLength() {
+        const meter = this.getMeter();
+        return (60000 / meter.bpm) * (4 / meter.beatUnit);
+    }
+
+    /**
+     * Get the horizontal scale
+     * @returns {number} Pixels per millisecond
+     */
+    getPixelsPerMs() {
+        return this.beatWidth / this.getBeatLength();
+    }
+
+    /**
+     * Get the length a note is drawn with; notes without a duration ring out and are drawn a beat long
+     * @param {Object} note - Recorded note
+     * @returns {number} Milliseconds
+     */
+    getDisplayLength(note) {
+        return note.duration !== undefined ? note.duration : this.getBeatLength();
+    }
+
+    /**
+     * List the rows, highest bar first
+     * Notes for bars the current instrument does not have (recorded with more bars) get rows of their own on top
+     * @returns {Array} Rows as { index, label }
+     */
+    getRows() {
+        const table = xylophone.getAllNotes();
+        const rows = table
+            .map((note, index) => ({ index, label: note.displayName, midi: note.midi }))
+            .sort((a, b) => b.midi - a.midi)
+            .map(({ index, label }) => ({ index, label }));
+        
+        const maxIndex = this.notes.reduce((max, note) => Math.max(max, note.noteIndex), -1);
+        for (let index = table.length; index <= maxIndex; index++) {
+            rows.unshift({ index, label: `Bar ${index + 1}` });
+        }
+        
+        return rows;
+    }
+
+    /**
+     * Find the row a bar is drawn in
+     * @param {number} noteIndex - Bar index
+     * @returns {number} Row, or -1 if it has none
+     */
+    getRowForNote(noteIndex) {
+        return this.rows.findIndex(row => row.index === noteIndex);
+    }
+
+    /**
+     * Snap a time to the selected grid
+     * @param {number} time - Milliseconds
+     * @returns {number} Snapped time (unchanged with snapping off)
+     */
+    snapTime(time) {
+        const length = this.getSnapLength();
+        return length === null ? time : Math.round(time / length) * length;
+    }
+
+    /**
+     * Get the snap grid step
+     * @returns {number|null} Milliseconds, or null with snapping off
+     */
+    getSnapLength() {
+        return this.snap === 'off' ? null : quantizer.getGridLength(this.getMeter(), this.snap);
+    }
+
+    /**
+     * Find the time and row under the pointer
+     * @param {PointerEvent|MouseEvent} event - Pointer event
+     * @returns {Object} { time, row }: milliseconds from the start and row index
+     */
+    getPointerPosition(event) {
+        const rect = this.grid.getBoundingClientRect();
+        const time = Math.max(0, (event.clientX - rect.left) / this.getPixelsPerMs());
+        const row = Math.floor((event.clientY - rect.top) / this.rowHeight);
+        
+        return { time, row: Math.max(0, Math.min(this.rows.length - 1, row)) };
+    }
+
+    /**
+     * Draw the grid, ruler, row labels and notes
+     */
+    render() {
+        if (!this.grid) {
+            return;
+        }
+        
+        this.rows = this.getRows();
+        
+        const meter = this.getMeter();
+        const pixelsPerMs = this.getPixelsPerMs();
+        const barLength = this.getBeatLength() * meter.beatsPerBar;
+        const end = this.notes.reduce((max, note) => Math.max(max, note.delay + this.getDisplayLength(note)), 0);
+        const bars = Math.max(this.minBars, Math.ceil(end / barLength) + 1);
+        const width = bars * barLength * pixelsPerMs;
+        
+        this.grid.style.width = `${width}px`;
+        this.grid.style.height = `${this.rows.length * this.rowHeight}px`;
+        this.grid.style.setProperty('--roll-beat-width', `${this.beatWidth}px`);
+        this.grid.style.setProperty('--roll-bar-width', `${this.beatWidth * meter.beatsPerBar}px`);
+        this.grid.style.setProperty('--roll-row-height', `${this.rowHeight}px`);
+        
+        this.noteElements.forEach(element => element.remove());
+        this.noteElements = this.notes.map((note, index) => this.createNoteElement(note, index, pixelsPerMs, meter));
+        this.noteElements.forEach(element => this.grid.insertBefore(element, this.cursor));
+        
+        this.cursor.style.left = `${this.cursorTime * pixelsPerMs}px`;
+        
+        if (this.labels) {
+            this.labels.innerHTML = '';
+            this.rows.forEach(row => {
+                const label = document.createElement('div');
+                label.className = 'roll-label';
+                label.style.height = `${this.rowHeight}px`;
+                label.textContent = row.label;
+                this.labels.appendChild(label);
+            });
+        }
+        
+        if (this.ruler) {
+            this.ruler.innerHTML = '';
+            this.ruler.style.width = `${width}px`;
+            for (let bar = 0; bar < bars; bar++) {
+                const number = document.createElement('span');
+                number.className = 'roll-bar-number';
+                number.style.left = `${bar * barLength * pixelsPerMs}px`;
+                number.textContent = String(bar + 1);
+                this.ruler.appendChild(number);
+            }
+        }
+        
+        this.updateSelectionControls();
+    }
+
+    /**
+     * Build the element for one note
+     * @param {Object} note - Recorded note
+     * @param {number} index - Position in this.notes
+     * @param {number} pixelsPerMs - Horizontal scale
+     * @param {Object} meter - Grid tempo, for the bar and beat in the tooltip
+     * @returns {HTMLElement} Note element
+     */
+    createNoteElement(note, index, pixelsPerMs, meter) {
+        const row = this.getRowForNote(note.noteIndex);
+        const velocity = note.velocity !== undefined ? note.velocity : 1.0;
+        const { bar, beat } = metronome.getPosition(note.delay, meter);
+        
+        const element = document.createElement('div');
+        element.className = 'roll-note';
+        element.classList.toggle('selected', this.selection.has(note));
+        element.classList.toggle('ringing', note.duration === undefined);
+        element.dataset.index = String(index);
+        element.style.left = `${note.delay * pixelsPerMs}px`;
+        element.style.top = `${row * this.rowHeight}px`;
+        element.style.width = `${Math.max(4, this.getDisplayLength(note) * pixelsPerMs)}px`;
+        element.style.setProperty('--roll-velocity', String(velocity));
+        element.title = `${this.rows[row].label}, bar ${bar} beat ${beat}, velocity ${Math.round(velocity * 100)}%`;
+        
+        return element;
+    }
+
+    /**
+     * Show the selection's velocity and length, and enable the controls that act on it
+     */
+    updateSelectionControls() {
+        const selected = [...this.selection];
+        const first = selected[0];
+        
+        if (this.velocitySlider) {
+            this.velocitySlider.disabled = !first;
+            if (first) {
+                const velocity = Math.round((first.velocity !== undefined ? first.velocity : 1.0) * 100);
+                this.velocitySlider.value = String(velocity);
+                if (this.velocityValue) {
+                    this.velocityValue.textContent = `${velocity}%`;
+                }
+            } else if (this.velocityValue) {
+                this.velocityValue.textContent = '';
+            }
+        }
+        
+        if (this.durationInput) {
+            this.durationInput.disabled = !first;
+            this.durationInput.value = first && first.duration !== undefined ? String(Math.round(first.duration)) : '';
+        }
+        
+        if (this.deleteBtn) {
+            this.deleteBtn.disabled = !first;
+        }
+        
+        if (this.status) {
+            const count = this.notes.length;
+            this.status.textContent = count === 0 ? '' :
+                `${count} ${count === 1 ? 'note' : 'notes'}${selected.length > 0 ? `, ${selected.length} selected` : ''}`;
+        }
+    }
+
+    /**
+     * Start selecting, moving or resizing on pointer down
+     * Clicking a note selects it (Shift adds or removes it) and starts dragging the selection;
+     * its right end resizes instead. Clicking an empty spot clears the selection and sets the paste point
+     * @param {PointerEvent} event - Pointer down event
+     */
+    handlePointerDown(event) {
+        if (event.button > 0 || !this.canEdit()) {
+            return;
+        }
+        
+        const position = this.getPointerPosition(event);
+        const index = this.noteElements.indexOf(event.target);
+        
+        if (index === -1) {
+            if (!event.shiftKey) {
+                this.selection.clear();
+            }
+            this.cursorTime = this.snapTime(position.time);
+            this.render();
+            return;
+        }
+        
+        const note = this.notes[index];
+        
+        if (event.shiftKey) {
+            if (this.selection.has(note)) {
+                this.selection.delete(note);
+            } else {
+                this.selection.add(note);
+            }
+            this.render();
+            return;
+        }
+        
+        if (!this.selection.has(note)) {
+            this.selection.clear();
+            this.selection.add(note);
+        }
+        
+        const rect = event.target.getBoundingClientRect();
+        const origins = new Map();
+        this.selection.forEach(selected => {
+            origins.set(selected, {
+                delay: selected.delay,
+                row: this.getRowForNote(selected.noteIndex),
+                duration: this.getDisplayLength(selected),
+                noteIndex: selected.noteIndex,
+                length: selected.duration
+            });
+        });
+        
+        this.drag = {
+            mode: event.clientX > rect.right - this.resizeHandle ? 'resize' : 'move',
+            startX: event.clientX,
+            startY: event.clientY,
+            anchor: note,
+            origins,
+            rowDelta: 0,
+            moved: false
+        };
+        
+        event.preventDefault();
+        this.previewNote(note);
+        this.render();
+    }
+
+    /**
+     * Move or resize the dragged notes
+     * Nothing changes until the pointer travels past the drag threshold, so a click only selects.
+     * Moves snap the clicked note to the grid and carry the rest of the selection along with it;
+     * a drag that only goes up or down keeps the notes' timing
+     * @param {PointerEvent} event - Pointer move event
+     */
+    handlePointerMove(event) {
+        if (!this.drag) {
+            return;
+        }
+        
+        const offsetX = event.clientX - this.drag.startX;
+        const offsetY = event.clientY - this.drag.startY;
+        
+        if (!this.drag.moved && Math.hypot(offsetX, offsetY) < this.dragThreshold) {
+            return;
+        }
+        
+        const { mode, anchor, origins } = this.drag;
+        const anchorOrigin = origins.get(anchor);
+        const movedX = Math.abs(offsetX) >= this.dragThreshold;
+        const dx = offsetX / this.getPixelsPerMs();
+        
+        if (mode === 'move') {
+            const earliest = Math.min(...[...origins.values()].map(origin => origin.delay));
+            const delta = movedX
+                ? Math.max(-earliest, this.snapTime(anchorOrigin.delay + dx) - anchorOrigin.delay)
+                : 0;
+            
+            const originRows = [...origins.values()].map(origin => origin.row);
+            const dy = Math.round(offsetY / this.rowHeight);
+            const rowDelta = Math.max(-Math.min(...originRows), Math.min(this.rows.length - 1 - Math.max(...originRows), dy));
+            
+            origins.forEach((origin, note) => {
+                note.delay = origin.delay + delta;
+                note.noteIndex = this.rows[origin.row + rowDelta].index;
+            });
+            
+            if (rowDelta !== this.drag.rowDelta) {
+                this.drag.rowDelta = rowDelta;
+                this.previewNote(anchor);
+            }
+        } else if (movedX) {
+            const anchorEnd = anchorOrigin.delay + anchorOrigin.duration;
+            const delta = this.snapTime(anchorEnd + dx) - anchorEnd;
+            
+            origins.forEach((origin, note) => {
+                note.duration = Math.max(this.minDuration, origin.duration + delta);
+            });
+        }
+        
+        this.drag.moved = true;
+        this.render();
+    }
+
+    /**
+     * Finish a drag, keeping the change if anything moved
+     */
+    handlePointerUp() {
+        if (!this.drag) {
+            return;
+        }
+        
+        const moved = this.drag.moved;
+        this.drag = null;
+        
+        if (moved) {
+            this.commit();
+        }
+    }
+
+    /**
+     * Abandon a drag the browser cancelled (a touch taken over by scrolling, for example),
+     * putting the dragged notes back where they were
+     */
+    handlePointerCancel() {
+        if (!this.drag) {
+            return;
+        }
+        
+        this.drag.origins.forEach((origin, note) => {
+            note.delay = origin.delay;
+            note.noteIndex = origin.noteIndex;
+            if (origin.length !== undefined) {
+                note.duration = origin.length;
+            } else {
+                delete note.duration;
+            }
+        });
+        
+        this.drag = null;
+        this.render();
+    }
+
+    /**
+     * Add a note where an empty spot is double-clicked, one grid step long (a beat with snapping off)
+     * @param {MouseEvent} event - Double click event
+     */
+    handleDoubleClick(event) {
+        if (!this.canEdit() || this.noteElements.includes(event.target) || this.rows.length === 0) {
+            return;
+        }
+        
+        const position = this.getPointerPosition(event);
+        const snapLength = this.getSnapLength();
+        const note = {
+            noteIndex: this.rows[position.row].index,
+            delay: this.snapTime(position.time),
+            velocity: this.newVelocity,
+            duration: snapLength !== null ? snapLength : this.getBeatLength()
+        };
+        
+        this.notes.push(note);
+        this.selection = new Set([note]);
+        this.previewNote(note);
+        this.commit();
+    }
+
+    /**
+     * Handle editing keys while the editor has focus
+     * Delete/Backspace delete, Ctrl/Cmd+C, X, V and A copy, cut, paste and select all, Esc clears the
+     * selection and the arrow keys nudge it; handled keys do not reach the bars
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeyDown(event) {
+        if (!this.canEdit()) {
+            return;
+        }
+        
+        const command = event.ctrlKey || event.metaKey;
+        let handled = true;
+        
+        if (event.key === 'Delete' || event.key === 'Backspace') {
+            this.deleteSelection();
+        } else if (command && event.code === 'KeyC') {
+            this.copySelection();
+        } else if (command && event.code === 'KeyX') {
+            this.copySelection();
+            this.deleteSelection();
+        } else if (command && event.code === 'KeyV') {
+            this.paste();
+        } else if (command && event.code === 'KeyA') {
+            this.selection = new Set(this.notes);
+            this.render();
+        } else if (event.key === 'Escape') {
+            this.selection.clear();
+            this.render();
+        } else if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+            this.nudgeSelection(event.key === 'ArrowLeft' ? -1 : 1, 0);
+        } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+            // Rows run from the highest bar down
+            this.nudgeSelection(0, event.key === 'ArrowUp' ? -1 : 1);
+        } else {
+            handled = false;
+        }
+        
+        if (handled) {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+    }
+
+    /**
+     * Move the selection by grid steps (or nudgeTime with snapping off) and rows
+     * Moves that would take a note before the start or off the rows are refused
+     * @param {number} steps - Steps later (negative for earlier)
+     * @param {number} rows - Rows down (negative for up)
+     * @returns {boolean} Success status
+     */
+    nudgeSelection(steps, rows) {
+        if (this.selection.size === 0) {
+            return false;
+        }
+        
+        const snapLength = this.getSnapLength();
+        const delta = steps * (snapLength !== null ? snapLength : this.nudgeTime);
+        const selected = [...this.selection];
+        
+        const fits = selected.every(note => {
+            const row = this.getRowForNote(note.noteIndex) + rows;
+            return note.delay + delta >= 0 && row >= 0 && row < this.rows.length;
+        });
+        if (!fits) {
+            return false;
+        }
+        
+        selected.forEach(note => {
+            note.delay += delta;
+            note.noteIndex = this.rows[this.getRowForNote(note.noteIndex) + rows].index;
+        });
+        
+        if (rows !== 0) {
+            this.previewNote(selected[0]);
+        }
+        return this.commit();
+    }
+
+    /**
+     * Delete the selected notes
+     * @returns {boolean} Success status (false if nothing is selected)
+     */
+    deleteSelection() {
+        if (this.selection.size === 0) {
+            return false;
+        }
+        
+        this.notes = this.notes.filter(note => !this.selection.has(note));
+        this.selection.clear();
+        return this.commit();
+    }
+
+    /**
+     * Copy the selected notes
+     * @returns {number} Number of notes copied
+     */
+    copySelection() {
+        const selected = [...this.selection].sort((a, b) => a.delay - b.delay);
+        if (selected.length === 0) {
+            return 0;
+        }
+        
+        const start = selected[0].delay;
+        this.clipboard = selected.map(note => ({ ...note, delay: note.delay - start }));
+        return this.clipboard.length;
+    }
+
+    /**
+     * Paste copied notes at the paste point and select them
+     * The paste point then moves past them, so pasting again repeats the phrase
+     * @returns {boolean} Success status (false if nothing was copied)
+     */
+    paste() {
+        if (this.clipboard.length === 0) {
+            return false;
+        }
+        
+        const pasted = this.clipboard.map(note => ({ ...note, delay: note.delay + this.cursorTime }));
+        const length = this.clipboard.reduce((max, note) => Math.max(max, note.delay + this.getDisplayLength(note)), 0);
+        
+        this.notes.push(...pasted);
+        this.selection = new Set(pasted);
+        this.cursorTime = this.snapTime(this.cursorTime + length);
+        return this.commit();
+    }
+
+    /**
+     * Set the velocity of the selected notes
+     * @param {number} velocity - Strike strength (0-1)
+     * @returns {boolean} Success status
+     */
+    setSelectionVelocity(velocity) {
+        if (this.selection.size === 0 || !Number.isFinite(velocity) || velocity < 0 || velocity > 1) {
+            return false;
+        }
+        
+        this.selection.forEach(note => {
+            note.velocity = velocity;
+        });
+        return this.commit();
+    }
+
+    /**
+     * Set the length of the selected notes
+     * @param {number|null} duration - Milliseconds (at least minDuration), or null to let them ring out
+     * @returns {boolean} Success status
+     */
+    setSelectionDuration(duration) {
+        if (this.selection.size === 0) {
+            return false;
+        }
+        
+        if (duration !== null && (!Number.isFinite(duration) || duration < this.minDuration)) {
+            console.warn(`Invalid note length, must be at least ${this.minDuration}ms`);
+            this.updateSelectionControls();
+            return false;
+        }
+        
+        this.selection.forEach(note => {
+            if (duration === null) {
+                delete note.duration;
+            } else {
+                note.duration = duration;
+            }
+        });
+        return this.commit();
+    }
+
+    /**
+     * Sound a note briefly while editing
+     * @param {Object} note - Recorded note
+     */
+    previewNote(note) {
+        if (note.noteIndex < xylophone.getAllNotes().length) {
+            xylophone.playNote(note.noteIndex, note.velocity !== undefined ? note.velocity : 1.0, {
+                duration: this.previewDuration,
+                semitones: note.semitones
+            });
+        }
+    }
+
+    /**
+     * Follow playback with the playhead, scrolling it into view
+     * @param {number} startTime - Audio context time of the recording's start
+     */
+    startPlayhead(startTime) {
+        if (!this.playhead) {
+            return;
+        }
+        
+        this.playbackStart = startTime;
+        this.playhead.hidden = false;
+        
+        if (this.playheadFrame !== null) {
+            return;
+        }
+        
+        const tick = () => {
+            const now = scheduler.getCurrentTime();
+            if (now !== null) {
+                const x = Math.max(0, (now - this.playbackStart) * 1000) * this.getPixelsPerMs();
+                this.playhead.style.transform = `translateX(${x}px)`;
+                
+                if (x > this.container.scrollLeft + this.container.clientWidth - this.beatWidth) {
+                    this.container.scrollLeft = x - this.beatWidth;
+                }
+            }
+            this.playheadFrame = requestAnimationFrame(tick);
+        };
+        this.playheadFrame = requestAnimationFrame(tick);
+    }
+
+    /**
+     * Stop and hide the playhead
+     */
+    stopPlayhead() {
+        if (this.playheadFrame !== null) {
+            cancelAnimationFrame(this.playheadFrame);
+            this.playheadFrame = null;
+        }
+        if (this.playhead) {
+            this.playhead.hidden = true;
+        }
+    }
+
+    /**
+     * Clean up and remove event listeners
+     */
+    dispose() {
+        this.stopPlayhead();
+        
+        this.listeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.listeners = [];
+        
+        this.noteElements.forEach(element => element.remove());
+        if (this.playhead) {
+            this.playhead.remove();
+        }
+        if (this.cursor) {
+            this.cursor.remove();
+        }
+        
+        this.noteElements = [];
+        this.notes = [];
+        this.selection.clear();
+        this.clipboard = [];
+        this.drag = null;
+        this.container = null;
+        this.grid = null;
+        this.ruler = null;
+        this.labels = null;
+        this.snapSelect = null;
+        this.velocitySlider = null;
+        this.velocityValue = null;
+        this.durationInput = null;
+        this.deleteBtn = null;
+        this.status = null;
+        this.playhead = null;
+        this.cursor = null;
+        this.isInitialized = false;
+        
+        console.log('Piano roll disposed');
+    }
+}
+
+// Export singleton instance
+export default new PianoRoll();
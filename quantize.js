@@ -0,0 +1,231 @@
+/**
+ * Quantize Module
+ * Moves recorded notes toward a musical grid, with strength, swing and humanize
+ * Works on copies: the caller keeps the take as recorded, so quantizing can be auditioned,
+ * redone with other settings or undone
+ */
+
+// Grid steps in beats (quarter notes)
+const GRIDS = {
+    '1/4':   { label: '1/4',          beats: 1 },
+    '1/8':   { label: '1/8',          beats: 1 / 2 },
+    '1/16':  { label: '1/16',         beats: 1 / 4 },
+    '1/32':  { label: '1/32',         beats: 1 / 8 },
+    '1/4T':  { label: '1/4 triplet',  beats: 2 / 3, triplet: true },
+    '1/8T':  { label: '1/8 triplet',  beats: 1 / 3, triplet: true },
+    '1/16T': { label: '1/16 triplet', beats: 1 / 6, triplet: true }
+};
+
+class Quantizer {
+    constructor() {
+        this.grid = '1/16';
+        
+        // How far notes move toward the grid (0 leaves them, 1 snaps them)
+        this.strength = 1.0;
+        
+        // Where the second step of each pair falls, as a share of the pair: 0.5 is straight,
+        // about 0.67 a triplet feel; triplet grids are never swung
+        this.swing = 0.5;
+        this.minSwing = 0.5;
+        this.maxSwing = 0.75;
+        
+        // Random timing spread added after quantizing
+        this.humanize = 0;      // ms either way
+        this.maxHumanize = 50;  // ms
+        
+        // Humanize draws from a seeded generator, so an audition and the apply after it match;
+        // the seed changes with the humanize amount and after each apply
+        this.seed = 0;
+        this.reseed();
+    }
+
+    /**
+     * Draw a new humanize seed, so the next audition and apply get fresh timing
+     */
+    reseed() {
+        this.seed = Math.floor(Math.random() * 0x7fffffff);
+    }
+
+    /**
+     * Quantize a sequence
+     * Note lengths are kept; notes are returned in time order
+     * @param {Array} notes - Recorded notes ({ noteIndex, delay, velocity, duration }, delays in ms
+     *                        from bar 1, beat 1)
+     * @param {Object} meter - Tempo the notes were recorded at ({ bpm, beatsPerBar, beatUnit })
+     * @returns {Array} New array of note copies with quantized delays
+     */
+    apply(notes, meter) {
+        const stepLength = this.getGridLength(meter);
+        const random = this.createRandom(this.seed);
+        
+        return notes.map(note => {
+            const target = this.getNearestStep(note.delay, stepLength);
+            let delay = note.delay + (target - note.delay) * this.strength;
+            
+            if (this.humanize > 0) {
+                delay += (random() * 2 - 1) * this.humanize;
+            }
+            
+            return { ...note, delay: Math.max(0, Math.round(delay)) };
+        }).sort((a, b) => a.delay - b.delay);
+    }
+
+    /**
+     * Get the length of one grid step
+     * @param {Object} meter - Tempo ({ bpm, ... })
+     * @param {string} grid - Grid key (default: the selected grid)
+     * @returns {number} Milliseconds
+     */
+    getGridLength(meter, grid = this.grid) {
+        return (60000 / meter.bpm) * GRIDS[grid].beats;
+    }
+
+    /**
+     * Find the grid step closest to a time, with odd steps pushed late by the swing
+     * @param {number} time - Milliseconds
+     * @param {number} stepLength - Grid step in milliseconds
+     * @returns {number} Time of the closest step (ms)
+     */
+    getNearestStep(time, stepLength) {
+        const swingOffset = GRIDS[this.grid].triplet ? 0 : (this.swing - 0.5) * 2 * stepLength;
+        const first = Math.floor(time / stepLength);
+        
+        let nearest = null;
+        for (let step = first - 1; step <= first + 1; step++) {
+            if (step < 0) {
+                continue;
+            }
+            
+            const stepTime = step * stepLength + (step % 2 === 1 ? swingOffset : 0);
+            if (nearest === null || Math.abs(stepTime - time) < Math.abs(nearest - time)) {
+                nearest = stepTime;
+            }
+        }
+        
+        return nearest;
+    }
+
+    /**
+     * Create a small seeded random number generator (mulberry32)
+     * @param {number} seed - 32-bit seed
+     * @returns {Function} Returns numbers in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Select the grid
+     * @param {string} grid - Grid key such as '1/16' or '1/8T' (see getGrids())
+     * @returns {boolean} Success status
+     */
+    setGrid(grid) {
+        if (!Object.prototype.hasOwnProperty.call(GRIDS, grid)) {
+            console.warn(`Unknown quantize grid: ${grid}`);
+            return false;
+        }
+        
+        this.grid = grid;
+        return true;
+    }
+
+    /**
+     * Get the grid
+     * @returns {string} Grid key
+     */
+    getGrid() {
+        return this.grid;
+    }
+
+    /**
+     * Set how far notes move toward the grid
+     * @param {number} strength - 0 (not at all) to 1 (onto the grid)
+     * @returns {boolean} Success status
+     */
+    setStrength(strength) {
+        if (!Number.isFinite(strength) || strength < 0 || strength > 1) {
+            console.warn('Invalid quantize strength, must be between 0 and 1');
+            return false;
+        }
+        
+        this.strength = strength;
+        return true;
+    }
+
+    /**
+     * Get the quantize strength
+     * @returns {number} Strength (0-1)
+     */
+    getStrength() {
+        return this.strength;
+    }
+
+    /**
+     * Set the swing
+     * @param {number} swing - 0.5 (straight) to 0.75
+     * @returns {boolean} Success status
+     */
+    setSwing(swing) {
+        if (!Number.isFinite(swing) || swing < this.minSwing || swing > this.maxSwing) {
+            console.warn(`Invalid swing, must be between ${this.minSwing} and ${this.maxSwing}`);
+            return false;
+        }
+        
+        this.swing = swing;
+        return true;
+    }
+
+    /**
+     * Get the swing
+     * @returns {number} Swing (0.5-0.75)
+     */
+    getSwing() {
+        return this.swing;
+    }
+
+    /**
+     * Set the humanize spread
+     * A new amount also draws a new seed
+     * @param {number} humanize - Milliseconds either way (0 to maxHumanize)
+     * @returns {boolean} Success status
+     */
+    setHumanize(humanize) {
+        if (!Number.isFinite(humanize) || humanize < 0 || humanize > this.maxHumanize) {
+            console.warn(`Invalid humanize, must be between 0 and ${this.maxHumanize}ms`);
+            return false;
+        }
+        
+        if (humanize !== this.humanize) {
+            this.humanize = humanize;
+            this.reseed();
+        }
+        return true;
+    }
+
+    /**
+     * Get the humanize spread
+     * @returns {number} Milliseconds
+     */
+    getHumanize() {
+        return this.humanize;
+    }
+
+    /**
+     * List grids
+     * @returns {Array} Array of {id, label} objects
+     */
+    getGrids() {
+        return Object.entries(GRIDS).map(([id, grid]) => ({ id, label: grid.label }));
+    }
+}
+
+// Export singleton instance
+export default new Quantizer();
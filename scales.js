@@ -0,0 +1,262 @@
+/**
+ * Scales Module
+ * Music theory helpers that generate the bar note table from a tonic and a mode
+ * Spells each scale degree on its own letter, with the accidentals the key needs (E# in F# major)
+ * Frequencies come from the current tuning (see tuning.js)
+ */
+
+import tuning from './tuning.js';
+
+// Pitch classes spelled with sharps and with flats
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Letter names in order, and the pitch class of each
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_CLASSES = [0, 2, 4, 5, 7, 9, 11];
+
+// Tonics offered in the key picker, spelled the way they are usually written
+const TONICS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Major keys whose signatures use flats (F, Bb, Eb, Ab, Db, Gb as pitch classes)
+const FLAT_KEYS = [5, 10, 3, 8, 1, 6];
+
+// Modes: semitone steps above the tonic, and the tonic's distance above its relative major
+// (used to pick sharps or flats). Modes without seven notes list the letter each degree is
+// spelled on, counted from the tonic's letter (seven-note modes use one letter per degree)
+const MODES = {
+    'major':            { label: 'Major',            intervals: [0, 2, 4, 5, 7, 9, 11], relative: 0 },
+    'natural-minor':    { label: 'Natural Minor',    intervals: [0, 2, 3, 5, 7, 8, 10], relative: 9 },
+    'harmonic-minor':   { label: 'Harmonic Minor',   intervals: [0, 2, 3, 5, 7, 8, 11], relative: 9 },
+    'major-pentatonic': { label: 'Major Pentatonic', intervals: [0, 2, 4, 7, 9],        relative: 0, letters: [0, 1, 2, 4, 5] },
+    'minor-pentatonic': { label: 'Minor Pentatonic', intervals: [0, 3, 5, 7, 10],       relative: 9, letters: [0, 2, 3, 4, 6] },
+    'blues':            { label: 'Blues',            intervals: [0, 3, 5, 6, 7, 10],    relative: 9, letters: [0, 2, 3, 4, 4, 6] },
+    'dorian':           { label: 'Dorian',           intervals: [0, 2, 3, 5, 7, 9, 10], relative: 2 },
+    'phrygian':         { label: 'Phrygian',         intervals: [0, 1, 3, 5, 7, 8, 10], relative: 4 },
+    'lydian':           { label: 'Lydian',           intervals: [0, 2, 4, 6, 7, 9, 11], relative: 5 },
+    'mixolydian':       { label: 'Mixolydian',       intervals: [0, 2, 4, 5, 7, 9, 10], relative: 7 },
+    'aeolian':          { label: 'Aeolian',          intervals: [0, 2, 3, 5, 7, 8, 10], relative: 9 },
+    'locrian':          { label: 'Locrian',          intervals: [0, 1, 3, 5, 6, 8, 10], relative: 11 },
+    'whole-tone':       { label: 'Whole Tone',       intervals: [0, 2, 4, 6, 8, 10],    relative: 0, letters: [0, 1, 2, 3, 4, 5] }
+};
+
+class Scales {
+    constructor() {
+        this.defaultTonic = 'C';
+        this.defaultMode = 'major';
+    }
+
+    /**
+     * Get the pitch class (0-11) of a note name
+     * @param {string} name - Note name such as 'C', 'F#' or 'Bb'
+     * @returns {number|null} Pitch class, or null if not a note name
+     */
+    getPitchClass(name) {
+        let pitchClass = SHARP_NAMES.indexOf(name);
+        if (pitchClass === -1) {
+            pitchClass = FLAT_NAMES.indexOf(name);
+        }
+        return pitchClass === -1 ? null : pitchClass;
+    }
+
+    /**
+     * Check whether a key uses flats in its signature
+     * @param {string} tonic - Tonic note name
+     * @param {string} mode - Mode key
+     * @returns {boolean} True for flat spelling
+     */
+    usesFlats(tonic, mode) {
+        const tonicClass = this.getPitchClass(tonic);
+        const relativeMajor = (tonicClass - MODES[mode].relative + 12) % 12;
+        
+        // F# / Gb major is ambiguous; follow the tonic's own spelling
+        if (relativeMajor === 6) {
+            return tonic.includes('b');
+        }
+        return FLAT_KEYS.includes(relativeMajor);
+    }
+
+    /**
+     * Spell the tonic the way the key signature writes it: a flat tonic in a sharp key is
+     * respelled (Db minor is written C# minor, Ab minor G# minor)
+     * @param {string} tonic - Tonic note name
+     * @param {string} mode - Mode key
+     * @returns {string} Tonic name such as 'C#'
+     */
+    spellTonic(tonic, mode) {
+        if (tonic.length === 1) {
+            return tonic;
+        }
+        
+        const names = this.usesFlats(tonic, mode) ? FLAT_NAMES : SHARP_NAMES;
+        return names[this.getPitchClass(tonic)];
+    }
+
+    /**
+     * Spell a MIDI note on a given letter, with as many sharps or flats as it takes
+     * The octave follows the letter, so B#3 and C4 are the same pitch
+     * @param {number} midi - MIDI note number (60 = C4)
+     * @param {string} letter - Letter name ('C' to 'B')
+     * @returns {string} Name such as 'E#5', 'Cb4' or 'F##4'
+     */
+    spellNote(midi, letter) {
+        const letterClass = LETTER_CLASSES[LETTERS.indexOf(letter)];
+        const alteration = (((midi - letterClass) % 12) + 18) % 12 - 6;
+        const accidental = alteration > 0 ? '#'.repeat(alteration) : 'b'.repeat(-alteration);
+        const octave = Math.floor((midi - alteration) / 12) - 1;
+        return `${letter}${accidental}${octave}`;
+    }
+
+    /**
+     * Get the scientific pitch name of a MIDI note, outside any scale (accidental bars, ranges)
+     * @param {number} midi - MIDI note number (60 = C4)
+     * @param {boolean} useFlats - Spell accidentals as flats
+     * @returns {string} Name such as 'C4' or 'Bb3'
+     */
+    getNoteName(midi, useFlats = false) {
+        const names = useFlats ? FLAT_NAMES : SHARP_NAMES;
+        const octave = Math.floor(midi / 12) - 1;
+        return `${names[midi % 12]}${octave}`;
+    }
+
+    /**
+     * Get the pitch of a MIDI note in the current tuning
+     * @param {number} midi - MIDI note number
+     * @param {number} tonicClass - Pitch class of the tonic, the root of the temperament
+     * @returns {Object} { frequency, cents }: Hz rounded to 0.01 (null if the tuning leaves the note
+     *                   unmapped) and deviation from equal temperament in cents
+     */
+    getPitch(midi, tonicClass) {
+        const frequency = tuning.getFrequency(midi, tonicClass);
+        if (frequency === null) {
+            return { frequency: null, cents: 0 };
+        }
+        
+        return {
+            frequency: Math.round(frequency * 100) / 100,
+            cents: tuning.getCentsDeviation(frequency, midi)
+        };
+    }
+
+    /**
+     * Generate a note table climbing the scale from the tonic
+     * The lowest bar is the tonic between F#3 and F4, so every key sits around middle C
+     * @param {string} tonic - Tonic note name (see getTonics())
+     * @param {string} mode - Mode key (see getModes())
+     * @param {number} count - Number of notes to generate
+     * @returns {Array|null} Notes as {name, frequency, cents, midi, degree, accidental}, or null if tonic/mode is unknown
+     */
+    buildScale(tonic, mode, count) {
+        const tonicClass = this.getPitchClass(tonic);
+        if (tonicClass === null || !MODES[mode]) {
+            return null;
+        }
+        
+        const intervals = MODES[mode].intervals;
+        const letters = MODES[mode].letters || intervals.map((interval, degree) => degree);
+        const useFlats = this.usesFlats(tonic, mode);
+        const tonicLetter = LETTERS.indexOf(this.spellTonic(tonic, mode).charAt(0));
+        const tonicMidi = 60 + (tonicClass > 6 ? tonicClass - 12 : tonicClass);
+        
+        const notes = [];
+        for (let i = 0; i < count; i++) {
+            const octave = Math.floor(i / intervals.length);
+            const degree = i % intervals.length;
+            const midi = tonicMidi + octave * 12 + intervals[degree];
+            const letter = LETTERS[(tonicLetter + letters[degree]) % 7];
+            
+            // Only seven-note modes keep a degree's letter at the cost of a double sharp or flat
+            let name = this.spellNote(midi, letter);
+            if (MODES[mode].letters && /##|bb/.test(name)) {
+                name = this.getNoteName(midi, useFlats);
+            }
+            
+            notes.push({
+                name: name,
+                ...this.getPitch(midi, tonicClass),
+                midi: midi,
+                degree: degree + 1,     // 1-based scale degree
+                accidental: false
+            });
+        }
+        
+        return notes;
+    }
+
+    /**
+     * Generate the raised accidental bars that fill the gaps in a scale
+     * Every semitone missing between two natural bars gets a bar, so a major scale gains the
+     * five sharps/flats of each octave and the three-semitone gaps of pentatonic, blues and
+     * harmonic minor scales get two
+     * @param {string} tonic - Tonic note name
+     * @param {string} mode - Mode key
+     * @param {Array} naturals - Notes from buildScale()
+     * @returns {Array} Notes as {name, frequency, cents, midi, degree: null, accidental: true, slot, step, place},
+     *                  where slot is the index of the natural bar below, step counts the bars
+     *                  up from the bottom of the gap (0 or 1) and place is the bar's position
+     *                  across the natural bars (slot + 0.5 for a bar alone in its gap)
+     */
+    buildAccidentals(tonic, mode, naturals) {
+        const tonicClass = this.getPitchClass(tonic);
+        const useFlats = this.usesFlats(tonic, mode);
+        const accidentals = [];
+        
+        for (let slot = 0; slot < naturals.length - 1; slot++) {
+            const missing = naturals[slot + 1].midi - naturals[slot].midi - 1;
+            
+            for (let step = 0; step < missing; step++) {
+                const midi = naturals[slot].midi + 1 + step;
+                accidentals.push({
+                    name: this.getNoteName(midi, useFlats),
+                    ...this.getPitch(midi, tonicClass),
+                    midi: midi,
+                    degree: null,
+                    accidental: true,
+                    slot: slot,
+                    step: step,
+                    place: slot + (step + 1) / (missing + 1)
+                });
+            }
+        }
+        
+        return accidentals;
+    }
+
+    /**
+     * Check whether a tonic/mode pair is supported
+     * @param {string} tonic - Tonic note name
+     * @param {string} mode - Mode key
+     * @returns {boolean} True if valid
+     */
+    isValidScale(tonic, mode) {
+        return TONICS.includes(tonic) && Object.prototype.hasOwnProperty.call(MODES, mode);
+    }
+
+    /**
+     * Get the number of notes per octave in a mode
+     * @param {string} mode - Mode key
+     * @returns {number} Scale degrees (7 for major, 5 for pentatonic), or 0 if the mode is unknown
+     */
+    getDegreeCount(mode) {
+        return MODES[mode] ? MODES[mode].intervals.length : 0;
+    }
+
+    /**
+     * List tonics for the key picker
+     * @returns {Array} Tonic note names
+     */
+    getTonics() {
+        return [...TONICS];
+    }
+
+    /**
+     * List available modes
+     * @returns {Array} Array of {id, label} objects
+     */
+    getModes() {
+        return Object.entries(MODES).map(([id, mode]) => ({ id, label: mode.label }));
+    }
+}
+
+// Export singleton instance
+export default new Scales();
@@ -0,0 +1,232 @@
+/**
+ * Scheduler Module
+ * Lookahead event scheduler driven by the audio clock
+ * A short refill timer hands events to their callbacks ahead of time with the exact
+ * context time to play at, so timing no longer depends on main-thread timers firing on time
+ */
+
+import audioEngine from './audio-engine.js';
+
+class Scheduler {
+    constructor() {
+        // Scheduling window configuration
+        this.lookahead = 0.1;             // seconds queued ahead while the page is visible
+        this.backgroundLookahead = 1.5;   // seconds queued ahead while hidden (timers throttle to ~1s)
+        this.refillInterval = 25;         // ms between refills
+        this.startDelay = 0.05;           // seconds between a start request and the first event
+
+        // Pending events sorted by time: { id, time, callback, group }
+        this.events = [];
+        this.nextId = 1;
+
+        // Refill timer handle (only runs while events are pending)
+        this.timer = null;
+
+        // Main-thread callbacks aligned to audio time: id -> { timeout, group }
+        this.uiTimeouts = new Map();
+    }
+
+    /**
+     * Get current audio clock time
+     * @returns {number|null} Context time in seconds, or null if audio is not initialized
+     */
+    getCurrentTime() {
+        if (!audioEngine.audioContext) {
+            return null;
+        }
+        return audioEngine.audioContext.currentTime;
+    }
+
+    /**
+     * Get the audio clock time of what is being heard now, behind the current time by the output latency
+     * @returns {number|null} Context time in seconds, or null if audio is not initialized
+     */
+    getHeardTime() {
+        const now = this.getCurrentTime();
+        return now === null ? null : now - this.getOutputLatency();
+    }
+
+    /**
+     * Get how long audio takes from the context to the speakers
+     * @returns {number} Seconds (0 where the browser does not report it)
+     */
+    getOutputLatency() {
+        const context = audioEngine.audioContext;
+        return context && context.outputLatency ? context.outputLatency : 0;
+    }
+
+    /**
+     * Get a start time for a new run of events, slightly in the future
+     * @returns {number|null} Context time in seconds, or null if audio is not initialized
+     */
+    getStartTime() {
+        const now = this.getCurrentTime();
+        return now === null ? null : now + this.startDelay;
+    }
+
+    /**
+     * Schedule a callback at an audio clock time
+     * The callback runs up to one lookahead window early and receives the exact time,
+     * which it should pass on to the audio engine
+     * @param {number} time - Context time in seconds
+     * @param {Function} callback - Called with (time)
+     * @param {string} group - Optional group name for bulk cancellation
+     * @returns {number} Event id
+     */
+    schedule(time, callback, group = null) {
+        const id = this.nextId++;
+        const event = { id, time, callback, group };
+
+        // Insert in time order (events with equal times keep insertion order)
+        let index = this.events.length;
+        while (index > 0 && this.events[index - 1].time > time) {
+            index--;
+        }
+        this.events.splice(index, 0, event);
+
+        this.ensureTimer();
+
+        // Events inside the current window are handed out straight away
+        this.refill();
+
+        return id;
+    }
+
+    /**
+     * Run a main-thread callback when audio scheduled at `time` is actually heard
+     * Used for visual feedback and UI updates that accompany scheduled notes
+     * @param {number} time - Context time in seconds
+     * @param {Function} callback - Called with no arguments
+     * @param {string} group - Optional group name for bulk cancellation
+     * @returns {number} Callback id
+     */
+    runAtTime(time, callback, group = null) {
+        const id = this.nextId++;
+        const now = this.getCurrentTime();
+        const delay = now === null ? 0 : Math.max(0, (time + this.getOutputLatency() - now) * 1000);
+
+        const timeout = setTimeout(() => {
+            this.uiTimeouts.delete(id);
+            callback();
+        }, delay);
+
+        this.uiTimeouts.set(id, { timeout, group });
+        return id;
+    }
+
+    /**
+     * Cancel a pending event or main-thread callback
+     * @param {number} id - Id returned by schedule() or runAtTime()
+     */
+    cancel(id) {
+        this.events = this.events.filter(event => event.id !== id);
+
+        const uiTimeout = this.uiTimeouts.get(id);
+        if (uiTimeout) {
+            clearTimeout(uiTimeout.timeout);
+            this.uiTimeouts.delete(id);
+        }
+    }
+
+    /**
+     * Cancel all pending events and main-thread callbacks in a group
+     * @param {string} group - Group name
+     */
+    cancelGroup(group) {
+        this.events = this.events.filter(event => event.group !== group);
+
+        this.uiTimeouts.forEach((uiTimeout, id) => {
+            if (uiTimeout.group === group) {
+                clearTimeout(uiTimeout.timeout);
+                this.uiTimeouts.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Check whether a group has pending events
+     * @param {string} group - Group name
+     * @returns {boolean} True if any event in the group is still queued
+     */
+    hasPending(group) {
+        return this.events.some(event => event.group === group);
+    }
+
+    /**
+     * Hand out every event that falls inside the lookahead window
+     */
+    refill() {
+        const now = this.getCurrentTime();
+        if (now === null) {
+            return;
+        }
+
+        const windowEnd = now + (document.hidden ? this.backgroundLookahead : this.lookahead);
+
+        while (this.events.length > 0 && this.events[0].time < windowEnd) {
+            const event = this.events.shift();
+
+            try {
+                event.callback(Math.max(event.time, now));
+            } catch (error) {
+                console.error('Error in scheduled event:', error);
+            }
+        }
+
+        if (this.events.length === 0) {
+            this.stopTimer();
+        }
+    }
+
+    /**
+     * Start the refill timer if it is not running
+     */
+    ensureTimer() {
+        if (this.timer === null) {
+            this.timer = setInterval(() => this.refill(), this.refillInterval);
+        }
+    }
+
+    /**
+     * Stop the refill timer
+     */
+    stopTimer() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Set lookahead window
+     * @param {number} lookahead - Window in seconds
+     */
+    setLookahead(lookahead) {
+        if (lookahead >= 0.02 && lookahead <= 1) {
+            this.lookahead = lookahead;
+        } else {
+            console.warn('Invalid lookahead, must be between 0.02 and 1 seconds');
+        }
+    }
+
+    /**
+     * Get lookahead window
+     * @returns {number} Window in seconds
+     */
+    getLookahead() {
+        return this.lookahead;
+    }
+
+    /**
+     * Cancel everything and stop the timer
+     */
+    reset() {
+        this.events = [];
+        this.uiTimeouts.forEach(({ timeout }) => clearTimeout(timeout));
+        this.uiTimeouts.clear();
+        this.stopTimer();
+    }
+}
+
+// Export singleton instance
+export default new Scheduler();
@@ -0,0 +1,240 @@
+/**
+ * Synth Processor Module
+ * AudioWorkletProcessor that renders every struck-bar voice of one instrument in a single stereo node
+ * Voices are started and stopped with messages over the node's port, so dense playing no
+ * longer creates and discards audio nodes per strike
+ * Loaded into the AudioWorkletGlobalScope by the audio engine (see worklet-voice.js)
+ */
+
+// Level a partial reaches at the end of its decay time (-60 dB)
+const DECAY_FLOOR = 0.001;
+
+// Level the mallet burst falls to by the end of its duration
+const MALLET_FLOOR = 0.0001;
+
+class SynthProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        
+        // Voices waiting to start or ringing, in no particular order
+        this.voices = [];
+        
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    /**
+     * Handle a control message from the main thread
+     * @param {Object} message - { type: 'noteOn' | 'noteOff', ... }
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'noteOn':
+                this.voices.push(this.createVoice(message));
+                break;
+            case 'noteOff': {
+                const voice = this.voices.find(candidate => candidate.id === message.id);
+                if (voice) {
+                    this.fadeVoice(voice, message.time, message.fadeTime);
+                }
+                break;
+            }
+            default:
+                console.warn(`Unknown synth message: ${message.type}`);
+        }
+    }
+
+    /**
+     * Build the render state for a strike
+     * @param {Object} note - noteOn message: id, time, duration, frequency, partials, mallet, envelope, pan
+     * @returns {Object} Voice state
+     */
+    createVoice(note) {
+        // Equal-power pan law, as StereoPannerNode uses for mono input
+        const angle = ((note.pan || 0) + 1) * Math.PI / 4;
+
+        const startFrame = Math.round(note.time * sampleRate);
+        const attackFrames = Math.max(1, Math.round(note.envelope.attack * sampleRate));
+        const releaseStart = Math.max(startFrame + attackFrames, Math.round((note.time + note.duration) * sampleRate));
+        const releaseEnd = releaseStart + Math.max(1, Math.round(note.envelope.release * sampleRate));
+        
+        // Each partial is a damped rotating phasor: one complex multiply per sample gives
+        // a sine that decays exponentially, without calling Math.sin or an envelope per sample
+        const partials = note.partials.map(({ ratio, level, decay }) => {
+            const omega = 2 * Math.PI * note.frequency * ratio / sampleRate;
+            const damping = Math.pow(DECAY_FLOOR, 1 / (decay * sampleRate));
+            return {
+                re: level,
+                im: 0,
+                cos: damping * Math.cos(omega),
+                sin: damping * Math.sin(omega)
+            };
+        });
+        
+        return {
+            id: note.id,
+            startFrame,
+            attackFrames,
+            releaseStart,
+            releaseEnd,
+            fadeStart: Infinity,
+            fadeEnd: Infinity,
+            endFrame: releaseEnd,
+            gainLeft: Math.cos(angle),
+            gainRight: Math.sin(angle),
+            partials,
+            mallet: note.mallet ? this.createMallet(note.mallet) : null
+        };
+    }
+
+    /**
+     * Build the band-passed noise burst for the mallet contact
+     * Coefficients match a BiquadFilterNode in 'bandpass' mode
+     * @param {Object} mallet - gain (already velocity scaled), duration, filterFrequency, q
+     * @returns {Object|null} Mallet state
+     */
+    createMallet(mallet) {
+        if (mallet.gain <= 0 || mallet.duration <= 0) {
+            return null;
+        }
+        
+        const frames = Math.round(mallet.duration * sampleRate);
+        const frequency = Math.min(mallet.filterFrequency, sampleRate / 2 - 1);
+        const omega = 2 * Math.PI * frequency / sampleRate;
+        const alpha = Math.sin(omega) / (2 * mallet.q);
+        const a0 = 1 + alpha;
+        
+        return {
+            gain: Math.max(mallet.gain, MALLET_FLOOR),
+            damping: Math.pow(MALLET_FLOOR / Math.max(mallet.gain, MALLET_FLOOR), 1 / Math.max(1, frames)),
+            remaining: frames,
+            b0: alpha / a0,
+            b2: -alpha / a0,
+            a1: -2 * Math.cos(omega) / a0,
+            a2: (1 - alpha) / a0,
+            x1: 0,
+            x2: 0,
+            y1: 0,
+            y2: 0
+        };
+    }
+
+    /**
+     * Schedule a quick linear fade that ends the voice early
+     * @param {Object} voice - Voice state
+     * @param {number} time - Context time to begin the fade
+     * @param {number} fadeTime - Fade length in seconds
+     */
+    fadeVoice(voice, time, fadeTime) {
+        const fadeStart = Math.max(currentFrame, Math.round(time * sampleRate));
+        const fadeEnd = fadeStart + Math.max(1, Math.round(fadeTime * sampleRate));
+        
+        if (fadeEnd < voice.endFrame) {
+            voice.fadeStart = fadeStart;
+            voice.fadeEnd = fadeEnd;
+            voice.endFrame = fadeEnd;
+        }
+    }
+
+    /**
+     * Amplitude envelope of a voice: attack, hold, release, times any early fade
+     * @param {Object} voice - Voice state
+     * @param {number} frame - Absolute frame
+     * @returns {number} Gain (0-1)
+     */
+    getEnvelope(voice, frame) {
+        let gain = 1;
+        
+        if (frame < voice.startFrame + voice.attackFrames) {
+            gain = (frame - voice.startFrame) / voice.attackFrames;
+        } else if (frame >= voice.releaseStart) {
+            gain = 1 - (frame - voice.releaseStart) / (voice.releaseEnd - voice.releaseStart);
+        }
+        
+        if (frame >= voice.fadeStart) {
+            gain *= 1 - (frame - voice.fadeStart) / (voice.fadeEnd - voice.fadeStart);
+        }
+        
+        return Math.max(0, gain);
+    }
+
+    /**
+     * Mix one voice into the output block
+     * @param {Object} voice - Voice state
+     * @param {Float32Array} left - Left output channel
+     * @param {Float32Array} right - Right output channel
+     */
+    renderVoice(voice, left, right) {
+        const first = Math.max(0, voice.startFrame - currentFrame);
+        const last = Math.min(left.length, voice.endFrame - currentFrame);
+        const { partials, mallet } = voice;
+        
+        for (let i = first; i < last; i++) {
+            let sample = 0;
+            
+            for (let p = 0; p < partials.length; p++) {
+                const partial = partials[p];
+                const re = partial.re * partial.cos - partial.im * partial.sin;
+                partial.im = partial.re * partial.sin + partial.im * partial.cos;
+                partial.re = re;
+                sample += partial.im;
+            }
+            
+            if (mallet && mallet.remaining > 0) {
+                const x = (Math.random() * 2 - 1) * mallet.gain;
+                const y = mallet.b0 * x + mallet.b2 * mallet.x2 - mallet.a1 * mallet.y1 - mallet.a2 * mallet.y2;
+                mallet.x2 = mallet.x1;
+                mallet.x1 = x;
+                mallet.y2 = mallet.y1;
+                mallet.y1 = y;
+                mallet.gain *= mallet.damping;
+                mallet.remaining--;
+                sample += y;
+            }
+            
+            const value = sample * this.getEnvelope(voice, currentFrame + i);
+            left[i] += value * voice.gainLeft;
+            right[i] += value * voice.gainRight;
+        }
+    }
+
+    /**
+     * Render one block of all voices and report the ones that finished
+     * @param {Array} inputs - Unused (the node has no inputs)
+     * @param {Array} outputs - One stereo output
+     * @returns {boolean} Always true, the node lives as long as the engine
+     */
+    process(inputs, outputs) {
+        const [left, right] = outputs[0];
+        if (!left) {
+            return true;
+        }
+        
+        // A mono output (channel count forced to 1) gets both sides summed into one buffer
+        const second = right || left;
+        left.fill(0);
+        second.fill(0);
+        
+        const blockEnd = currentFrame + left.length;
+        const ended = [];
+        
+        this.voices = this.voices.filter(voice => {
+            if (voice.startFrame < blockEnd) {
+                this.renderVoice(voice, left, second);
+            }
+            
+            if (voice.endFrame <= blockEnd) {
+                ended.push(voice.id);
+                return false;
+            }
+            return true;
+        });
+        
+        if (ended.length > 0) {
+            this.port.postMessage({ type: 'ended', ids: ended });
+        }
+        
+        return true;
+    }
+}
+
+registerProcessor('synth-processor', SynthProcessor);
@@ -0,0 +1,383 @@
+/**
+ * Tuning Module
+ * Computes note frequencies from a reference pitch and a tuning model
+ * Supports equal temperament, historical temperaments built on the scale's tonic,
+ * and microtonal tunings imported from Scala (.scl) and keyboard mapping (.kbm) files
+ */
+
+// Reference pitches offered in the picker (Hz for A4)
+const REFERENCE_PITCHES = [415, 432, 440, 442];
+
+// Allowed reference pitch range (Hz)
+const MIN_REFERENCE = 380;
+const MAX_REFERENCE = 480;
+
+/**
+ * Convert a frequency ratio to cents
+ * @param {number} ratio - Frequency ratio
+ * @returns {number} Cents
+ */
+function ratioToCents(ratio) {
+    return 1200 * Math.log2(ratio);
+}
+
+/**
+ * Build a 12-note cents table from a chain of fifths
+ * @param {number} fifth - Size of the fifth in cents
+ * @param {number} lowest - Position of the first note in the chain (-3 starts the chain on Eb above C)
+ * @returns {Array<number>} Cents above the root for each semitone step (0-11)
+ */
+function fifthChainToCents(fifth, lowest) {
+    const cents = new Array(12);
+
+    for (let position = lowest; position < lowest + 12; position++) {
+        const value = ((position * fifth) % 1200 + 1200) % 1200;
+        cents[Math.round(value / 100) % 12] = value;
+    }
+
+    return cents;
+}
+
+// Temperaments as cents above the tuning root (the scale's tonic) for each semitone step
+const TEMPERAMENTS = {
+    'equal': {
+        label: 'Equal Temperament',
+        cents: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100]
+    },
+    'just': {
+        label: 'Just Intonation',
+        cents: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8].map(ratioToCents)
+    },
+    // Pure 3:2 fifths from Db to F#
+    'pythagorean': {
+        label: 'Pythagorean',
+        cents: fifthChainToCents(ratioToCents(3 / 2), -5)
+    },
+    // Fifths narrowed by a quarter of the syntonic comma for pure major thirds, Eb to G#
+    'meantone': {
+        label: 'Quarter-Comma Meantone',
+        cents: fifthChainToCents(ratioToCents(5) / 4, -3)
+    }
+};
+
+class Tuning {
+    constructor() {
+        this.referencePitch = 440;    // Hz for A4 (MIDI 69)
+        this.temperament = 'equal';
+        
+        // Imported Scala tuning, used instead of the temperament when set
+        this.scala = null;
+    }
+
+    /**
+     * Get the equal-tempered frequency of a MIDI note at the current reference pitch
+     * @param {number} midi - MIDI note number
+     * @returns {number} Frequency in Hz
+     */
+    getEqualFrequency(midi) {
+        return this.referencePitch * Math.pow(2, (midi - 69) / 12);
+    }
+
+    /**
+     * Get the frequency of a MIDI note in the current tuning
+     * Temperaments are laid out from the tuning root, which keeps its equal-tempered pitch
+     * @param {number} midi - MIDI note number
+     * @param {number} rootClass - Pitch class (0-11) of the tuning root, usually the scale's tonic
+     * @returns {number|null} Frequency in Hz, or null if a Scala keyboard mapping leaves the note unmapped
+     */
+    getFrequency(midi, rootClass = 0) {
+        if (this.scala) {
+            return this.getScalaFrequency(midi);
+        }
+        
+        const step = ((midi - rootClass) % 12 + 12) % 12;
+        const root = midi - step;
+        return this.getEqualFrequency(root) * Math.pow(2, TEMPERAMENTS[this.temperament].cents[step] / 1200);
+    }
+
+    /**
+     * Get the deviation of a frequency from equal temperament at the current reference pitch
+     * @param {number} frequency - Frequency in Hz
+     * @param {number} midi - MIDI note the frequency stands for
+     * @returns {number} Deviation in cents, rounded to one decimal
+     */
+    getCentsDeviation(frequency, midi) {
+        const cents = ratioToCents(frequency / this.getEqualFrequency(midi));
+        return Math.round(cents * 10) / 10;
+    }
+
+    /**
+     * Get the frequency of a MIDI note through the imported Scala scale and keyboard mapping
+     * @param {number} midi - MIDI note number
+     * @returns {number|null} Frequency in Hz, or null if unmapped
+     */
+    getScalaFrequency(midi) {
+        const { mapping } = this.scala;
+        
+        const degree = this.getScalaDegree(midi);
+        if (degree === null) {
+            return null;
+        }
+        
+        const referenceDegree = this.getScalaDegree(mapping.referenceNote);
+        const reference = referenceDegree !== null ? this.getScalaCents(referenceDegree) : 0;
+        
+        return mapping.referenceFrequency * Math.pow(2, (this.getScalaCents(degree) - reference) / 1200);
+    }
+
+    /**
+     * Map a MIDI note to a scale degree counted from the keyboard mapping's middle note
+     * @param {number} midi - MIDI note number
+     * @returns {number|null} Scale degree (may be negative or beyond one period), or null if unmapped
+     */
+    getScalaDegree(midi) {
+        const { steps, mapping } = this.scala;
+        
+        if (midi < mapping.firstNote || midi > mapping.lastNote) {
+            return null;
+        }
+        
+        const offset = midi - mapping.middleNote;
+        
+        // A map size of 0 means linear mapping: one key per scale degree
+        if (mapping.keys.length === 0) {
+            return offset;
+        }
+        
+        const size = mapping.keys.length;
+        const index = ((offset % size) + size) % size;
+        const degree = mapping.keys[index];
+        if (degree === null) {
+            return null;
+        }
+        
+        // Each repeat of the map moves up by the mapping's formal octave
+        const repeats = Math.floor(offset / size);
+        return degree + repeats * (mapping.octaveDegree || steps.length);
+    }
+
+    /**
+     * Get the pitch of a scale degree in cents above degree 0
+     * @param {number} degree - Scale degree (may be negative or beyond one period)
+     * @returns {number} Cents
+     */
+    getScalaCents(degree) {
+        const { steps } = this.scala;
+        const size = steps.length;
+        const period = steps[size - 1];
+        const index = ((degree % size) + size) % size;
+        const periods = Math.floor(degree / size);
+        
+        return periods * period + (index === 0 ? 0 : steps[index - 1]);
+    }
+
+    /**
+     * Parse a Scala scale file
+     * @param {string} text - Contents of a .scl file
+     * @returns {Object} { description, steps } where steps are cents for degrees 1..n (the last is the period)
+     * @throws {Error} If the file is malformed
+     */
+    parseScl(text) {
+        const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+        
+        if (lines.length < 2) {
+            throw new Error('Scala file is missing its header');
+        }
+        
+        const description = lines[0].trim();
+        const count = parseInt(lines[1].trim(), 10);
+        
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('Scala file has an invalid note count');
+        }
+        
+        // Only the first token of a pitch line counts; the rest is a comment
+        const pitches = lines.slice(2)
+            .map(line => line.trim().split(/\s+/)[0])
+            .filter(token => token.length > 0);
+        
+        if (pitches.length < count) {
+            throw new Error(`Scala file lists ${pitches.length} of ${count} pitches`);
+        }
+        
+        const steps = pitches.slice(0, count).map(token => {
+            // Values with a period are cents, anything else is a ratio or an integer
+            if (token.includes('.')) {
+                const cents = parseFloat(token);
+                if (!Number.isFinite(cents)) {
+                    throw new Error(`Invalid cents value: ${token}`);
+                }
+                return cents;
+            }
+            
+            const [numerator, denominator = '1'] = token.split('/');
+            const ratio = parseInt(numerator, 10) / parseInt(denominator, 10);
+            if (!Number.isFinite(ratio) || ratio <= 0) {
+                throw new Error(`Invalid ratio: ${token}`);
+            }
+            return ratioToCents(ratio);
+        });
+        
+        if (steps[steps.length - 1] <= 0) {
+            throw new Error('Scala scale must repeat at an interval above the root');
+        }
+        
+        return { description, steps };
+    }
+
+    /**
+     * Parse a Scala keyboard mapping file
+     * @param {string} text - Contents of a .kbm file
+     * @returns {Object} { firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, keys }
+     *                   where keys holds a scale degree (or null for an unmapped key) per key of the map
+     * @throws {Error} If the file is malformed
+     */
+    parseKbm(text) {
+        const values = text.split(/\r?\n/)
+            .filter(line => !line.startsWith('!'))
+            .map(line => line.trim().split(/\s+/)[0])
+            .filter(token => token.length > 0);
+        
+        if (values.length < 7) {
+            throw new Error('Keyboard mapping is missing header fields');
+        }
+        
+        const [size, firstNote, lastNote, middleNote, referenceNote] = values.slice(0, 5).map(value => parseInt(value, 10));
+        const referenceFrequency = parseFloat(values[5]);
+        const octaveDegree = parseInt(values[6], 10);
+        
+        if ([size, firstNote, lastNote, middleNote, referenceNote, octaveDegree].some(value => !Number.isInteger(value)) ||
+            !(referenceFrequency > 0)) {
+            throw new Error('Keyboard mapping has an invalid header');
+        }
+        
+        const keys = values.slice(7, 7 + size).map(value => {
+            if (value === 'x') {
+                return null;
+            }
+            const degree = parseInt(value, 10);
+            if (!Number.isInteger(degree)) {
+                throw new Error(`Invalid key mapping: ${value}`);
+            }
+            return degree;
+        });
+        
+        // Missing trailing entries are unmapped
+        while (keys.length < size) {
+            keys.push(null);
+        }
+        
+        return { firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, keys };
+    }
+
+    /**
+     * Get the keyboard mapping used when a scale is imported without a .kbm file
+     * Linear from middle C, with A4 at the current reference pitch
+     * @returns {Object} Keyboard mapping (see parseKbm())
+     */
+    getDefaultMapping() {
+        return {
+            firstNote: 0,
+            lastNote: 127,
+            middleNote: 60,
+            referenceNote: 69,
+            referenceFrequency: this.referencePitch,
+            octaveDegree: 0,
+            keys: []
+        };
+    }
+
+    /**
+     * Import a Scala tuning, replacing the temperament until clearScala() is called
+     * @param {string} sclText - Contents of a .scl file
+     * @param {string|null} kbmText - Contents of a .kbm file (default: linear mapping from middle C)
+     * @returns {boolean} Success status
+     */
+    loadScala(sclText, kbmText = null) {
+        try {
+            const scale = this.parseScl(sclText);
+            const mapping = kbmText ? this.parseKbm(kbmText) : this.getDefaultMapping();
+            
+            this.scala = { ...scale, mapping, hasMapping: !!kbmText };
+            console.log(`Loaded Scala tuning: ${scale.description || 'untitled'} (${scale.steps.length} notes)`);
+            return true;
+        } catch (error) {
+            console.error('Error loading Scala tuning:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Drop the imported Scala tuning and return to the selected temperament
+     */
+    clearScala() {
+        this.scala = null;
+    }
+
+    /**
+     * Set the reference pitch for A4
+     * Also moves an imported scale that has no keyboard mapping of its own
+     * @param {number} frequency - Frequency in Hz (380-480)
+     * @returns {boolean} Success status
+     */
+    setReferencePitch(frequency) {
+        if (!(frequency >= MIN_REFERENCE && frequency <= MAX_REFERENCE)) {
+            console.warn(`Invalid reference pitch, must be between ${MIN_REFERENCE} and ${MAX_REFERENCE} Hz`);
+            return false;
+        }
+        
+        this.referencePitch = frequency;
+        
+        if (this.scala && !this.scala.hasMapping) {
+            this.scala.mapping.referenceFrequency = frequency;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Select a temperament
+     * @param {string} temperament - Temperament key (see getTemperaments())
+     * @returns {boolean} Success status
+     */
+    setTemperament(temperament) {
+        if (!Object.prototype.hasOwnProperty.call(TEMPERAMENTS, temperament)) {
+            console.warn(`Unknown temperament: ${temperament}`);
+            return false;
+        }
+        
+        this.temperament = temperament;
+        return true;
+    }
+
+    /**
+     * Get the current tuning settings
+     * @returns {Object} { referencePitch, temperament, scala } where scala is the imported scale's description or null
+     */
+    getState() {
+        return {
+            referencePitch: this.referencePitch,
+            temperament: this.temperament,
+            scala: this.scala ? (this.scala.description || 'Scala tuning') : null
+        };
+    }
+
+    /**
+     * List reference pitches for the picker
+     * @returns {Array<number>} Frequencies in Hz
+     */
+    getReferencePitches() {
+        return [...REFERENCE_PITCHES];
+    }
+
+    /**
+     * List available temperaments
+     * @returns {Array} Array of {id, label} objects
+     */
+    getTemperaments() {
+        return Object.entries(TEMPERAMENTS).map(([id, temperament]) => ({ id, label: temperament.label }));
+    }
+}
+
+// Export singleton instance
+export default new Tuning();
@@ -4,6 +4,8 @@
  * Coordinates with input handler to provide immediate visual response
  */
 
+import barRenderer from './bar-renderer.js';
+
 class VisualFeedback {
     constructor() {
         // Bar elements cache
@@ -16,6 +18,13 @@ class VisualFeedback {
         // Active animation tracking
         this.activeTimeouts = new Map();
         
+        // Re-caches bars and refreshes note labels when the bars are re-rendered
+        this.barsChangedHandler = null;
+        
+        // Cents deviation labels
+        this.showCents = false;
+        this.labelNotes = [];
+        
         // Animation state
         this.isInitialized = false;
     }
@@ -26,8 +35,8 @@ class VisualFeedback {
      * @returns {boolean} Success status
      */
     initialize() {
-        // Cache all bar elements
-        this.barElements = Array.from(document.querySelectorAll('.bar'));
+        // Cache all bar elements, indexed by note
+        this.barElements = barRenderer.getBarElements();
         
         if (this.barElements.length === 0) {
             console.error('No xylophone bars found for visual feedback');
@@ -37,6 +46,14 @@ class VisualFeedback {
         // Ensure CSS animations are available
         this.validateAnimationSupport();
         
+        // Keep the bar cache and note labels in step with the note table
+        this.barsChangedHandler = (event) => {
+            this.deactivateAllBars();
+            this.barElements = barRenderer.getBarElements();
+            this.updateBarLabels(event.detail.notes);
+        };
+        document.addEventListener('barsChanged', this.barsChangedHandler);
+        
         this.isInitialized = true;
         console.log('Visual feedback system initialized');
         return true;
@@ -58,10 +75,11 @@ class VisualFeedback {
     /**
      * Activate visual feedback for a bar
      * Adds active class and schedules removal after duration
-     * @param {number} noteIndex - Index of bar to activate (0-10)
+     * @param {number} noteIndex - Index of bar to activate (natural bars, then accidentals)
+     * @param {number} velocity - Strike strength (0-1, default: 1.0), scales the highlight
      * @returns {boolean} Success status
      */
-    activateBar(noteIndex) {
+    activateBar(noteIndex, velocity = 1.0) {
         if (!this.isInitialized) {
             console.warn('Visual feedback not initialized');
             return false;
@@ -82,6 +100,7 @@ class VisualFeedback {
         }
         
         // Add active class for animation
+        bar.style.setProperty('--strike-velocity', velocity);
         bar.classList.add(this.animationClass);
         
         // Schedule removal of active class
@@ -265,6 +284,73 @@ class VisualFeedback {
         }
     }
 
+    /**
+     * Update note name labels and ARIA labels on the bars
+     * @param {Array} notes - Note objects with `label`, `displayName` (e.g. 'Bb' and 'Bb3') and `cents`, one per bar
+     */
+    updateBarLabels(notes) {
+        this.labelNotes = notes;
+        
+        this.barElements.forEach((bar, index) => {
+            const note = notes[index];
+            if (!note) {
+                return;
+            }
+            
+            // Visible label drops the octave to fit the bar; the ARIA label keeps it
+            const label = bar.querySelector('.note-label');
+            if (label) {
+                label.textContent = note.label;
+            }
+            bar.setAttribute('aria-label', `Note ${note.displayName}`);
+            
+            this.updateCentsLabel(bar, note);
+        });
+    }
+
+    /**
+     * Show or hide a bar's deviation from equal temperament
+     * The label element is created the first time it is needed
+     * @param {HTMLElement} bar - Bar element
+     * @param {Object} note - Note object with `cents`
+     */
+    updateCentsLabel(bar, note) {
+        let label = bar.querySelector('.cents-label');
+        
+        if (!this.showCents) {
+            if (label) {
+                label.remove();
+            }
+            return;
+        }
+        
+        if (!label) {
+            label = document.createElement('span');
+            label.className = 'cents-label';
+            bar.appendChild(label);
+        }
+        
+        const cents = Math.round(note.cents || 0);
+        label.textContent = `${cents > 0 ? '+' : ''}${cents}¢`;
+    }
+
+    /**
+     * Enable or disable cents deviation labels on the bars
+     * @param {boolean} enabled - True to show cents
+     */
+    setShowCents(enabled) {
+        this.showCents = !!enabled;
+        this.updateBarLabels(this.labelNotes);
+    }
+
+    /**
+     * Check whether cents deviation labels are shown
+     * @returns {boolean} True if shown
+     */
+    isShowingCents() {
+        return this.showCents;
+    }
+
     /**
      * Set custom animation class name
      * @param {string} className - CSS class name for active state
@@ -301,6 +387,11 @@ class VisualFeedback {
         // Clear all timeouts
         this.deactivateAllBars();
         
+        if (this.barsChangedHandler) {
+            document.removeEventListener('barsChanged', this.barsChangedHandler);
+            this.barsChangedHandler = null;
+        }
+        
         // Clear references
         this.barElements = [];
         this.activeTimeouts.clear();
@@ -0,0 +1,235 @@
+/**
+ * Voice Manager Module
+ * Allocates voices up to the polyphony limit and steals the quietest or oldest
+ * voice (with a short fade) instead of dropping new notes
+ * Optionally chokes a bar's previous ring when the same bar is struck again
+ */
+
+class VoiceManager {
+    constructor() {
+        // Polyphony configuration
+        this.maxVoices = 20;
+        this.stealPolicy = 'quietest';   // 'quietest' or 'oldest'
+        this.allowStealing = true;       // When false, notes over the limit are dropped (and counted)
+        this.chokeSameKey = false;       // Re-striking a bar cuts its previous ring
+        this.stealFadeTime = 0.03;       // seconds
+        this.chokeFadeTime = 0.05;       // seconds
+        
+        // Active voices: voice -> { key, startTime, noteId }
+        this.voices = new Map();
+        
+        // Allocation statistics
+        this.stats = {
+            stolen: 0,
+            dropped: 0,
+            choked: 0
+        };
+    }
+
+    /**
+     * Make room for a new voice
+     * Chokes same-key voices if enabled, then steals until below the polyphony limit
+     * @param {*} key - Voice key (bar index), or null
+     * @param {number} time - Context time the new voice starts at
+     * @returns {boolean} True if the new voice may start, false if it must be dropped
+     */
+    allocate(key, time) {
+        if (this.chokeSameKey && key !== null && key !== undefined) {
+            this.voices.forEach((info, voice) => {
+                if (info.key === key) {
+                    this.release(voice, time, this.chokeFadeTime);
+                    this.stats.choked++;
+                }
+            });
+        }
+        
+        while (this.voices.size >= this.maxVoices) {
+            if (!this.allowStealing) {
+                this.stats.dropped++;
+                console.warn(`Maximum polyphony (${this.maxVoices}) reached, note dropped`);
+                return false;
+            }
+            
+            const victim = this.findVictim(time);
+            if (!victim) {
+                this.stats.dropped++;
+                console.warn('No voice available to steal, note dropped');
+                return false;
+            }
+            
+            this.release(victim, time, this.stealFadeTime);
+            this.stats.stolen++;
+            console.debug(`Voice stolen (${this.stealPolicy})`);
+        }
+        
+        return true;
+    }
+
+    /**
+     * Pick the voice to steal according to the steal policy
+     * @param {number} time - Context time of the new strike
+     * @returns {Object|null} Voice to steal
+     */
+    findVictim(time) {
+        let victim = null;
+        let best = Infinity;
+        
+        this.voices.forEach((info, voice) => {
+            const score = this.stealPolicy === 'oldest'
+                ? info.startTime
+                : voice.getLevel(time);
+            
+            if (score < best) {
+                best = score;
+                victim = voice;
+            }
+        });
+        
+        return victim;
+    }
+
+    /**
+     * Track a newly started voice
+     * @param {Object} voice - Voice with stop(time, fade), getLevel(time) and onended
+     * @param {*} key - Voice key (bar index), or null
+     * @param {number} startTime - Context time the voice starts at
+     * @param {*} noteId - Id the caller releases the note by, or null
+     */
+    register(voice, key, startTime, noteId = null) {
+        this.voices.set(voice, { key, startTime, noteId });
+    }
+
+    /**
+     * Forget a voice that has ended on its own
+     * @param {Object} voice - Voice to remove
+     */
+    unregister(voice) {
+        this.voices.delete(voice);
+    }
+
+    /**
+     * Fade out a voice and stop tracking it
+     * @param {Object} voice - Voice to release
+     * @param {number} time - Context time to start the fade
+     * @param {number} fadeTime - Fade length in seconds
+     */
+    release(voice, time, fadeTime) {
+        voice.stop(time, fadeTime);
+        this.voices.delete(voice);
+    }
+
+    /**
+     * Fade out the voice started for a note id
+     * @param {*} noteId - Id the note was started with
+     * @param {number} time - Context time to start the fade
+     * @param {number} fadeTime - Fade length in seconds
+     * @returns {boolean} True if a voice was released (false if it had already ended or been stolen)
+     */
+    releaseNote(noteId, time, fadeTime) {
+        let released = false;
+        
+        this.voices.forEach((info, voice) => {
+            if (info.noteId === noteId) {
+                this.release(voice, time, fadeTime);
+                released = true;
+            }
+        });
+        
+        return released;
+    }
+
+    /**
+     * Fade out every active voice
+     * @param {number} time - Context time to start the fade
+     * @param {number} fadeTime - Fade length in seconds (default: 0.05)
+     */
+    releaseAll(time, fadeTime = 0.05) {
+        this.voices.forEach((info, voice) => voice.stop(time, fadeTime));
+        this.voices.clear();
+    }
+
+    /**
+     * Get number of active voices
+     * @returns {number} Active voice count
+     */
+    getActiveCount() {
+        return this.voices.size;
+    }
+
+    /**
+     * Check whether any voice is sounding for a key
+     * @param {*} key - Voice key (bar index)
+     * @returns {boolean} True if at least one voice has this key
+     */
+    hasVoice(key) {
+        for (const info of this.voices.values()) {
+            if (info.key === key) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Set maximum number of simultaneous voices
+     * @param {number} maxVoices - Voice limit
+     */
+    setMaxVoices(maxVoices) {
+        if (maxVoices > 0 && maxVoices <= 50) {
+            this.maxVoices = maxVoices;
+        } else {
+            console.warn('Invalid polyphony limit, must be between 1 and 50');
+        }
+    }
+
+    /**
+     * Set steal policy
+     * @param {string} policy - 'quietest' or 'oldest'
+     */
+    setStealPolicy(policy) {
+        if (policy === 'quietest' || policy === 'oldest') {
+            this.stealPolicy = policy;
+        } else {
+            console.warn('Invalid steal policy, must be "quietest" or "oldest"');
+        }
+    }
+
+    /**
+     * Enable or disable voice stealing
+     * @param {boolean} enabled - False drops notes over the limit instead
+     */
+    setStealingEnabled(enabled) {
+        this.allowStealing = Boolean(enabled);
+    }
+
+    /**
+     * Enable or disable choking a bar's previous ring on re-strike
+     * @param {boolean} enabled - True to choke
+     */
+    setChokeSameKey(enabled) {
+        this.chokeSameKey = Boolean(enabled);
+    }
+
+    /**
+     * Get allocation statistics
+     * @returns {Object} Active, stolen, dropped and choked counts
+     */
+    getStats() {
+        return {
+            active: this.voices.size,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Reset allocation statistics
+     */
+    resetStats() {
+        this.stats.stolen = 0;
+        this.stats.dropped = 0;
+        this.stats.choked = 0;
+    }
+}
+
+// Export singleton instance
+export default new VoiceManager();
@@ -0,0 +1,126 @@
+/**
+ * Worklet Voice Module
+ * Main-thread handle for one strike rendered by the synth processor (synth-processor.js)
+ * Has the same start/stop/getLevel/onended interface as ModalVoice, so the voice manager
+ * can allocate, steal and choke it without knowing how it is synthesized
+ */
+
+import ModalVoice from './modal-voice.js';
+
+class WorkletVoice {
+    /**
+     * Prepare a voice on a synth node (not yet started)
+     * @param {AudioWorkletNode} node - Synth node that renders the voice
+     * @param {Object} options - Voice options
+     * @param {number} options.id - Voice id, unique per node
+     * @param {number} options.frequency - Fundamental frequency in Hz
+     * @param {Object} options.timbre - Timbre with `partials` and `mallet` settings
+     * @param {Object} options.envelope - Envelope with `attack` and `release` in seconds
+     * @param {number} options.velocity - Strike strength (0-1, default: 1.0)
+     * @param {number} options.pan - Stereo position (-1 left to 1 right, default: 0)
+     */
+    constructor(node, { id, frequency, timbre, envelope, velocity = 1.0, pan = 0 }) {
+        this.node = node;
+        this.id = id;
+        this.frequency = frequency;
+        this.velocity = velocity;
+        this.timbre = timbre;
+        this.envelope = envelope;
+        this.pan = pan;
+        
+        // Same partial levels as the node graph voice
+        this.partials = ModalVoice.getPartialLevels(
+            timbre.partials, frequency, velocity, node.context.sampleRate
+        );
+        
+        // Scheduling state
+        this.startTime = 0;
+        this.stopTime = 0;
+        this.isStopped = false;
+        
+        // Called once when the processor reports the voice has finished
+        this.onended = null;
+    }
+
+    /**
+     * Strike the bar
+     * @param {number} time - Context time to start at
+     * @param {number} duration - Time in seconds before the release begins
+     */
+    start(time, duration) {
+        const mallet = this.timbre.mallet;
+        const attackEnd = time + this.envelope.attack;
+        
+        this.startTime = time;
+        this.stopTime = Math.max(attackEnd, time + duration) + this.envelope.release;
+        
+        this.node.port.postMessage({
+            type: 'noteOn',
+            id: this.id,
+            time: time,
+            duration: duration,
+            frequency: this.frequency,
+            partials: this.partials,
+            envelope: { ...this.envelope },
+            pan: this.pan,
+            // Harder strikes give a louder, brighter click
+            mallet: mallet ? {
+                gain: mallet.gain * this.velocity,
+                duration: mallet.duration,
+                filterFrequency: mallet.filterFrequency * (0.5 + this.velocity * 0.5),
+                q: mallet.q
+            } : null
+        });
+    }
+
+    /**
+     * Estimate the voice's current amplitude from its partial decays
+     * @param {number} time - Context time
+     * @returns {number} Approximate level (0 once stopped)
+     */
+    getLevel(time) {
+        if (this.isStopped || time >= this.stopTime) {
+            return 0;
+        }
+        
+        const elapsed = Math.max(0, time - this.startTime);
+        
+        // Each partial falls by 60 dB over its decay time
+        return this.partials.reduce(
+            (sum, partial) => sum + partial.level * Math.pow(0.001, elapsed / partial.decay),
+            0
+        );
+    }
+
+    /**
+     * Fade the voice out quickly and stop it
+     * @param {number} time - Context time to begin the fade
+     * @param {number} fadeTime - Fade length in seconds (default: 0.05)
+     */
+    stop(time, fadeTime = 0.05) {
+        if (this.isStopped || time + fadeTime >= this.stopTime) {
+            return;
+        }
+        
+        this.stopTime = time + fadeTime;
+        this.node.port.postMessage({ type: 'noteOff', id: this.id, time, fadeTime });
+    }
+
+    /**
+     * Mark the voice finished and notify the owner
+     * Called when the processor reports the voice has ended
+     */
+    dispose() {
+        if (this.isStopped) {
+            return;
+        }
+        
+        this.isStopped = true;
+        
+        if (typeof this.onended === 'function') {
+            this.onended(this);
+        }
+    }
+}
+
+export default WorkletVoice;
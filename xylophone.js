@@ -5,95 +5,232 @@
  */
 
 import audioEngine from './audio-engine.js';
+import scheduler from './scheduler.js';
+import voiceManager from './voice-manager.js';
+import instruments from './instruments.js';
+import scales from './scales.js';
+import tuning from './tuning.js';
+import keyboardLayouts from './keyboard-layouts.js';
+import noteNames from './note-names.js';
 
 class Xylophone {
     constructor() {
-        // Musical note configuration - C major scale across 11 notes
-        // Starting from C4 (middle C) and going up
-        this.notes = [
-            { name: 'C4', frequency: 261.63 },  // Note 0
-            { name: 'D4', frequency: 293.66 },  // Note 1
-            { name: 'E4', frequency: 329.63 },  // Note 2
-            { name: 'F4', frequency: 349.23 },  // Note 3
-            { name: 'G4', frequency: 392.00 },  // Note 4
-            { name: 'A4', frequency: 440.00 },  // Note 5 (concert A)
-            { name: 'B4', frequency: 493.88 },  // Note 6
-            { name: 'C5', frequency: 523.25 },  // Note 7 (octave up)
-            { name: 'D5', frequency: 587.33 },  // Note 8
-            { name: 'E5', frequency: 659.25 },  // Note 9
-            { name: 'F5', frequency: 698.46 }   // Note 10
-        ];
-        
-        // Keyboard mapping - maps keyboard keys to note indices
-        this.keyMap = {
-            'a': 0, 'A': 0,
-            's': 1, 'S': 1,
-            'd': 2, 'D': 2,
-            'f': 3, 'F': 3,
-            'g': 4, 'G': 4,
-            'h': 5, 'H': 5,
-            'j': 6, 'J': 6,
-            'k': 7, 'K': 7,
-            'l': 8, 'L': 8,
-            ';': 9, ':': 9,
-            "'": 10, '"': 10
-        };
+        // Musical note configuration - generated from a tonic and mode (default C major from C4)
+        // Natural bars come first (indices 0 to barCount - 1); chromatic mode appends the raised accidental bars
+        this.barCount = 11;
+        this.minBarCount = 8;     // Toy instrument, one octave of a major scale
+        this.maxBarCount = 29;    // Four-octave concert instrument (C4 to C8 in C major)
+        this.barCountPresets = [8, 11, 15, 22, 29];
+        this.tonic = scales.defaultTonic;
+        this.mode = scales.defaultMode;
+        this.chromatic = false;
+        this.notes = [];
+        
+        // Naming system for labels and note events; every note also keeps its English `name`
+        this.namingSystem = noteNames.defaultSystem;
+        
+        // Key bindings by physical key code (KeyboardEvent.code), so they hold on any keyboard layout
+        // naturalKeyMap: code to natural bar index, from the lowest (home row by default)
+        // accidentalKeyMap: code to gap slot, the (lower) accidental bar above natural bar slot (row above by default)
+        // upperAccidentalKeyMap: code to gap slot, the second accidental bar of a three-semitone gap (number row by default)
+        // octaveKeyMap: code to octave step (Z/X by default)
+        const bindings = keyboardLayouts.getDefaultBindings();
+        this.naturalKeyMap = bindings.naturals;
+        this.accidentalKeyMap = bindings.accidentals;
+        this.upperAccidentalKeyMap = bindings.upperAccidentals;
+        this.octaveKeyMap = bindings.octave;
+        
+        // Layout used to label the keys on the bars
+        this.keyboardLayout = keyboardLayouts.defaultLayout;
+        
+        // Keyboard mapping - maps key codes to note indices, rebuilt with the note table
+        this.keyMap = {};
+        
+        // Octave shift and semitone transpose, applied when a note sounds
+        // (the note table and recordings keep their untransposed notes)
+        this.octaveShift = 0;
+        this.transpose = 0;
+        this.maxTranspose = 12;
+        
+        this.buildNotes();
         
         // Note duration in seconds
         this.noteDuration = 2.0;
         
-        // Polyphony tracking - currently playing notes
-        this.activeNotes = new Set();
+        // Damping: a released note fades out over dampTime, unless the sustain pedal is down
+        this.sustain = false;
+        this.dampTime = 0.1;      // seconds
+        this.minDampTime = 0.02;  // seconds
+        this.maxDampTime = 1.0;   // seconds
         
-        // Maximum simultaneous notes (prevent audio context overload)
-        this.maxPolyphony = 20;
+        // Notes started with a note id and not released yet: noteId -> noteIndex
+        this.heldNotes = new Map();
+        
+        // Held notes queued to start later (strummed chord tones): noteId -> seconds from the strike
+        this.heldNoteDelays = new Map();
+        
+        // Notes released while the pedal was down, damped when it comes up
+        this.sustainedNotes = new Set();
+        this.nextNoteId = 1;
+        
+        // Polyphony (voice limit, stealing and choking) is handled by the voice manager
+        
+        // Scheduler group for playSequence(), and the resolver of the sequence playing
+        this.sequenceGroup = 'xylophone-sequence';
+        this.sequenceResolve = null;
     }
 
     /**
      * Play a note by index
-     * @param {number} noteIndex - Index of note to play (0-10)
+     * @param {number} noteIndex - Index of note to play (natural bars, then accidentals)
+     * @param {number} velocity - Strike strength (0-1, default: 1.0)
+     * @param {Object} options - Optional settings
+     * @param {number} options.time - Audio context time to strike at (default: now)
+     * @param {string} options.instrument - Instrument preset to play with (default: current)
+     * @param {number} options.noteId - Id from createNoteId() for a note that rings until releaseNote()
+     * @param {number} options.duration - Seconds before the note is damped (recorded notes),
+     *                                    instead of waiting for releaseNote()
+     * @param {number} options.semitones - Extra transposition for this note only, such as the
+     *                                     arpeggiator's octave copies (default: 0)
      * @returns {boolean} Success status
      */
-    playNote(noteIndex) {
+    playNote(noteIndex, velocity = 1.0, options = {}) {
         // Validate note index
         if (noteIndex < 0 || noteIndex >= this.notes.length) {
             console.warn(`Invalid note index: ${noteIndex}`);
             return false;
         }
-
-        // Check polyphony limit
-        if (this.activeNotes.size >= this.maxPolyphony) {
-            console.warn('Maximum polyphony reached, skipping note');
-            return false;
-        }
-
+        
         // Get note configuration
         const note = this.notes[noteIndex];
         
-        // Play note through audio engine
-        const success = audioEngine.playNote(note.frequency, this.noteDuration);
+        const frequency = this.getFrequency(noteIndex, options.semitones);
+        
+        // Scala keyboard mappings can leave keys without a pitch
+        if (frequency === null) {
+            console.debug(`Note ${note.displayName} is not mapped in the current tuning`);
+            return false;
+        }
+        
+        // Notes with a set duration need an id to be damped by
+        let noteId = options.noteId;
+        if (noteId === undefined && options.duration !== undefined) {
+            noteId = this.createNoteId();
+        }
+        
+        // Notes that are damped later ring for the instrument's full decay until then
+        const duration = noteId !== undefined
+            ? Math.max(this.noteDuration, audioEngine.getRingTime(options.instrument))
+            : this.noteDuration;
+        
+        // Play note through audio engine; the bar index keys the voice for choking
+        // and its place on the instrument sets the stereo/3D position
+        const success = audioEngine.playNote(frequency, duration, velocity, {
+            ...options,
+            noteId: noteId,
+            key: noteIndex,
+            position: this.getBarPosition(noteIndex)
+        });
         
         if (success) {
-            // Track active note
-            this.activeNotes.add(noteIndex);
+            console.debug(`Playing note ${note.displayName} (${frequency.toFixed(2)}Hz, velocity ${velocity.toFixed(2)})`);
             
-            // Remove from active notes after duration
-            setTimeout(() => {
-                this.activeNotes.delete(noteIndex);
-            }, this.noteDuration * 1000);
-            
-            console.debug(`Playing note ${note.name} (${note.frequency}Hz)`);
+            if (options.duration !== undefined) {
+                // Damped where the player let go when it was recorded; the pedal was already applied then
+                const startTime = options.time !== undefined ? options.time : scheduler.getCurrentTime();
+                scheduler.schedule(startTime + options.duration, (time) => {
+                    audioEngine.releaseNote(noteId, this.dampTime, time);
+                });
+            } else if (noteId !== undefined) {
+                this.heldNotes.set(noteId, noteIndex);
+                
+                const now = scheduler.getCurrentTime();
+                if (options.time !== undefined && now !== null && options.time > now) {
+                    this.heldNoteDelays.set(noteId, options.time - now);
+                }
+            }
         }
         
         return success;
     }
 
+    /**
+     * Get a new note id, for notes that ring until they are released
+     * @returns {number} Note id
+     */
+    createNoteId() {
+        return this.nextNoteId++;
+    }
+
+    /**
+     * Release a note started with a note id
+     * Without the sustain pedal the note is damped with a short fade; with it, the note
+     * rings on until the pedal comes up
+     * @param {number} noteId - Id the note was played with
+     * @returns {boolean} True if the note was damped now
+     */
+    releaseNote(noteId) {
+        if (!this.heldNotes.has(noteId)) {
+            return false;
+        }
+        
+        if (this.sustain) {
+            this.sustainedNotes.add(noteId);
+            return false;
+        }
+        
+        return this.dampNote(noteId);
+    }
+
+    /**
+     * Damp a held note and announce it with a `noteReleased` event (used to record note lengths)
+     * A note queued to start after its strike (a strummed chord tone) is damped that much later too,
+     * so it sounds for as long as the bar was held and is announced after its `notePlayed`
+     * @param {number} noteId - Id the note was played with
+     * @returns {boolean} True if the note was held
+     */
+    dampNote(noteId) {
+        const noteIndex = this.heldNotes.get(noteId);
+        if (noteIndex === undefined) {
+            return false;
+        }
+        
+        const delay = this.heldNoteDelays.get(noteId) || 0;
+        this.heldNotes.delete(noteId);
+        this.heldNoteDelays.delete(noteId);
+        this.sustainedNotes.delete(noteId);
+        
+        // The voice may have rung out already; the release still ends the note
+        const now = scheduler.getCurrentTime();
+        const time = delay > 0 && now !== null ? now + delay : null;
+        audioEngine.releaseNote(noteId, this.dampTime, time);
+        
+        const announce = () => {
+            document.dispatchEvent(new CustomEvent('noteReleased', {
+                detail: {
+                    noteId: noteId,
+                    noteIndex: noteIndex,
+                    timestamp: Date.now()
+                }
+            }));
+        };
+        
+        if (time !== null) {
+            scheduler.runAtTime(time, announce);
+        } else {
+            announce();
+        }
+        
+        return true;
+    }
+
     /**
      * Play a note by keyboard key
-     * @param {string} key - Keyboard key character
+     * @param {string} key - Key code (KeyboardEvent.code)
+     * @param {number} velocity - Strike strength (0-1, default: 1.0)
      * @returns {boolean} Success status
      */
-    playNoteByKey(key) {
+    playNoteByKey(key, velocity = 1.0) {
         const noteIndex = this.keyMap[key];
         
         if (noteIndex === undefined) {
@@ -101,12 +238,12 @@ class Xylophone {
             return false;
         }
         
-        return this.playNote(noteIndex);
+        return this.playNote(noteIndex, velocity);
     }
 
     /**
      * Get note information by index
-     * @param {number} noteIndex - Index of note (0-10)
+     * @param {number} noteIndex - Index of note
      * @returns {Object|null} Note object with name and frequency, or null if invalid
      */
     getNoteInfo(noteIndex) {
@@ -116,9 +253,39 @@ class Xylophone {
         return { ...this.notes[noteIndex] };
     }
 
+    /**
+     * Get the sounding frequency of a note, with octave shift and transpose applied
+     * @param {number} noteIndex - Index of note
+     * @param {number} semitones - Extra transposition for this note only (default: 0)
+     * @returns {number|null} Frequency in Hz, or null if the index is invalid or the tuning leaves the note unmapped
+     */
+    getFrequency(noteIndex, semitones = 0) {
+        const note = this.notes[noteIndex];
+        if (!note || note.frequency === null) {
+            return null;
+        }
+        return note.frequency * Math.pow(2, (this.getTransposition() + (semitones || 0)) / 12);
+    }
+
+    /**
+     * Get a bar's place across the instrument, lowest bar on the left
+     * Accidental bars sit between the natural bars either side, spread evenly when a gap has two
+     * @param {number} noteIndex - Index of note
+     * @returns {number} Position from -1 (lowest bar) to 1 (highest bar)
+     */
+    getBarPosition(noteIndex) {
+        const note = this.notes[noteIndex];
+        if (!note || this.barCount < 2) {
+            return 0;
+        }
+        
+        const place = note.accidental ? note.place : noteIndex;
+        return (place / (this.barCount - 1)) * 2 - 1;
+    }
+
     /**
      * Get note index for a keyboard key
-     * @param {string} key - Keyboard key character
+     * @param {string} key - Key code (KeyboardEvent.code)
      * @returns {number|null} Note index or null if not mapped
      */
     getNoteIndexForKey(key) {
@@ -126,6 +293,26 @@ class Xylophone {
         return index !== undefined ? index : null;
     }
 
+    /**
+     * Get the octave step bound to a keyboard key
+     * @param {string} key - Key code (KeyboardEvent.code)
+     * @returns {number|null} -1 or 1, or null if the key does not shift octaves
+     */
+    getOctaveStepForKey(key) {
+        const step = this.octaveKeyMap[key];
+        return step !== undefined ? step : null;
+    }
+
+    /**
+     * Get the keyboard key that plays a note
+     * @param {number} noteIndex - Index of note
+     * @returns {string|null} Key code, or null if no key plays it
+     */
+    getKeyForNote(noteIndex) {
+        const key = Object.keys(this.keyMap).find(candidate => this.keyMap[candidate] === noteIndex);
+        return key !== undefined ? key : null;
+    }
+
     /**
      * Get all note information
      * @returns {Array} Array of note objects
@@ -136,19 +323,149 @@ class Xylophone {
 
     /**
      * Get keyboard mapping
-     * @returns {Object} Key to note index mapping
+     * @returns {Object} Key code to note index mapping
      */
     getKeyMap() {
         return { ...this.keyMap };
     }
 
+    /**
+     * Get a copy of the key bindings
+     * @returns {Object} { naturals, accidentals, upperAccidentals, octave } as key code to bar index,
+     *                   gap slot (lower and upper accidental of the gap) and octave step maps
+     */
+    getKeyBindings() {
+        return {
+            naturals: { ...this.naturalKeyMap },
+            accidentals: { ...this.accidentalKeyMap },
+            upperAccidentals: { ...this.upperAccidentalKeyMap },
+            octave: { ...this.octaveKeyMap }
+        };
+    }
+
+    /**
+     * Replace the key bindings
+     * A key code may appear in only one of the maps; bindings past the current bar count are kept
+     * for when more bars are added
+     * Bindings saved before upper accidentals existed get the default upper keys that are still free
+     * Dispatches a `keyMapChanged` event on success
+     * @param {Object} bindings - { naturals, accidentals, upperAccidentals, octave }, see getKeyBindings()
+     * @returns {boolean} Success status
+     */
+    setKeyBindings(bindings) {
+        if (!bindings || typeof bindings !== 'object') {
+            console.warn('Invalid key bindings');
+            return false;
+        }
+        
+        const { naturals = {}, accidentals = {}, octave = {} } = bindings;
+        let { upperAccidentals } = bindings;
+        if (upperAccidentals === undefined) {
+            const used = [...Object.keys(naturals), ...Object.keys(accidentals), ...Object.keys(octave)];
+            upperAccidentals = Object.fromEntries(Object.entries(keyboardLayouts.getDefaultBindings().upperAccidentals)
+                .filter(([code]) => !used.includes(code)));
+        }
+        const isIndex = (value, count) => Number.isInteger(value) && value >= 0 && value < count;
+        
+        const valid = Object.values(naturals).every(index => isIndex(index, this.maxBarCount)) &&
+                      Object.values(accidentals).every(slot => isIndex(slot, this.maxBarCount - 1)) &&
+                      Object.values(upperAccidentals).every(slot => isIndex(slot, this.maxBarCount - 1)) &&
+                      Object.values(octave).every(step => step === -1 || step === 1);
+        if (!valid) {
+            console.warn('Invalid key bindings, bar, gap or octave step out of range');
+            return false;
+        }
+        
+        const codes = [...Object.keys(naturals), ...Object.keys(accidentals),
+            ...Object.keys(upperAccidentals), ...Object.keys(octave)];
+        const duplicates = codes.filter((code, index) => codes.indexOf(code) !== index);
+        if (codes.some(code => code === '') || duplicates.length > 0) {
+            console.warn(`Invalid key bindings, keys bound twice: ${duplicates.join(', ')}`);
+            return false;
+        }
+        
+        this.naturalKeyMap = { ...naturals };
+        this.accidentalKeyMap = { ...accidentals };
+        this.upperAccidentalKeyMap = { ...upperAccidentals };
+        this.octaveKeyMap = { ...octave };
+        this.buildKeyMap();
+        this.dispatchKeyMapChanged();
+        
+        console.log('Key bindings updated');
+        return true;
+    }
+
+    /**
+     * Restore the default key bindings
+     * Dispatches a `keyMapChanged` event
+     */
+    resetKeyBindings() {
+        this.setKeyBindings(keyboardLayouts.getDefaultBindings());
+    }
+
+    /**
+     * Select the keyboard layout used to label keys
+     * Dispatches a `keyMapChanged` event on success
+     * @param {string} layoutId - Layout key (see getKeyboardLayouts())
+     * @returns {boolean} Success status
+     */
+    setKeyboardLayout(layoutId) {
+        if (!keyboardLayouts.has(layoutId)) {
+            console.warn(`Unknown keyboard layout: ${layoutId}`);
+            return false;
+        }
+        
+        this.keyboardLayout = layoutId;
+        this.dispatchKeyMapChanged();
+        
+        console.log(`Keyboard layout set to ${layoutId}`);
+        return true;
+    }
+
+    /**
+     * Get the keyboard layout used to label keys
+     * @returns {string} Layout key
+     */
+    getKeyboardLayout() {
+        return this.keyboardLayout;
+    }
+
+    /**
+     * Get keyboard layouts available for setKeyboardLayout()
+     * @returns {Array} Array of {id, label} objects
+     */
+    getKeyboardLayouts() {
+        return keyboardLayouts.list();
+    }
+
+    /**
+     * Get the character printed on a key in the current layout
+     * @param {string} key - Key code (KeyboardEvent.code)
+     * @returns {string} Key label
+     */
+    getKeyLabel(key) {
+        return keyboardLayouts.getKeyLabel(this.keyboardLayout, key);
+    }
+
+    /**
+     * Notify listeners that the key bindings or keyboard layout changed
+     */
+    dispatchKeyMapChanged() {
+        document.dispatchEvent(new CustomEvent('keyMapChanged', {
+            detail: {
+                layout: this.keyboardLayout,
+                bindings: this.getKeyBindings()
+            }
+        }));
+    }
+
     /**
      * Check if a note is currently playing
      * @param {number} noteIndex - Index of note to check
      * @returns {boolean} True if note is active
      */
     isNotePlaying(noteIndex) {
-        return this.activeNotes.has(noteIndex);
+        return voiceManager.hasVoice(noteIndex);
     }
 
     /**
@@ -156,7 +473,7 @@ class Xylophone {
      * @returns {number} Number of active notes
      */
     getActiveNoteCount() {
-        return this.activeNotes.size;
+        return voiceManager.getActiveCount();
     }
 
     /**
@@ -164,7 +481,6 @@ class Xylophone {
      */
     stopAllNotes() {
         audioEngine.stopAllNotes();
-        this.activeNotes.clear();
     }
 
     /**
@@ -187,16 +503,65 @@ class Xylophone {
         return this.noteDuration;
     }
 
+    /**
+     * Press or lift the sustain pedal
+     * While it is down released notes ring fully; lifting it damps every note released meanwhile
+     * @param {boolean} sustain - True to press the pedal
+     */
+    setSustain(sustain) {
+        sustain = !!sustain;
+        if (sustain === this.sustain) {
+            return;
+        }
+        
+        this.sustain = sustain;
+        
+        if (!sustain) {
+            [...this.sustainedNotes].forEach(noteId => this.dampNote(noteId));
+        }
+        
+        document.dispatchEvent(new CustomEvent('sustainChanged', {
+            detail: { sustain: this.sustain }
+        }));
+    }
+
+    /**
+     * Check whether the sustain pedal is down
+     * @returns {boolean} True if released notes ring on
+     */
+    isSustained() {
+        return this.sustain;
+    }
+
+    /**
+     * Set how quickly released notes are damped
+     * @param {number} dampTime - Fade length in seconds (0.02-1)
+     * @returns {boolean} Success status
+     */
+    setDampTime(dampTime) {
+        if (!Number.isFinite(dampTime) || dampTime < this.minDampTime || dampTime > this.maxDampTime) {
+            console.warn(`Invalid damping time, must be between ${this.minDampTime} and ${this.maxDampTime} seconds`);
+            return false;
+        }
+        
+        this.dampTime = dampTime;
+        return true;
+    }
+
+    /**
+     * Get how quickly released notes are damped
+     * @returns {number} Fade length in seconds
+     */
+    getDampTime() {
+        return this.dampTime;
+    }
+
     /**
      * Set maximum polyphony
      * @param {number} maxNotes - Maximum simultaneous notes
      */
     setMaxPolyphony(maxNotes) {
-        if (maxNotes > 0 && maxNotes <= 50) {
-            this.maxPolyphony = maxNotes;
-        } else {
-            console.warn('Invalid polyphony limit, must be between 1 and 50');
-        }
+        voiceManager.setMaxVoices(maxNotes);
     }
 
     /**
@@ -204,29 +569,613 @@ class Xylophone {
      * @returns {number} Maximum simultaneous notes
      */
     getMaxPolyphony() {
-        return this.maxPolyphony;
+        return voiceManager.maxVoices;
+    }
+
+    /**
+     * Enable or disable cutting a bar's previous ring when it is struck again
+     * @param {boolean} enabled - True to choke re-struck bars
+     */
+    setChokeOnRestrike(enabled) {
+        voiceManager.setChokeSameKey(enabled);
+    }
+
+    /**
+     * Get voice allocation statistics
+     * @returns {Object} Active, stolen, dropped and choked voice counts
+     */
+    getVoiceStats() {
+        return voiceManager.getStats();
+    }
+
+    /**
+     * Regenerate the note table from a tonic and mode
+     * Dispatches a `scaleChanged` event with the new notes on success
+     * @param {string} tonic - Tonic note name (see getTonics())
+     * @param {string} mode - Mode key (see getModes())
+     * @returns {boolean} Success status
+     */
+    setScale(tonic, mode) {
+        if (!scales.isValidScale(tonic, mode)) {
+            console.warn(`Invalid scale: ${tonic} ${mode}`);
+            return false;
+        }
+        
+        this.tonic = tonic;
+        this.mode = mode;
+        this.buildNotes();
+        this.dispatchScaleChanged();
+        
+        console.log(`Scale set to ${tonic} ${mode}`);
+        return true;
+    }
+
+    /**
+     * Enable or disable the raised row of accidental bars
+     * Dispatches a `scaleChanged` event with the new notes
+     * @param {boolean} enabled - True for a chromatic layout
+     */
+    setChromatic(enabled) {
+        this.chromatic = !!enabled;
+        this.buildNotes();
+        this.dispatchScaleChanged();
+        
+        console.log(`Chromatic mode ${this.chromatic ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Set how many natural bars the instrument has
+     * Dispatches a `scaleChanged` event with the new notes on success
+     * @param {number} count - Number of bars (8-29)
+     * @returns {boolean} Success status
+     */
+    setBarCount(count) {
+        if (!Number.isInteger(count) || count < this.minBarCount || count > this.maxBarCount) {
+            console.warn(`Invalid bar count, must be between ${this.minBarCount} and ${this.maxBarCount}`);
+            return false;
+        }
+        
+        this.barCount = count;
+        this.buildNotes();
+        this.dispatchScaleChanged();
+        
+        console.log(`Bar count set to ${count}`);
+        return true;
+    }
+
+    /**
+     * Get the number of natural bars
+     * @returns {number} Bar count
+     */
+    getBarCount() {
+        return this.barCount;
+    }
+
+    /**
+     * Get the bar counts offered in the picker
+     * @returns {Array<number>} Bar counts
+     */
+    getBarCountPresets() {
+        return [...this.barCountPresets];
+    }
+
+    /**
+     * Check whether the accidental bars are enabled
+     * @returns {boolean} True in chromatic mode
+     */
+    isChromatic() {
+        return this.chromatic;
+    }
+
+    /**
+     * Rebuild the note table and key map from the tonic, mode and chromatic setting
+     */
+    buildNotes() {
+        const naturals = scales.buildScale(this.tonic, this.mode, this.barCount);
+        const accidentals = this.chromatic ? scales.buildAccidentals(this.tonic, this.mode, naturals) : [];
+        
+        this.notes = this.applyNoteNames([...naturals, ...accidentals]);
+        this.buildKeyMap();
+        
+        // A new note table can leave the current shift outside the instrument's range
+        this.clampTransposition();
+    }
+
+    /**
+     * Name notes in the current naming system
+     * Relative systems count from the lowest bar, which is always the tonic
+     * @param {Array} notes - Notes from the note table
+     * @returns {Array} Copies of the notes with `label` (no octave) and `displayName` (with octave)
+     */
+    applyNoteNames(notes) {
+        const tonic = { name: scales.spellTonic(this.tonic, this.mode), midi: notes[0].midi };
+        return notes.map(note => ({
+            ...note,
+            ...noteNames.getName(note, this.namingSystem, tonic)
+        }));
+    }
+
+    /**
+     * Select the naming system for bar labels, ARIA labels and note events
+     * Dispatches a `scaleChanged` event on success
+     * @param {string} systemId - Naming system key (see getNamingSystems())
+     * @returns {boolean} Success status
+     */
+    setNamingSystem(systemId) {
+        if (!noteNames.has(systemId)) {
+            console.warn(`Unknown naming system: ${systemId}`);
+            return false;
+        }
+        
+        this.namingSystem = systemId;
+        this.notes = this.applyNoteNames(this.notes);
+        this.dispatchScaleChanged();
+        
+        console.log(`Naming system set to ${systemId}`);
+        return true;
+    }
+
+    /**
+     * Get the current naming system
+     * @returns {string} Naming system key
+     */
+    getNamingSystem() {
+        return this.namingSystem;
+    }
+
+    /**
+     * Get naming systems available for setNamingSystem()
+     * @returns {Array} Array of {id, label} objects
+     */
+    getNamingSystems() {
+        return noteNames.list();
+    }
+
+    /**
+     * Rebuild the key map from the key bindings and the current note table
+     */
+    buildKeyMap() {
+        const naturalCount = this.notes.filter(note => !note.accidental).length;
+        this.keyMap = {};
+        
+        Object.entries(this.naturalKeyMap).forEach(([key, index]) => {
+            if (index < naturalCount) {
+                this.keyMap[key] = index;
+            }
+        });
+        
+        this.notes.forEach((note, index) => {
+            if (!note.accidental) {
+                return;
+            }
+            
+            // The lower accidental of a gap takes the gap's key, the upper one its upper key
+            const bindings = note.step > 0 ? this.upperAccidentalKeyMap : this.accidentalKeyMap;
+            Object.entries(bindings).forEach(([key, slot]) => {
+                if (slot === note.slot) {
+                    this.keyMap[key] = index;
+                }
+            });
+        });
+    }
+
+    /**
+     * Notify listeners that the note table changed
+     */
+    dispatchScaleChanged() {
+        document.dispatchEvent(new CustomEvent('scaleChanged', {
+            detail: {
+                tonic: this.tonic,
+                mode: this.mode,
+                chromatic: this.chromatic,
+                barCount: this.barCount,
+                naming: this.namingSystem,
+                tuning: tuning.getState(),
+                notes: this.getAllNotes()
+            }
+        }));
+    }
+
+    /**
+     * Get the current tonic and mode
+     * @returns {Object} { tonic, mode, chromatic }
+     */
+    getScale() {
+        return { tonic: this.tonic, mode: this.mode, chromatic: this.chromatic };
+    }
+
+    /**
+     * Get tonics available for setScale()
+     * @returns {Array} Tonic note names
+     */
+    getTonics() {
+        return scales.getTonics();
+    }
+
+    /**
+     * Get modes available for setScale()
+     * @returns {Array} Array of {id, label} objects
+     */
+    getModes() {
+        return scales.getModes();
+    }
+
+    /**
+     * Set the reference pitch for A4 and retune the bars
+     * Dispatches a `scaleChanged` event on success
+     * @param {number} frequency - Frequency in Hz (380-480)
+     * @returns {boolean} Success status
+     */
+    setReferencePitch(frequency) {
+        if (!tuning.setReferencePitch(frequency)) {
+            return false;
+        }
+        
+        this.buildNotes();
+        this.dispatchScaleChanged();
+        
+        console.log(`Reference pitch set to A4 = ${frequency} Hz`);
+        return true;
+    }
+
+    /**
+     * Select a temperament and retune the bars
+     * Dispatches a `scaleChanged` event on success
+     * @param {string} temperament - Temperament key (see getTemperaments())
+     * @returns {boolean} Success status
+     */
+    setTemperament(temperament) {
+        if (!tuning.setTemperament(temperament)) {
+            return false;
+        }
+        
+        this.buildNotes();
+        this.dispatchScaleChanged();
+        
+        console.log(`Temperament set to ${temperament}`);
+        return true;
+    }
+
+    /**
+     * Retune the bars from a Scala scale, optionally with a keyboard mapping
+     * Dispatches a `scaleChanged` event on success
+     * @param {string} sclText - Contents of a .scl file
+     * @param {string|null} kbmText - Contents of a .kbm file (default: linear mapping from middle C)
+     * @returns {boolean} Success status
+     */
+    loadScala(sclText, kbmText = null) {
+        if (!tuning.loadScala(sclText, kbmText)) {
+            return false;
+        }
+        
+        this.buildNotes();
+        this.dispatchScaleChanged();
+        return true;
+    }
+
+    /**
+     * Drop the imported Scala tuning and go back to the selected temperament
+     * Dispatches a `scaleChanged` event
+     */
+    clearScala() {
+        tuning.clearScala();
+        this.buildNotes();
+        this.dispatchScaleChanged();
+    }
+
+    /**
+     * Get the current tuning settings
+     * @returns {Object} { referencePitch, temperament, scala }
+     */
+    getTuning() {
+        return tuning.getState();
+    }
+
+    /**
+     * Get reference pitches offered for setReferencePitch()
+     * @returns {Array<number>} Frequencies in Hz
+     */
+    getReferencePitches() {
+        return tuning.getReferencePitches();
+    }
+
+    /**
+     * Get temperaments available for setTemperament()
+     * @returns {Array} Array of {id, label} objects
+     */
+    getTemperaments() {
+        return tuning.getTemperaments();
+    }
+
+    /**
+     * Get the total transposition
+     * @returns {number} Semitones (octave shift plus transpose)
+     */
+    getTransposition() {
+        return this.octaveShift * 12 + this.transpose;
+    }
+
+    /**
+     * Get how far the bars can be transposed on an instrument
+     * The shifted bars must stay inside the instrument's range; no shift is always allowed,
+     * even when the bars already reach outside a narrow range
+     * @param {string} instrumentId - Preset key (default: current)
+     * @returns {Object} { min, max } total transposition in semitones
+     */
+    getTranspositionLimits(instrumentId = null) {
+        const range = this.getInstrumentRange(instrumentId);
+        const notes = this.notes.filter(note => note.frequency !== null);
+        
+        if (!range || notes.length === 0) {
+            return { min: 0, max: 0 };
+        }
+        
+        const lowest = Math.min(...notes.map(note => note.midi));
+        const highest = Math.max(...notes.map(note => note.midi));
+        
+        return {
+            min: Math.min(0, range.low - lowest),
+            max: Math.max(0, range.high - highest)
+        };
+    }
+
+    /**
+     * Check whether a total transposition is within the current instrument's limits
+     * @param {number} semitones - Total transposition
+     * @returns {boolean} True if allowed
+     */
+    isTranspositionAllowed(semitones) {
+        const { min, max } = this.getTranspositionLimits();
+        return semitones >= min && semitones <= max;
+    }
+
+    /**
+     * Set the octave shift
+     * Dispatches a `transposeChanged` event on success
+     * @param {number} octaves - Whole octaves up (positive) or down (negative)
+     * @returns {boolean} Success status (false if the shift leaves the instrument's range)
+     */
+    setOctaveShift(octaves) {
+        if (!Number.isInteger(octaves)) {
+            console.warn('Invalid octave shift, must be a whole number');
+            return false;
+        }
+        
+        if (!this.isTranspositionAllowed(octaves * 12 + this.transpose)) {
+            console.debug(`Octave shift ${octaves} is outside the instrument's range`);
+            return false;
+        }
+        
+        this.octaveShift = octaves;
+        this.dispatchTransposeChanged();
+        return true;
+    }
+
+    /**
+     * Move the octave shift up or down by one octave
+     * @param {number} direction - 1 for up, -1 for down
+     * @returns {boolean} Success status
+     */
+    shiftOctave(direction) {
+        return this.setOctaveShift(this.octaveShift + Math.sign(direction));
+    }
+
+    /**
+     * Get the octave shift
+     * @returns {number} Octaves
+     */
+    getOctaveShift() {
+        return this.octaveShift;
+    }
+
+    /**
+     * Set the semitone transpose
+     * Dispatches a `transposeChanged` event on success
+     * @param {number} semitones - Semitones (-12 to 12)
+     * @returns {boolean} Success status (false if out of bounds or outside the instrument's range)
+     */
+    setTranspose(semitones) {
+        if (!Number.isInteger(semitones) || Math.abs(semitones) > this.maxTranspose) {
+            console.warn(`Invalid transpose, must be a whole number between -${this.maxTranspose} and ${this.maxTranspose}`);
+            return false;
+        }
+        
+        if (!this.isTranspositionAllowed(this.octaveShift * 12 + semitones)) {
+            console.debug(`Transpose ${semitones} is outside the instrument's range`);
+            return false;
+        }
+        
+        this.transpose = semitones;
+        this.dispatchTransposeChanged();
+        return true;
+    }
+
+    /**
+     * Get the semitone transpose
+     * @returns {number} Semitones
+     */
+    getTranspose() {
+        return this.transpose;
+    }
+
+    /**
+     * Bring the octave shift, then the transpose, back inside the current instrument's limits
+     * Dispatches a `transposeChanged` event if anything changed
+     */
+    clampTransposition() {
+        const { min, max } = this.getTranspositionLimits();
+        const before = this.getTransposition();
+        
+        while (this.getTransposition() > max && this.octaveShift > 0) {
+            this.octaveShift--;
+        }
+        while (this.getTransposition() < min && this.octaveShift < 0) {
+            this.octaveShift++;
+        }
+        
+        const total = this.getTransposition();
+        if (total > max || total < min) {
+            this.transpose = Math.max(min, Math.min(max, total)) - this.octaveShift * 12;
+        }
+        
+        if (this.getTransposition() !== before) {
+            this.dispatchTransposeChanged();
+        }
+    }
+
+    /**
+     * Get the lowest and highest sounding notes with the current transposition
+     * @returns {Object|null} { low, high } note names, or null if no bar has a pitch
+     */
+    getSoundingRange() {
+        const notes = this.notes.filter(note => note.frequency !== null);
+        if (notes.length === 0) {
+            return null;
+        }
+        
+        const semitones = this.getTransposition();
+        const useFlats = scales.usesFlats(this.tonic, this.mode);
+        
+        return {
+            low: scales.getNoteName(Math.min(...notes.map(note => note.midi)) + semitones, useFlats),
+            high: scales.getNoteName(Math.max(...notes.map(note => note.midi)) + semitones, useFlats)
+        };
+    }
+
+    /**
+     * Notify listeners that the octave shift or transpose changed
+     */
+    dispatchTransposeChanged() {
+        document.dispatchEvent(new CustomEvent('transposeChanged', {
+            detail: {
+                octaveShift: this.octaveShift,
+                transpose: this.transpose,
+                semitones: this.getTransposition(),
+                limits: this.getTranspositionLimits(),
+                range: this.getSoundingRange()
+            }
+        }));
+        
+        console.log(`Transposition: ${this.octaveShift} octave(s), ${this.transpose} semitone(s)`);
+    }
+
+    /**
+     * Select the instrument preset used for live playing
+     * Dispatches an `instrumentChanged` event on success
+     * @param {string} instrumentId - Preset key (see getInstruments())
+     * @returns {boolean} Success status
+     */
+    setInstrument(instrumentId) {
+        if (!audioEngine.setInstrument(instrumentId)) {
+            return false;
+        }
+        
+        // Keep the bars inside the new instrument's range
+        this.clampTransposition();
+        
+        document.dispatchEvent(new CustomEvent('instrumentChanged', {
+            detail: { instrument: instruments.get(instrumentId) }
+        }));
+        
+        return true;
+    }
+
+    /**
+     * Get the current instrument preset key
+     * @returns {string} Preset key
+     */
+    getInstrument() {
+        return audioEngine.getInstrument();
+    }
+
+    /**
+     * Get available instrument presets
+     * @returns {Array} Array of {id, label} objects
+     */
+    getInstruments() {
+        return instruments.list();
+    }
+
+    /**
+     * Get the playable range of an instrument
+     * @param {string} instrumentId - Preset key (default: current)
+     * @returns {Object|null} Range as {low, high} MIDI note numbers, or null if unknown
+     */
+    getInstrumentRange(instrumentId = null) {
+        const preset = instruments.get(instrumentId || audioEngine.getInstrument());
+        return preset ? preset.range : null;
     }
 
     /**
      * Play a sequence of notes
-     * @param {Array} sequence - Array of {noteIndex, delay} objects
-     * @returns {Promise} Resolves when sequence completes
+     * Notes are queued on the audio clock through the shared scheduler; a new sequence stops one still playing
+     * @param {Array} sequence - Array of {noteIndex, delay, velocity, duration, semitones} objects,
+     *                           where delay is milliseconds after the previous item, the
+     *                           optional duration is milliseconds before the note is damped and
+     *                           the optional semitones transpose the note past its bar
+     * @param {string} instrument - Instrument preset to play with (default: current)
+     * @returns {Promise<boolean>} Resolves to true when the sequence completes, false if it was stopped
      */
-    async playSequence(sequence) {
+    async playSequence(sequence, instrument = null) {
         if (!Array.isArray(sequence) || sequence.length === 0) {
             console.warn('Invalid sequence');
             return;
         }
-
+        
+        const startTime = scheduler.getStartTime();
+        if (startTime === null) {
+            console.warn('Audio engine not initialized');
+            return;
+        }
+        
+        this.stopSequence();
+        
+        let time = startTime;
+        
         for (const item of sequence) {
             if (item.delay > 0) {
-                await new Promise(resolve => setTimeout(resolve, item.delay));
+                time += item.delay / 1000;
             }
             
             if (item.noteIndex !== undefined) {
-                this.playNote(item.noteIndex);
+                const velocity = item.velocity !== undefined ? item.velocity : 1.0;
+                const options = item.duration !== undefined ? { duration: item.duration / 1000 } : {};
+                if (item.semitones) {
+                    options.semitones = item.semitones;
+                }
+                scheduler.schedule(time, (noteTime) => {
+                    this.playNote(item.noteIndex, velocity, { ...options, time: noteTime, instrument });
+                }, this.sequenceGroup);
             }
         }
+        
+        // Resolve once the last note is heard
+        return new Promise(resolve => {
+            this.sequenceResolve = resolve;
+            scheduler.schedule(time, (endTime) => {
+                scheduler.runAtTime(endTime, () => this.finishSequence(true), this.sequenceGroup);
+            }, this.sequenceGroup);
+        });
+    }
+
+    /**
+     * Stop the sequence started by playSequence(); notes already sounding ring on
+     */
+    stopSequence() {
+        scheduler.cancelGroup(this.sequenceGroup);
+        this.finishSequence(false);
+    }
+
+    /**
+     * Resolve the pending playSequence() promise, if any
+     * @param {boolean} completed - True if the sequence played to the end
+     */
+    finishSequence(completed) {
+        if (this.sequenceResolve) {
+            const resolve = this.sequenceResolve;
+            this.sequenceResolve = null;
+            resolve(completed);
+        }
     }
 
     /**